@@ -99,31 +99,129 @@ const kCopyLengthPrefixCode = [
   [2118, 24],
 ];
 
-// Distance prefix codes
+// Distance short codes (RFC 7932 section 4): how far back in the distance ring
+// buffer to look, and the value added to the distance found there
 const kDistanceShortCodeIndexOffset = new Int8Array([
-  0, 3, 2, 1, 0, 0, 0, 0, 0, 0, 3, 3, 3, 3, 3, 3,
+  1, 2, 3, 4, 1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 2,
 ]);
 
 const kDistanceShortCodeValueOffset = new Int8Array([
   0, 0, 0, 0, -1, 1, -2, 2, -3, 3, -1, 1, -2, 2, -3, 3,
 ]);
 
-// Insert and copy combined codes table
-const kInsertRangeLut = new Uint8Array([0, 0, 8, 8, 0, 16, 8, 16, 16]);
-const kCopyRangeLut = new Uint8Array([0, 8, 0, 8, 16, 0, 16, 8, 16]);
+// Window size limits (RFC 7932 section 9.1). The Large Window Brotli
+// extension raises the limit to 30 bits.
+const kMinWindowBits = 10;
+const kMaxWindowBits = 24;
+const kLargeMaxWindowBits = 30;
+
+// Most extra bits a distance code can have, which sets the size of the
+// distance alphabet
+const kMaxDistanceBits = 24;
+const kLargeMaxDistanceBits = 62;
+
+// Insert and copy combined codes table, indexed by command code >> 6
+const kInsertRangeLut = new Uint8Array([0, 0, 0, 0, 8, 8, 0, 16, 8, 16, 16]);
+const kCopyRangeLut = new Uint8Array([0, 8, 0, 8, 0, 8, 16, 0, 16, 8, 16]);
+
+// Static prefix code for code length code lengths (RFC 7932 section 3.5),
+// indexed by the next 4 bits of input
+const kCodeLengthPrefixLength = new Uint8Array([
+  2, 2, 2, 3, 2, 2, 2, 4, 2, 2, 2, 3, 2, 2, 2, 4,
+]);
+const kCodeLengthPrefixValue = new Uint8Array([
+  0, 4, 3, 2, 0, 4, 3, 1, 0, 4, 3, 2, 0, 4, 3, 5,
+]);
+
+// Thrown for truncated or corrupt compressed data. code names the problem
+// (TRUNCATED, BAD_PREFIX_CODE, INVALID_DISTANCE, ...) and bitOffset/byteOffset
+// give the position in the compressed input where it was detected.
+class BrotliError extends Error {
+  constructor(code, message, bitOffset) {
+    const byteOffset = Math.floor(bitOffset / 8);
+    super(`${message} (byte ${byteOffset}, bit ${bitOffset & 7})`);
+    this.name = "BrotliError";
+    this.code = code;
+    this.byteOffset = byteOffset;
+    this.bitOffset = bitOffset;
+  }
+}
+
+// Thrown by BitReader when a read needs bytes that have not arrived yet
+const kNeedMoreInput = new Error("More input needed");
 
-// Bit reading utilities
+// Bit reading utilities. Input may arrive in chunks through append(); until
+// the last chunk is appended, reading past the end throws kNeedMoreInput.
 class BitReader {
-  constructor(data) {
+  constructor(data = new Uint8Array(0)) {
     this.data = data instanceof Uint8Array ? data : new Uint8Array(data);
     this.pos = 0;
-    this.bitPos = 0;
     this.val = 0;
     this.bitsAvailable = 0;
+    this.isFinal = true;
+
+    // Number of input bytes discarded before data[0]
+    this.offset = 0;
+  }
+
+  append(chunk, isFinal) {
+    this.offset += this.pos;
+    if (this.pos < this.data.length) {
+      const data = new Uint8Array(this.data.length - this.pos + chunk.length);
+      data.set(this.data.subarray(this.pos));
+      data.set(chunk, this.data.length - this.pos);
+      this.data = data;
+    } else {
+      this.data = chunk;
+    }
+    this.pos = 0;
+    this.isFinal = isFinal;
+  }
+
+  // Copy unread bytes so the caller's chunk is not retained between appends
+  compact() {
+    this.offset += this.pos;
+    this.data = this.data.slice(this.pos);
+    this.pos = 0;
+  }
+
+  // Whether n more bits can be read without running out of input
+  hasBits(n) {
+    return (
+      this.isFinal ||
+      this.bitsAvailable + (this.data.length - this.pos) * 8 >= n
+    );
+  }
+
+  save() {
+    return [this.pos, this.val, this.bitsAvailable];
+  }
+
+  restore([pos, val, bitsAvailable]) {
+    this.pos = pos;
+    this.val = val;
+    this.bitsAvailable = bitsAvailable;
+  }
+
+  // Position of the next unread bit in the whole input
+  bitPosition() {
+    return (this.offset + this.pos) * 8 - this.bitsAvailable;
+  }
+
+  // Create a BrotliError at the current position
+  error(code, message) {
+    return new BrotliError(code, message, this.bitPosition());
+  }
+
+  underflow() {
+    if (!this.isFinal) throw kNeedMoreInput;
+    throw this.error("TRUNCATED", "Unexpected end of input");
   }
 
+  // Fill the bit buffer to 32 bits, or as far as the input allows. Bit 31
+  // makes val negative, which the masks and >>> shifts below ignore.
   fillBits() {
-    while (this.bitsAvailable < 24 && this.pos < this.data.length) {
+    while (this.bitsAvailable <= 24 && this.pos < this.data.length) {
       this.val |= this.data[this.pos++] << this.bitsAvailable;
       this.bitsAvailable += 8;
     }
@@ -132,6 +230,7 @@ class BitReader {
   readBits(n) {
     if (n === 0) return 0;
     this.fillBits();
+    if (this.bitsAvailable < n) this.underflow();
     const result = this.val & ((1 << n) - 1);
     this.val >>>= n;
     this.bitsAvailable -= n;
@@ -144,65 +243,122 @@ class BitReader {
   }
 
   dropBits(n) {
+    if (this.bitsAvailable < n) this.underflow();
     this.val >>>= n;
     this.bitsAvailable -= n;
   }
-}
 
-// Huffman decoding
-function buildHuffmanTable(codeLengths, numSymbols) {
-  const table = [];
-  const maxLen = Math.max(...codeLengths.slice(0, numSymbols));
+  // Skip the remaining bits of the current byte and return the byte offset of
+  // the next unread byte, discarding any buffered whole bytes
+  alignToByte() {
+    this.dropBits(this.bitsAvailable & 7);
+    this.pos -= this.bitsAvailable >> 3;
+    this.val = 0;
+    this.bitsAvailable = 0;
+    return this.pos;
+  }
+}
 
-  if (maxLen === 0) return table;
+// Prefix codes are decoded with two-level lookup tables, as in the reference
+// decoder. The low kHuffmanRootBits bits of input index a root table, whose
+// entries are (length << 16) | symbol for codes of up to that many bits.
+// For longer codes the root entry is ((kHuffmanRootBits + subtable bits)
+// << 16) | subtable index, and the following bits index the subtable.
+const kHuffmanRootBits = 8;
+const kHuffmanRootMask = (1 << kHuffmanRootBits) - 1;
 
-  const blCount = new Array(maxLen + 1).fill(0);
+// Build the lookup table of a prefix code from its code lengths
+function buildHuffmanTable(codeLengths, numSymbols) {
+  const rootSize = 1 << kHuffmanRootBits;
+  const blCount = new Uint16Array(16);
+  let numCodes = 0;
+  let lastSymbol = 0;
   for (let i = 0; i < numSymbols; i++) {
-    if (codeLengths[i] > 0) blCount[codeLengths[i]]++;
+    if (codeLengths[i] > 0) {
+      blCount[codeLengths[i]]++;
+      numCodes++;
+      lastSymbol = i;
+    }
   }
 
-  const nextCode = new Array(maxLen + 1).fill(0);
+  // A lone symbol is coded with no bits
+  if (numCodes <= 1) return new Uint32Array(rootSize).fill(lastSymbol);
+
+  const nextCode = new Uint16Array(16);
   let code = 0;
-  for (let bits = 1; bits <= maxLen; bits++) {
+  for (let bits = 1; bits < 16; bits++) {
     code = (code + blCount[bits - 1]) << 1;
     nextCode[bits] = code;
   }
 
+  // Codes are read least significant bit first, so reverse them
+  const codes = new Uint16Array(numSymbols);
   for (let i = 0; i < numSymbols; i++) {
     const len = codeLengths[i];
     if (len > 0) {
       let c = nextCode[len]++;
-      // Reverse bits
       let rc = 0;
       for (let j = 0; j < len; j++) {
         rc = (rc << 1) | (c & 1);
         c >>>= 1;
       }
-      table.push({ symbol: i, bits: rc, len: len });
+      codes[i] = rc;
+    }
+  }
+
+  // Each root entry with longer codes gets a subtable for its longest one
+  const subtableBits = new Uint8Array(rootSize);
+  for (let i = 0; i < numSymbols; i++) {
+    const len = codeLengths[i];
+    if (len > kHuffmanRootBits) {
+      const root = codes[i] & kHuffmanRootMask;
+      subtableBits[root] = Math.max(subtableBits[root], len - kHuffmanRootBits);
     }
   }
+  let tableSize = rootSize;
+  for (let root = 0; root < rootSize; root++) {
+    if (subtableBits[root] > 0) tableSize += 1 << subtableBits[root];
+  }
 
-  // Sort for faster lookup
-  table.sort((a, b) => a.len - b.len || a.bits - b.bits);
+  const table = new Uint32Array(tableSize);
+  let offset = rootSize;
+  for (let root = 0; root < rootSize; root++) {
+    if (subtableBits[root] > 0) {
+      table[root] = ((kHuffmanRootBits + subtableBits[root]) << 16) | offset;
+      offset += 1 << subtableBits[root];
+    }
+  }
 
+  // Fill every entry whose low bits are a symbol's code
+  for (let i = 0; i < numSymbols; i++) {
+    const len = codeLengths[i];
+    if (len === 0) continue;
+    const entry = (len << 16) | i;
+    if (len <= kHuffmanRootBits) {
+      for (let j = codes[i]; j < rootSize; j += 1 << len) table[j] = entry;
+    } else {
+      const root = codes[i] & kHuffmanRootMask;
+      const subtable = table[root] & 0xffff;
+      const subtableSize = 1 << subtableBits[root];
+      const step = 1 << (len - kHuffmanRootBits);
+      for (let j = codes[i] >>> kHuffmanRootBits; j < subtableSize; j += step) {
+        table[subtable + j] = entry;
+      }
+    }
+  }
   return table;
 }
 
 function readHuffmanSymbol(br, table) {
-  if (table.length === 0) return 0;
-  if (table.length === 1) return table[0].symbol;
-
-  br.fillBits();
-
-  for (const entry of table) {
-    const mask = (1 << entry.len) - 1;
-    if ((br.val & mask) === entry.bits) {
-      br.dropBits(entry.len);
-      return entry.symbol;
-    }
+  if (br.bitsAvailable < 15) br.fillBits();
+  let entry = table[br.val & kHuffmanRootMask];
+  if (entry >>> 16 > kHuffmanRootBits) {
+    const subtableMask = (1 << ((entry >>> 16) - kHuffmanRootBits)) - 1;
+    entry =
+      table[(entry & 0xffff) + ((br.val >>> kHuffmanRootBits) & subtableMask)];
   }
-
-  throw new Error("Invalid Huffman code");
+  br.dropBits(entry >>> 16);
+  return entry & 0xffff;
 }
 
 // Read simple prefix code (RFC 7932 section 3.4)
@@ -213,7 +369,11 @@ function readSimplePrefixCode(br, alphabetSize) {
 
   const symbols = [];
   for (let i = 0; i < numSymbols; i++) {
-    symbols.push(br.readBits(symbolBits));
+    const symbol = br.readBits(symbolBits);
+    if (symbol >= alphabetSize || symbols.includes(symbol)) {
+      throw br.error("BAD_PREFIX_CODE", "Invalid simple prefix code symbol");
+    }
+    symbols.push(symbol);
   }
 
   if (numSymbols === 1) {
@@ -228,15 +388,15 @@ function readSimplePrefixCode(br, alphabetSize) {
   } else {
     const treeSelect = br.readBits(1);
     if (treeSelect) {
-      codeLengths[symbols[0]] = 2;
-      codeLengths[symbols[1]] = 2;
-      codeLengths[symbols[2]] = 2;
-      codeLengths[symbols[3]] = 2;
-    } else {
       codeLengths[symbols[0]] = 1;
       codeLengths[symbols[1]] = 2;
       codeLengths[symbols[2]] = 3;
       codeLengths[symbols[3]] = 3;
+    } else {
+      codeLengths[symbols[0]] = 2;
+      codeLengths[symbols[1]] = 2;
+      codeLengths[symbols[2]] = 2;
+      codeLengths[symbols[3]] = 2;
     }
   }
 
@@ -250,62 +410,74 @@ function readComplexPrefixCode(br, alphabetSize, skip) {
   let space = 32;
   let numCodes = 0;
 
-  for (let i = skip; i < 18 && space > 0; i++) {
-    const idx = kCodeLengthCodeOrder[i];
-    const maxBits = Math.min(4, Math.floor(Math.log2(space + 1)));
-    let v = br.peekBits(maxBits);
-
-    // Simple variable-length code
-    let len;
-    if (v < 4) {
-      len = v;
-      br.dropBits(2);
-    } else if (v < 12) {
-      len = 4;
-      br.dropBits(4);
-    } else {
-      len = 5;
-      br.dropBits(4);
-    }
+  for (let i = skip; i < 18; i++) {
+    const v = br.peekBits(4);
+    br.dropBits(kCodeLengthPrefixLength[v]);
+    const len = kCodeLengthPrefixValue[v];
 
-    codeLengthCodeLengths[idx] = len;
+    codeLengthCodeLengths[kCodeLengthCodeOrder[i]] = len;
     if (len > 0) {
       space -= 32 >> len;
       numCodes++;
+      if (space <= 0) break;
     }
   }
 
+  if (numCodes !== 1 && space !== 0) {
+    throw br.error("BAD_PREFIX_CODE", "Invalid code length code");
+  }
+
   const codeLengthTable = buildHuffmanTable(codeLengthCodeLengths, 18);
 
   // Read symbol code lengths
   const codeLengths = new Uint8Array(alphabetSize);
   let symbol = 0;
   let prevCodeLen = 8;
-  let repeatCode = 0;
-  let repeatCount = 0;
+  let repeat = 0;
+  let repeatCodeLen = 0;
   space = 32768;
 
   while (symbol < alphabetSize && space > 0) {
     const code = readHuffmanSymbol(br, codeLengthTable);
 
     if (code < 16) {
+      repeat = 0;
       codeLengths[symbol++] = code;
       if (code > 0) {
         prevCodeLen = code;
         space -= 32768 >> code;
       }
-    } else if (code === 16) {
-      const extra = br.readBits(2) + 3;
-      for (let i = 0; i < extra && symbol < alphabetSize; i++) {
-        codeLengths[symbol++] = prevCodeLen;
-        space -= 32768 >> prevCodeLen;
+    } else {
+      // 16 repeats the previous non-zero length, 17 repeats zeros. Consecutive
+      // repeat codes of the same kind extend the previous run.
+      const extraBits = code === 16 ? 2 : 3;
+      const newLen = code === 16 ? prevCodeLen : 0;
+      if (repeatCodeLen !== newLen) {
+        repeat = 0;
+        repeatCodeLen = newLen;
+      }
+      const oldRepeat = repeat;
+      if (repeat > 0) {
+        repeat = (repeat - 2) << extraBits;
+      }
+      repeat += br.readBits(extraBits) + 3;
+      const delta = repeat - oldRepeat;
+      if (symbol + delta > alphabetSize) {
+        throw br.error("BAD_PREFIX_CODE", "Invalid code length repeat");
+      }
+      for (let i = 0; i < delta; i++) {
+        codeLengths[symbol++] = repeatCodeLen;
+      }
+      if (repeatCodeLen > 0) {
+        space -= delta * (32768 >> repeatCodeLen);
       }
-    } else if (code === 17) {
-      const extra = br.readBits(3) + 3;
-      symbol += extra;
     }
   }
 
+  if (space !== 0) {
+    throw br.error("BAD_PREFIX_CODE", "Invalid prefix code");
+  }
+
   return buildHuffmanTable(codeLengths, alphabetSize);
 }
 
@@ -320,179 +492,800 @@ function readPrefixCode(br, alphabetSize) {
   return readComplexPrefixCode(br, alphabetSize, skip);
 }
 
-// Context mode constants
-const kContextLookup = new Uint8Array(512);
+// Context lookup tables (RFC 7932 section 7.1). The first 512 entries are the
+// UTF8 mode tables for the last and second-to-last byte, the next 256 are the
+// signed mode table.
+const kContextLookup = new Uint8Array(768);
 (function () {
-  // LSB6 context lookup
+  // UTF8 context of the last byte, ASCII range
+  const lut0 = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 4, 4, 0, 0, 4, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0, 0, 8, 12, 16, 12, 12, 20, 12, 16, 24, 28, 12, 12, 32, 12,
+    36, 12, 44, 44, 44, 44, 44, 44, 44, 44, 44, 44, 32, 32, 24, 40, 28, 12, 12,
+    48, 52, 52, 52, 48, 52, 52, 52, 48, 52, 52, 52, 52, 52, 48, 52, 52, 52, 52,
+    52, 48, 52, 52, 52, 52, 52, 24, 12, 28, 12, 12, 12, 56, 60, 60, 60, 56, 60,
+    60, 60, 56, 60, 60, 60, 60, 60, 56, 60, 60, 60, 60, 60, 56, 60, 60, 60, 60,
+    60, 24, 12, 28, 12, 0,
+  ];
+  for (let i = 0; i < 128; i++) {
+    kContextLookup[i] = lut0[i];
+  }
+  // UTF8 continuation and lead bytes alternate between two contexts
+  for (let i = 128; i < 256; i++) {
+    kContextLookup[i] = (i & 1) + (i < 192 ? 0 : 2);
+  }
+
+  // UTF8 context of the second-to-last byte
   for (let i = 0; i < 256; i++) {
-    kContextLookup[i] = i & 0x3f;
+    let v;
+    if (i >= 0x80) {
+      v = i >= 0xe0 ? 2 : 0;
+    } else if (i >= 0x61 && i <= 0x7a) {
+      v = 3;
+    } else if ((i >= 0x41 && i <= 0x5a) || (i >= 0x30 && i <= 0x39)) {
+      v = 2;
+    } else {
+      v = i >= 0x21 && i < 0x7f ? 1 : 0;
+    }
+    kContextLookup[256 + i] = v;
   }
-  // MSB6 context lookup
+
+  // Signed context, grouping bytes by magnitude of their signed value
   for (let i = 0; i < 256; i++) {
-    kContextLookup[256 + i] = i >> 2;
+    let v;
+    if (i === 0) v = 0;
+    else if (i < 16) v = 1;
+    else if (i < 64) v = 2;
+    else if (i < 128) v = 3;
+    else if (i < 192) v = 4;
+    else if (i < 240) v = 5;
+    else if (i < 255) v = 6;
+    else v = 7;
+    kContextLookup[512 + i] = v;
   }
 })();
 
-// The static dictionary
-// TODO: Implement full static dictionary from RFC 7932 Appendix A for complete
-// decompression support of streams that use dictionary references.
-// Currently, only streams without dictionary references are supported.
+// Compute the literal context ID from the two previous bytes (RFC 7932 section 7.1)
+function getLiteralContext(contextMode, prevByte1, prevByte2) {
+  if (contextMode === 0) {
+    return prevByte1 & 0x3f;
+  } else if (contextMode === 1) {
+    return prevByte1 >> 2;
+  } else if (contextMode === 2) {
+    return kContextLookup[prevByte1] | kContextLookup[256 + prevByte2];
+  }
+  return (
+    (kContextLookup[512 + prevByte1] << 3) | kContextLookup[512 + prevByte2]
+  );
+}
+
+// The static dictionary (RFC 7932 Appendix A) is unpacked on first use from
+// kDictionaryData, a Brotli stream without any dictionary references
 let staticDictionary = null;
 
 function getStaticDictionary() {
   if (staticDictionary) return staticDictionary;
-  staticDictionary = { words: new Uint8Array(0), offsets: [] };
+  const binary = atob(kDictionaryData);
+  const compressed = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    compressed[i] = binary.charCodeAt(i);
+  }
+  staticDictionary = brotliDecompress(compressed);
   return staticDictionary;
 }
 
-// Main decompression function
-function brotliDecompress(input) {
-  const br = new BitReader(input);
-  const output = [];
-
-  // Read window bits (WBITS)
-  let windowBits;
-  if (br.readBits(1) === 0) {
-    windowBits = 16;
-  } else {
-    const w = br.readBits(3);
-    if (w === 0) {
-      windowBits = 17;
-    } else {
-      windowBits = 17 + w;
+// Offset of the first dictionary word of each length (4..24)
+const kDictionaryOffsetsByLength = new Uint32Array([
+  0, 0, 0, 0, 0, 4096, 9216, 21504, 35840, 44032, 53248, 63488, 74752, 87040,
+  93696, 100864, 104704, 106752, 108928, 113536, 115968, 118528, 119872, 121280,
+  122016,
+]);
+
+// Number of bits used to index dictionary words of each length (NDBITS)
+const kDictionarySizeBitsByLength = new Uint8Array([
+  0, 0, 0, 0, 10, 10, 11, 11, 10, 10, 10, 10, 10, 9, 9, 8, 7, 7, 8, 7, 7, 6, 6,
+  5, 5,
+]);
+
+// Word transform types: 0 is the identity, 1..9 omit the last 1..9 bytes and
+// 12..20 omit the first 1..9 bytes
+const kUppercaseFirst = 10;
+const kUppercaseAll = 11;
+
+// Dictionary word transforms (RFC 7932 Appendix B): [prefix, type, suffix]
+const kTransforms = [
+  ["", 0, ""],
+  ["", 0, " "],
+  [" ", 0, " "],
+  ["", 12, ""],
+  ["", kUppercaseFirst, " "],
+  ["", 0, " the "],
+  [" ", 0, ""],
+  ["s ", 0, " "],
+  ["", 0, " of "],
+  ["", kUppercaseFirst, ""],
+  ["", 0, " and "],
+  ["", 13, ""],
+  ["", 1, ""],
+  [", ", 0, " "],
+  ["", 0, ", "],
+  [" ", kUppercaseFirst, " "],
+  ["", 0, " in "],
+  ["", 0, " to "],
+  ["e ", 0, " "],
+  ["", 0, '"'],
+  ["", 0, "."],
+  ["", 0, '">'],
+  ["", 0, "\n"],
+  ["", 3, ""],
+  ["", 0, "]"],
+  ["", 0, " for "],
+  ["", 14, ""],
+  ["", 2, ""],
+  ["", 0, " a "],
+  ["", 0, " that "],
+  [" ", kUppercaseFirst, ""],
+  ["", 0, ". "],
+  [".", 0, ""],
+  [" ", 0, ", "],
+  ["", 15, ""],
+  ["", 0, " with "],
+  ["", 0, "'"],
+  ["", 0, " from "],
+  ["", 0, " by "],
+  ["", 16, ""],
+  ["", 17, ""],
+  [" the ", 0, ""],
+  ["", 4, ""],
+  ["", 0, ". The "],
+  ["", kUppercaseAll, ""],
+  ["", 0, " on "],
+  ["", 0, " as "],
+  ["", 0, " is "],
+  ["", 7, ""],
+  ["", 1, "ing "],
+  ["", 0, "\n\t"],
+  ["", 0, ":"],
+  [" ", 0, ". "],
+  ["", 0, "ed "],
+  ["", 20, ""],
+  ["", 18, ""],
+  ["", 6, ""],
+  ["", 0, "("],
+  ["", kUppercaseFirst, ", "],
+  ["", 8, ""],
+  ["", 0, " at "],
+  ["", 0, "ly "],
+  [" the ", 0, " of "],
+  ["", 5, ""],
+  ["", 9, ""],
+  [" ", kUppercaseFirst, ", "],
+  ["", kUppercaseFirst, '"'],
+  [".", 0, "("],
+  ["", kUppercaseAll, " "],
+  ["", kUppercaseFirst, '">'],
+  ["", 0, '="'],
+  [" ", 0, "."],
+  [".com/", 0, ""],
+  [" the ", 0, " of the "],
+  ["", kUppercaseFirst, "'"],
+  ["", 0, ". This "],
+  ["", 0, ","],
+  [".", 0, " "],
+  ["", kUppercaseFirst, "("],
+  ["", kUppercaseFirst, "."],
+  ["", 0, " not "],
+  [" ", 0, '="'],
+  ["", 0, "er "],
+  [" ", kUppercaseAll, " "],
+  ["", 0, "al "],
+  [" ", kUppercaseAll, ""],
+  ["", 0, "='"],
+  ["", kUppercaseAll, '"'],
+  ["", kUppercaseFirst, ". "],
+  [" ", 0, "("],
+  ["", 0, "ful "],
+  [" ", kUppercaseFirst, ". "],
+  ["", 0, "ive "],
+  ["", 0, "less "],
+  ["", kUppercaseAll, "'"],
+  ["", 0, "est "],
+  [" ", kUppercaseFirst, "."],
+  ["", kUppercaseAll, '">'],
+  [" ", 0, "='"],
+  ["", kUppercaseFirst, ","],
+  ["", 0, "ize "],
+  ["", kUppercaseAll, "."],
+  ["\xc2\xa0", 0, ""],
+  [" ", 0, ","],
+  ["", kUppercaseFirst, '="'],
+  ["", kUppercaseAll, '="'],
+  ["", 0, "ous "],
+  ["", kUppercaseAll, ", "],
+  ["", kUppercaseFirst, "='"],
+  [" ", kUppercaseFirst, ","],
+  [" ", kUppercaseAll, '="'],
+  [" ", kUppercaseAll, ", "],
+  ["", kUppercaseAll, ","],
+  ["", kUppercaseAll, "("],
+  ["", kUppercaseAll, ". "],
+  [" ", kUppercaseAll, "."],
+  ["", kUppercaseAll, "='"],
+  [" ", kUppercaseAll, ". "],
+  [" ", kUppercaseFirst, '="'],
+  [" ", kUppercaseAll, "='"],
+  [" ", kUppercaseFirst, "='"],
+];
+
+// Uppercase the character starting at word[i] with the simplified UTF-8 model
+// of RFC 7932 Appendix B, returning the number of bytes it spans
+function toUpperCase(word, i, end) {
+  if (word[i] < 0xc0) {
+    if (word[i] >= 97 && word[i] <= 122) {
+      word[i] ^= 32;
     }
+    return 1;
+  }
+  if (word[i] < 0xe0) {
+    if (i + 1 < end) word[i + 1] ^= 32;
+    return 2;
   }
+  if (i + 2 < end) word[i + 2] ^= 5;
+  return 3;
+}
 
-  const windowSize = (1 << windowBits) - 16;
-  const ringBuffer = new Uint8Array(windowSize);
-  let ringBufferPos = 0;
+// Apply an uppercase transform type to word[start, end)
+function uppercaseWord(word, start, end, type) {
+  if (type === kUppercaseFirst && end > start) {
+    toUpperCase(word, start, end);
+  } else if (type === kUppercaseAll) {
+    for (let i = start; i < end; ) {
+      i += toUpperCase(word, i, end);
+    }
+  }
+}
 
-  // Distance ring buffer
-  const distRingBuffer = [4, 11, 15, 16];
-  let distRingBufferIdx = 0;
+// Resolve a static dictionary reference to its transformed bytes, or null if
+// there is no such word or transform
+function transformDictionaryWord(copyLen, wordId) {
+  if (copyLen < 4 || copyLen > 24) return null;
+
+  const sizeBits = kDictionarySizeBitsByLength[copyLen];
+  const transformIdx = Math.floor(wordId / (1 << sizeBits));
+  if (transformIdx >= kTransforms.length) return null;
+
+  const dictionary = getStaticDictionary();
+  const offset =
+    kDictionaryOffsetsByLength[copyLen] +
+    (wordId & ((1 << sizeBits) - 1)) * copyLen;
+  const [prefix, type, suffix] = kTransforms[transformIdx];
+
+  let start = offset;
+  let end = offset + copyLen;
+  if (type > kUppercaseAll) {
+    start += Math.min(type - kUppercaseAll, copyLen);
+  } else if (type < kUppercaseFirst) {
+    end = Math.max(start, end - type);
+  }
 
-  // Main decompression loop
-  let isLast = false;
-  while (!isLast) {
-    // Read meta-block header
-    isLast = br.readBits(1) === 1;
+  const word = [];
+  for (let i = 0; i < prefix.length; i++) {
+    word.push(prefix.charCodeAt(i));
+  }
+  const wordStart = word.length;
+  for (let i = start; i < end; i++) {
+    word.push(dictionary[i]);
+  }
 
-    if (isLast && br.peekBits(1) === 1) {
-      br.dropBits(1);
-      // Empty last block
-      break;
+  uppercaseWord(word, wordStart, word.length, type);
+
+  for (let i = 0; i < suffix.length; i++) {
+    word.push(suffix.charCodeAt(i));
+  }
+
+  return word;
+}
+
+// Decoder states
+const kStateStreamHeader = 0;
+const kStateMetaBlockHeader = 1;
+const kStateUncompressed = 2;
+const kStateMetadata = 3;
+const kStateCommand = 4;
+const kStateLiterals = 5;
+const kStateDistance = 6;
+const kStateDone = 7;
+
+// Upper bound on the bits one literal, command or distance step reads
+// (including a block switch). Steps with at least this much input left skip
+// saving the state needed to rewind them.
+const kMaxStepBits = 160;
+
+// Most literals one decodeLiterals step reserves output for, so a long insert
+// length grows the output buffer as literals arrive rather than all at once
+const kMaxLiteralBatch = 1 << 16;
+
+// Read the block type and count header of one category (RFC 7932 section 9.2)
+function readBlockTypes(br) {
+  const blocks = {
+    numTypes: readVarInt(br) + 1,
+    typeTable: null,
+    lengthTable: null,
+    type: 0,
+    prevType: 1,
+    length: 1 << 28,
+  };
+  if (blocks.numTypes > 1) {
+    blocks.typeTable = readPrefixCode(br, blocks.numTypes + 2);
+    blocks.lengthTable = readPrefixCode(br, 26);
+    blocks.length = readBlockLength(br, blocks.lengthTable);
+  }
+  return blocks;
+}
+
+// Switch to the next block of a category once the current one is used up
+function updateBlock(br, blocks) {
+  if (blocks.length === 0) {
+    const type = readBlockSwitch(
+      br,
+      blocks.typeTable,
+      blocks.type,
+      blocks.prevType,
+      blocks.numTypes,
+    );
+    blocks.prevType = blocks.type;
+    blocks.type = type;
+    blocks.length = readBlockLength(br, blocks.lengthTable);
+  }
+  blocks.length--;
+}
+
+// Approximate bytes used per Huffman table entry, for maxMemory accounting
+const kHuffmanEntryBytes = 32;
+
+// Read a non-negative integer (or Infinity) limit from an options object
+function getLimitOption(options, name, defaultValue) {
+  const value = options[name];
+  if (value === undefined) return defaultValue;
+  if (!(Number.isInteger(value) || value === Infinity) || value < 0) {
+    throw new RangeError(`Invalid ${name}: ${value}`);
+  }
+  return value;
+}
+
+// Read options.dictionary, a custom dictionary shared by the encoder and
+// decoder (google/brotli's raw shared dictionary), as bytes
+function getDictionaryOption(options) {
+  const dictionary = options.dictionary;
+  if (dictionary === undefined) return new Uint8Array(0);
+  return typeof dictionary === "string"
+    ? new TextEncoder().encode(dictionary)
+    : toUint8Array(dictionary);
+}
+
+// Streaming decompressor. Compressed chunks are fed with push(), which returns
+// the bytes decoded so far; decoding suspends whenever the input runs out and
+// resumes with the next chunk, keeping the sliding window and last distances.
+//
+// Untrusted input can be bounded with options.maxOutputLength (total bytes
+// produced), options.maxWindowBits (largest WBITS accepted, 24 by default)
+// and options.maxMemory (window plus prefix code tables, in bytes).
+// options.largeWindow accepts Large Window Brotli streams, with windows of up
+// to 30 bits. options.dictionary is the custom dictionary the stream was
+// compressed with, and options.onMetadata is called with the payload of each
+// non-empty metadata meta-block, which is otherwise skipped.
+class BrotliDecoder {
+  constructor(options = {}) {
+    this.largeWindow = options.largeWindow === true;
+    this.maxOutputLength = getLimitOption(options, "maxOutputLength", Infinity);
+    this.maxWindowBits = getLimitOption(
+      options,
+      "maxWindowBits",
+      this.largeWindow ? kLargeMaxWindowBits : kMaxWindowBits,
+    );
+    this.maxMemory = getLimitOption(options, "maxMemory", Infinity);
+    this.dictionary = getDictionaryOption(options);
+    this.onMetadata = options.onMetadata;
+    if (
+      this.onMetadata !== undefined &&
+      typeof this.onMetadata !== "function"
+    ) {
+      throw new TypeError("options.onMetadata must be a function");
     }
 
-    // Read meta-block length (MLEN)
-    const mnibbles = br.readBits(2);
-    let metaBlockLen;
+    this.br = new BitReader();
+    this.state = kStateStreamHeader;
+    this.totalOut = 0;
+
+    // Output buffer, which is also the window: bytes before outputStart have
+    // been returned by push() and are kept only while copies can reach them.
+    // Each meta-block header reserves room for its MLEN, unless that would
+    // take a buffer larger than maxMemory. Writes also reserve their own room
+    // just before they are made, so a meta-block whose input never arrives
+    // costs no more than maxMemory.
+    this.output = new Uint8Array(0);
+    this.outputStart = 0;
+    this.outputLength = 0;
+    this.maxBackwardDistance = 0;
+    this.distanceBits = kMaxDistanceBits;
+
+    // Distance ring buffer, the last distance is at (distRingBufferIdx - 1) & 3
+    this.distRingBuffer = [16, 15, 11, 4];
+    this.distRingBufferIdx = 0;
+
+    // Last two bytes of output, used for literal context modeling
+    this.prevByte1 = 0;
+    this.prevByte2 = 0;
+
+    // Current meta-block and command
+    this.isLast = false;
+    this.metaBlock = null;
+    this.metaBlockRemaining = 0;
+    this.insertRemaining = 0;
+    this.copyLen = 0;
+    this.distanceCode = 0;
+
+    // Payload of the current metadata meta-block, if it is being kept
+    this.metadata = null;
+  }
 
-    if (mnibbles === 3) {
-      // Empty meta-block
-      metaBlockLen = 0;
-      br.readBits(1); // Reserved bit
-      if (br.readBits(1)) {
-        // Skip bytes
-        const skipBytes = br.readBits(2) + 1;
-        while (br.bitPos % 8 !== 0) br.readBits(1);
-        for (let i = 0; i < skipBytes; i++) br.readBits(8);
+  get isFinished() {
+    return this.state === kStateDone;
+  }
+
+  // Decode a chunk of compressed input, returning the output it completes.
+  // Pass isLast = true with the final chunk.
+  push(chunk, isLast = false) {
+    this.br.append(toUint8Array(chunk), isLast);
+    this.decode();
+    this.br.compact();
+    if (isLast && this.state !== kStateDone) {
+      throw this.br.error("TRUNCATED", "Unexpected end of input");
+    }
+
+    // The finished stream's buffer is never written again, so it can be
+    // returned without copying
+    const output =
+      this.state === kStateDone
+        ? this.output.subarray(this.outputStart, this.outputLength)
+        : this.output.slice(this.outputStart, this.outputLength);
+    this.outputStart = this.outputLength;
+    return output;
+  }
+
+  // Signal the end of input, returning any remaining output
+  finish() {
+    return this.push(new Uint8Array(0), true);
+  }
+
+  decode() {
+    const br = this.br;
+    while (this.state !== kStateDone) {
+      if (this.state === kStateStreamHeader) {
+        if (!this.tryRead(this.readStreamHeader)) return;
+      } else if (this.state === kStateMetaBlockHeader) {
+        if (this.isLast) {
+          if (!this.tryRead(this.readStreamEnd)) return;
+        } else if (!this.tryRead(this.readMetaBlockHeader)) {
+          return;
+        }
+      } else if (this.state === kStateUncompressed) {
+        // Copy as much of the stored bytes as has arrived
+        const n = Math.min(this.metaBlockRemaining, br.data.length - br.pos);
+        this.writeBytes(br.data.subarray(br.pos, br.pos + n));
+        br.pos += n;
+        this.metaBlockRemaining -= n;
+        if (this.metaBlockRemaining > 0) {
+          if (br.isFinal) br.underflow();
+          return;
+        }
+        this.state = kStateMetaBlockHeader;
+      } else if (this.state === kStateMetadata) {
+        const n = Math.min(this.metaBlockRemaining, br.data.length - br.pos);
+        if (this.metadata) {
+          this.metadata.set(
+            br.data.subarray(br.pos, br.pos + n),
+            this.metadata.length - this.metaBlockRemaining,
+          );
+        }
+        br.pos += n;
+        this.metaBlockRemaining -= n;
+        if (this.metaBlockRemaining > 0) {
+          if (br.isFinal) br.underflow();
+          return;
+        }
+        this.state = kStateMetaBlockHeader;
+        if (this.metadata) {
+          const metadata = this.metadata;
+          this.metadata = null;
+          this.onMetadata(metadata);
+        }
+      } else if (this.state === kStateCommand) {
+        if (this.metaBlockRemaining === 0) {
+          this.state = kStateMetaBlockHeader;
+          continue;
+        }
+        if (!this.step(this.readCommand)) return;
+      } else if (this.state === kStateLiterals) {
+        if (this.insertRemaining > 0) {
+          if (this.metaBlockRemaining === 0) {
+            throw br.error(
+              "INVALID_META_BLOCK_LENGTH",
+              "Insert length exceeds meta-block length",
+            );
+          }
+          if (!this.step(this.decodeLiterals)) return;
+        } else {
+          // The copy of the last command in a meta-block is ignored
+          this.state =
+            this.metaBlockRemaining > 0
+              ? kStateDistance
+              : kStateMetaBlockHeader;
+        }
+      } else {
+        if (!this.step(this.decodeCopy)) return;
       }
-      continue;
     }
+  }
+
+  // Run a reader that may run out of input. On kNeedMoreInput the bit reader
+  // and block positions are rewound so the read can be retried once more
+  // input has arrived. Readers only write output after their last read.
+  tryRead(read) {
+    const saved = this.br.save();
+    const blocks = this.metaBlock
+      ? [
+          this.metaBlock.literalBlocks,
+          this.metaBlock.commandBlocks,
+          this.metaBlock.distanceBlocks,
+        ]
+      : [];
+    const savedBlocks = blocks.map(({ type, prevType, length }) => ({
+      type,
+      prevType,
+      length,
+    }));
+    try {
+      read.call(this);
+      return true;
+    } catch (e) {
+      if (e !== kNeedMoreInput) throw e;
+      this.br.restore(saved);
+      blocks.forEach((block, i) => Object.assign(block, savedBlocks[i]));
+      return false;
+    }
+  }
 
-    const nibbles = (4 + mnibbles) * 4;
-    metaBlockLen = br.readBits(nibbles) + 1;
+  // Run one literal, command or distance step
+  step(read) {
+    if (this.br.hasBits(kMaxStepBits)) {
+      read.call(this);
+      return true;
+    }
+    return this.tryRead(read);
+  }
+
+  // Make room for length more bytes of output, first dropping returned
+  // bytes that are out of the window. The kept bytes are only moved when that
+  // frees at least half the buffer, so short writes do not move the whole
+  // window each time. Nothing is reserved if that would take a buffer of more
+  // than maxSize bytes.
+  reserveOutput(length, maxSize = Infinity) {
+    if (this.outputLength + length <= this.output.length) return;
+    const keepFrom = Math.max(
+      0,
+      Math.min(this.outputStart, this.outputLength - this.maxBackwardDistance),
+    );
+    const needed = this.outputLength - keepFrom + length;
+    if (needed <= this.output.length / 2) {
+      this.output.copyWithin(0, keepFrom, this.outputLength);
+    } else {
+      const size = Math.max(needed, this.output.length * 2);
+      if (size > maxSize) return;
+      const output = new Uint8Array(size);
+      output.set(this.output.subarray(keepFrom, this.outputLength));
+      this.output = output;
+    }
+    this.outputStart -= keepFrom;
+    this.outputLength -= keepFrom;
+  }
+
+  writeBytes(bytes) {
+    this.reserveOutput(bytes.length);
+    this.output.set(bytes, this.outputLength);
+    this.advanceOutput(bytes.length);
+  }
 
-    if (isLast && metaBlockLen === 0) break;
+  // Account for n bytes just written at the end of the output
+  advanceOutput(n) {
+    if (n === 0) return;
+    this.outputLength += n;
+    this.totalOut += n;
+    this.prevByte2 =
+      n > 1 ? this.output[this.outputLength - 2] : this.prevByte1;
+    this.prevByte1 = this.output[this.outputLength - 1];
+  }
 
-    // Check for uncompressed block
-    if (!isLast) {
-      const isUncompressed = br.readBits(1);
-      if (isUncompressed) {
-        // Align to byte boundary
-        // Calculate actual byte position by accounting for buffered bits
-        const bitsConsumed = br.pos * 8 - br.bitsAvailable;
-        const bytesConsumed = Math.floor(bitsConsumed / 8);
-        const bitsInCurrentByte = bitsConsumed % 8;
-
-        // Reset to byte-aligned position
-        br.pos = bytesConsumed + (bitsInCurrentByte > 0 ? 1 : 0);
-        br.bitsAvailable = 0;
-        br.val = 0;
-
-        // Copy uncompressed data
-        for (let i = 0; i < metaBlockLen; i++) {
-          const byte = br.data[br.pos++];
-          output.push(byte);
-          ringBuffer[ringBufferPos] = byte;
-          ringBufferPos = (ringBufferPos + 1) & (windowSize - 1);
+  readStreamHeader() {
+    const br = this.br;
+
+    // Read window bits (WBITS, RFC 7932 section 9.1)
+    let windowBits;
+    if (br.readBits(1) === 0) {
+      windowBits = 16;
+    } else {
+      const w = br.readBits(3);
+      if (w !== 0) {
+        windowBits = 17 + w;
+      } else {
+        const v = br.readBits(3);
+        if (v === 1) {
+          // Large Window Brotli: a reserved bit, then 6 bits of WBITS
+          if (!this.largeWindow) {
+            throw br.error(
+              "INVALID_WINDOW_BITS",
+              "Large window stream without the largeWindow option",
+            );
+          }
+          if (br.readBits(1)) {
+            throw br.error("RESERVED_BIT_SET", "Reserved bit set");
+          }
+          windowBits = br.readBits(6);
+          if (windowBits < kMinWindowBits || windowBits > kLargeMaxWindowBits) {
+            throw br.error(
+              "INVALID_WINDOW_BITS",
+              `Invalid large window size: ${windowBits}`,
+            );
+          }
+          this.distanceBits = kLargeMaxDistanceBits;
+        } else {
+          windowBits = v === 0 ? 17 : 8 + v;
         }
-        continue;
       }
     }
 
-    // Read block type and block count for literals
-    const numLiteralBlockTypes = readVarInt(br) + 1;
-    let literalBlockType = 0;
-    let literalBlockLength = 1 << 28;
-    let literalBlockLengthTable = null;
-    let literalBlockTypeTable = null;
+    if (windowBits > this.maxWindowBits) {
+      throw br.error(
+        "WINDOW_LIMIT_EXCEEDED",
+        `Window of ${windowBits} bits exceeds maxWindowBits`,
+      );
+    }
+    this.checkMemory(1 << windowBits);
+
+    this.windowBits = windowBits;
+    this.maxBackwardDistance = (1 << windowBits) - 16;
+    this.state = kStateMetaBlockHeader;
+  }
+
+  // Fail before allocating if the decoder would need more than maxMemory
+  checkMemory(bytes) {
+    if (bytes > this.maxMemory) {
+      throw this.br.error(
+        "MEMORY_LIMIT_EXCEEDED",
+        `Decoding needs ${bytes} bytes, more than maxMemory`,
+      );
+    }
+  }
+
+  // Check the padding after the last meta-block
+  readStreamEnd() {
+    readPadding(this.br);
+    this.state = kStateDone;
+  }
+
+  readMetaBlockHeader() {
+    const br = this.br;
+
+    // Read meta-block header
+    const isLast = br.readBits(1) === 1;
 
-    if (numLiteralBlockTypes > 1) {
-      literalBlockTypeTable = readPrefixCode(br, numLiteralBlockTypes + 2);
-      literalBlockLengthTable = readPrefixCode(br, 26);
-      literalBlockLength = readBlockLength(br, literalBlockLengthTable);
+    if (isLast && br.readBits(1) === 1) {
+      // Empty last block
+      this.isLast = true;
+      return;
     }
 
-    // Read block type and block count for insert-and-copy
-    const numCommandBlockTypes = readVarInt(br) + 1;
-    let commandBlockType = 0;
-    let commandBlockLength = 1 << 28;
-    let commandBlockLengthTable = null;
-    let commandBlockTypeTable = null;
+    // Read meta-block length (MLEN)
+    const mnibbles = br.readBits(2);
+
+    if (mnibbles === 3) {
+      // Metadata block, kept for onMetadata or skipped
+      if (br.readBits(1)) {
+        throw br.error("RESERVED_BIT_SET", "Reserved bit set");
+      }
+      const skipBytes = br.readBits(2);
+      let skipLen = 0;
+      for (let i = 0; i < skipBytes; i++) {
+        const byte = br.readBits(8);
+        if (i > 0 && i === skipBytes - 1 && byte === 0) {
+          throw br.error(
+            "INVALID_META_BLOCK_LENGTH",
+            "Metadata length has a zero last byte",
+          );
+        }
+        skipLen |= byte << (i * 8);
+      }
+      if (skipBytes > 0) skipLen++;
+      readPadding(br);
+      this.isLast = isLast;
+      this.metaBlockRemaining = skipLen;
+      if (this.onMetadata && skipLen > 0) {
+        this.metadata = new Uint8Array(skipLen);
+      }
+      this.state = kStateMetadata;
+      return;
+    }
 
-    if (numCommandBlockTypes > 1) {
-      commandBlockTypeTable = readPrefixCode(br, numCommandBlockTypes + 2);
-      commandBlockLengthTable = readPrefixCode(br, 26);
-      commandBlockLength = readBlockLength(br, commandBlockLengthTable);
+    const nibbles = (4 + mnibbles) * 4;
+    const metaBlockLen = br.readBits(nibbles) + 1;
+    if (mnibbles > 0 && metaBlockLen - 1 < 1 << (nibbles - 4)) {
+      throw br.error(
+        "INVALID_META_BLOCK_LENGTH",
+        "Meta-block length has a zero last nibble",
+      );
     }
 
-    // Read block type and block count for distances
-    const numDistanceBlockTypes = readVarInt(br) + 1;
-    let distanceBlockType = 0;
-    let distanceBlockLength = 1 << 28;
-    let distanceBlockLengthTable = null;
-    let distanceBlockTypeTable = null;
+    // MLEN is exact, so checking it here bounds everything the literal and
+    // copy steps of this meta-block can write
+    if (this.totalOut + metaBlockLen > this.maxOutputLength) {
+      throw br.error(
+        "OUTPUT_LIMIT_EXCEEDED",
+        `Output exceeds maxOutputLength of ${this.maxOutputLength} bytes`,
+      );
+    }
 
-    if (numDistanceBlockTypes > 1) {
-      distanceBlockTypeTable = readPrefixCode(br, numDistanceBlockTypes + 2);
-      distanceBlockLengthTable = readPrefixCode(br, 26);
-      distanceBlockLength = readBlockLength(br, distanceBlockLengthTable);
+    // Check for uncompressed block
+    if (!isLast && br.readBits(1)) {
+      readPadding(br);
+      this.reserveOutput(metaBlockLen, this.maxMemory);
+      this.isLast = isLast;
+      this.metaBlockRemaining = metaBlockLen;
+      this.state = kStateUncompressed;
+      return;
     }
 
+    // Read block types and counts for literals, insert-and-copy and distances
+    const literalBlocks = readBlockTypes(br);
+    const commandBlocks = readBlockTypes(br);
+    const distanceBlocks = readBlockTypes(br);
+
     // Read distance postfix and direct distance codes
     const npostfix = br.readBits(2);
     const ndirect = br.readBits(4) << npostfix;
 
+    // Calculate distance alphabet size
+    const distanceAlphabetSize =
+      16 + ndirect + (this.distanceBits << (npostfix + 1));
+
     // Read context modes for literal block types
-    const contextModes = new Uint8Array(numLiteralBlockTypes);
-    for (let i = 0; i < numLiteralBlockTypes; i++) {
+    const contextModes = new Uint8Array(literalBlocks.numTypes);
+    for (let i = 0; i < literalBlocks.numTypes; i++) {
       contextModes[i] = br.readBits(2);
     }
 
     // Read context map for literals
     const numLiteralTrees = readVarInt(br) + 1;
+    let memory =
+      (1 << this.windowBits) +
+      literalBlocks.numTypes * 64 +
+      (numLiteralTrees * 256 + commandBlocks.numTypes * 704) *
+        kHuffmanEntryBytes;
+    this.checkMemory(memory);
     const literalContextMap = readContextMap(
       br,
-      numLiteralBlockTypes * 64,
+      literalBlocks.numTypes * 64,
       numLiteralTrees,
     );
 
     // Read context map for distances
     const numDistanceTrees = readVarInt(br) + 1;
+    memory +=
+      distanceBlocks.numTypes * 4 +
+      numDistanceTrees * distanceAlphabetSize * kHuffmanEntryBytes;
+    this.checkMemory(memory);
     const distanceContextMap = readContextMap(
       br,
-      numDistanceBlockTypes * 4,
+      distanceBlocks.numTypes * 4,
       numDistanceTrees,
     );
 
@@ -504,161 +1297,251 @@ function brotliDecompress(input) {
 
     // Read Huffman codes for insert-and-copy
     const commandTables = [];
-    for (let i = 0; i < numCommandBlockTypes; i++) {
+    for (let i = 0; i < commandBlocks.numTypes; i++) {
       commandTables.push(readPrefixCode(br, 704));
     }
 
-    // Calculate distance alphabet size
-    const distanceAlphabetSize = 16 + ndirect + (48 << npostfix);
-
     // Read Huffman codes for distances
     const distanceTables = [];
     for (let i = 0; i < numDistanceTrees; i++) {
       distanceTables.push(readPrefixCode(br, distanceAlphabetSize));
     }
 
-    // Decode meta-block data
-    let metaBlockBytesWritten = 0;
-    let prevByte1 = 0;
-    let prevByte2 = 0;
-
-    while (metaBlockBytesWritten < metaBlockLen) {
-      // Update command block
-      if (commandBlockLength === 0) {
-        const prevType = commandBlockType;
-        commandBlockType = readBlockSwitch(
-          br,
-          commandBlockTypeTable,
-          prevType,
-          numCommandBlockTypes,
-        );
-        commandBlockLength = readBlockLength(br, commandBlockLengthTable);
-      }
-      commandBlockLength--;
+    this.reserveOutput(metaBlockLen, this.maxMemory);
+    this.isLast = isLast;
+    this.metaBlockRemaining = metaBlockLen;
+    this.metaBlock = {
+      literalBlocks,
+      commandBlocks,
+      distanceBlocks,
+      npostfix,
+      ndirect,
+      contextModes,
+      literalContextMap,
+      distanceContextMap,
+      literalTables,
+      commandTables,
+      distanceTables,
+    };
+    this.state = kStateCommand;
+  }
 
-      // Read insert-and-copy command
-      const cmdCode = readHuffmanSymbol(br, commandTables[commandBlockType]);
+  // Read an insert-and-copy command
+  readCommand() {
+    const br = this.br;
+    const { commandBlocks, commandTables } = this.metaBlock;
 
-      // Decode insert and copy lengths
-      const { insertLen, copyLen, distanceCode } = decodeInsertAndCopy(
-        br,
-        cmdCode,
-      );
+    updateBlock(br, commandBlocks);
+    const cmdCode = readHuffmanSymbol(br, commandTables[commandBlocks.type]);
+    const { insertLen, copyLen, distanceCode } = decodeInsertAndCopy(
+      br,
+      cmdCode,
+    );
 
-      // Insert literals
-      for (
-        let i = 0;
-        i < insertLen && metaBlockBytesWritten < metaBlockLen;
-        i++
-      ) {
-        // Update literal block
-        if (literalBlockLength === 0) {
-          const prevType = literalBlockType;
-          literalBlockType = readBlockSwitch(
-            br,
-            literalBlockTypeTable,
-            prevType,
-            numLiteralBlockTypes,
-          );
-          literalBlockLength = readBlockLength(br, literalBlockLengthTable);
-        }
-        literalBlockLength--;
-
-        // Calculate context
-        const contextMode = contextModes[literalBlockType];
-        let context;
-        if (contextMode === 0) {
-          context = prevByte1 & 0x3f;
-        } else if (contextMode === 1) {
-          context = prevByte1 >> 2;
-        } else if (contextMode === 2) {
-          context = kContextLookup[prevByte1] | kContextLookup[256 + prevByte2];
-        } else {
-          context =
-            (kContextLookup[256 + prevByte1] << 3) |
-            kContextLookup[256 + prevByte2];
-        }
+    this.insertRemaining = insertLen;
+    this.copyLen = copyLen;
+    this.distanceCode = distanceCode;
+    this.state = kStateLiterals;
+  }
 
-        const treeIdx = literalContextMap[literalBlockType * 64 + context];
-        const literal = readHuffmanSymbol(br, literalTables[treeIdx]);
+  // Insert literals of the current command: one, then more for as long as
+  // each is sure to have the input it needs, so only the first can run out
+  // and be retried
+  decodeLiterals() {
+    const br = this.br;
+    const { literalBlocks, contextModes, literalContextMap, literalTables } =
+      this.metaBlock;
+    const count = Math.min(
+      this.insertRemaining,
+      this.metaBlockRemaining,
+      kMaxLiteralBatch,
+    );
+    this.reserveOutput(count);
+    const output = this.output;
+    let prevByte1 = this.prevByte1;
+    let prevByte2 = this.prevByte2;
+    let n = 0;
+    do {
+      updateBlock(br, literalBlocks);
+      const context = getLiteralContext(
+        contextModes[literalBlocks.type],
+        prevByte1,
+        prevByte2,
+      );
+      const treeIdx = literalContextMap[literalBlocks.type * 64 + context];
+      prevByte2 = prevByte1;
+      prevByte1 = readHuffmanSymbol(br, literalTables[treeIdx]);
+      output[this.outputLength + n++] = prevByte1;
+    } while (n < count && br.hasBits(kMaxStepBits));
+
+    this.outputLength += n;
+    this.totalOut += n;
+    this.prevByte1 = prevByte1;
+    this.prevByte2 = prevByte2;
+    this.insertRemaining -= n;
+    this.metaBlockRemaining -= n;
+  }
 
-        output.push(literal);
-        ringBuffer[ringBufferPos] = literal;
-        ringBufferPos = (ringBufferPos + 1) & (windowSize - 1);
+  // Read the distance of the current command and copy its bytes
+  decodeCopy() {
+    const br = this.br;
+    const {
+      distanceBlocks,
+      distanceContextMap,
+      distanceTables,
+      npostfix,
+      ndirect,
+    } = this.metaBlock;
+    const copyLen = this.copyLen;
+
+    // Calculate distance
+    let distSymbol = this.distanceCode;
+    if (distSymbol < 0) {
+      updateBlock(br, distanceBlocks);
+
+      // Calculate distance context
+      const distContext = copyLen > 4 ? 3 : copyLen - 2;
+      const distTreeIdx =
+        distanceContextMap[distanceBlocks.type * 4 + distContext];
+
+      distSymbol = readHuffmanSymbol(br, distanceTables[distTreeIdx]);
+    }
 
-        prevByte2 = prevByte1;
-        prevByte1 = literal;
-        metaBlockBytesWritten++;
+    let distance;
+    if (distSymbol < 16) {
+      // Distance short code, relative to the last distances
+      const idx =
+        (this.distRingBufferIdx - kDistanceShortCodeIndexOffset[distSymbol]) &
+        3;
+      distance =
+        this.distRingBuffer[idx] + kDistanceShortCodeValueOffset[distSymbol];
+      if (distance <= 0) {
+        throw br.error("INVALID_DISTANCE", "Invalid distance");
       }
+    } else {
+      distance = decodeDistance(br, distSymbol, ndirect, npostfix);
+    }
 
-      if (metaBlockBytesWritten >= metaBlockLen) break;
-
-      // Calculate distance
-      let distance;
-      if (distanceCode === 0) {
-        // Use last distance from ring buffer
-        distance = distRingBuffer[(distRingBufferIdx - 1) & 3];
-      } else if (distanceCode < 16) {
-        // Distance short code
-        const idx =
-          (distRingBufferIdx - kDistanceShortCodeIndexOffset[distanceCode]) & 3;
-        distance =
-          distRingBuffer[idx] + kDistanceShortCodeValueOffset[distanceCode];
-        if (distance <= 0)
-          distance = distRingBuffer[(distRingBufferIdx - 1) & 3];
-      } else {
-        // Update distance block
-        if (distanceBlockLength === 0) {
-          const prevType = distanceBlockType;
-          distanceBlockType = readBlockSwitch(
-            br,
-            distanceBlockTypeTable,
-            prevType,
-            numDistanceBlockTypes,
-          );
-          distanceBlockLength = readBlockLength(br, distanceBlockLengthTable);
-        }
-        distanceBlockLength--;
-
-        // Calculate distance context
-        const distContext = copyLen > 4 ? 3 : copyLen - 2;
-        const distTreeIdx =
-          distanceContextMap[distanceBlockType * 4 + distContext];
-
-        const distSymbol = readHuffmanSymbol(br, distanceTables[distTreeIdx]);
-        distance = decodeDistance(br, distSymbol, ndirect, npostfix);
+    const maxDistance = Math.min(this.maxBackwardDistance, this.totalOut);
+    const dictionary = this.dictionary;
+    if (distance > maxDistance + dictionary.length) {
+      // Reference into the static dictionary, addressed past the custom one
+      const word = transformDictionaryWord(
+        copyLen,
+        distance - maxDistance - 1 - dictionary.length,
+      );
+      if (word === null) {
+        throw br.error(
+          "INVALID_DISTANCE",
+          "Invalid static dictionary reference",
+        );
       }
-
+      if (word.length > this.metaBlockRemaining) {
+        throw br.error(
+          "INVALID_META_BLOCK_LENGTH",
+          "Copy length exceeds meta-block length",
+        );
+      }
+      this.writeBytes(word);
+      this.metaBlockRemaining -= word.length;
+    } else {
       // Update distance ring buffer
-      if (distanceCode !== 0) {
-        distRingBuffer[distRingBufferIdx & 3] = distance;
-        distRingBufferIdx++;
+      if (distSymbol !== 0) {
+        this.distRingBuffer[this.distRingBufferIdx & 3] = distance;
+        this.distRingBufferIdx++;
       }
 
-      // Copy from ring buffer
-      let copyFrom = (ringBufferPos - distance) & (windowSize - 1);
-      for (
-        let i = 0;
-        i < copyLen && metaBlockBytesWritten < metaBlockLen;
-        i++
-      ) {
-        const byte = ringBuffer[copyFrom];
-        output.push(byte);
-        ringBuffer[ringBufferPos] = byte;
-        ringBufferPos = (ringBufferPos + 1) & (windowSize - 1);
-        copyFrom = (copyFrom + 1) & (windowSize - 1);
-
-        prevByte2 = prevByte1;
-        prevByte1 = byte;
-        metaBlockBytesWritten++;
+      if (copyLen > this.metaBlockRemaining) {
+        throw br.error(
+          "INVALID_META_BLOCK_LENGTH",
+          "Copy length exceeds meta-block length",
+        );
       }
-    }
-  }
-
-  return new Uint8Array(output);
-}
 
-// Read variable-length integer
+      if (distance > maxDistance) {
+        // Copy from the custom dictionary, which lies just beyond the window
+        // and must hold the whole copy
+        const copyFrom = dictionary.length - (distance - maxDistance);
+        if (copyFrom + copyLen > dictionary.length) {
+          throw br.error(
+            "INVALID_DISTANCE",
+            "Copy runs past the end of the custom dictionary",
+          );
+        }
+        this.writeBytes(dictionary.subarray(copyFrom, copyFrom + copyLen));
+      } else {
+        // Copy from earlier output, a byte at a time where the copy is short
+        // or overlaps the bytes it writes
+        this.reserveOutput(copyLen);
+        const output = this.output;
+        const to = this.outputLength;
+        if (copyLen > 16 && distance >= copyLen) {
+          output.copyWithin(to, to - distance, to - distance + copyLen);
+        } else {
+          for (let i = 0; i < copyLen; i++) {
+            output[to + i] = output[to + i - distance];
+          }
+        }
+        this.advanceOutput(copyLen);
+      }
+      this.metaBlockRemaining -= copyLen;
+    }
+
+    this.state = kStateCommand;
+  }
+}
+
+// Main decompression function
+function brotliDecompress(input, options = {}) {
+  return new BrotliDecoder(options).push(input, true);
+}
+
+// Decompress straight into target, which becomes the decoder's output buffer.
+// A stream longer than target fails once a meta-block header shows it will
+// not fit, before anything past the end is decoded.
+function brotliDecompressInto(input, target, options = {}) {
+  const maxOutputLength = getLimitOption(options, "maxOutputLength", Infinity);
+  const decoder = new BrotliDecoder({
+    ...options,
+    maxOutputLength: Math.min(maxOutputLength, target.length),
+  });
+  decoder.output = target;
+  try {
+    return decoder.push(input, true);
+  } catch (e) {
+    throw intoLimitError(e, target, maxOutputLength);
+  }
+}
+
+// The error for a decode into target that failed with e: a RangeError when
+// the output limit hit was target's length rather than maxOutputLength
+function intoLimitError(e, target, maxOutputLength) {
+  return e instanceof BrotliError &&
+    e.code === "OUTPUT_LIMIT_EXCEEDED" &&
+    target.length < maxOutputLength
+    ? new RangeError(`Output buffer too small: have ${target.length} bytes`)
+    : e;
+}
+
+// Read options.into, the Uint8Array to decompress into, if there is one
+function getIntoOption(options) {
+  const into = options.into;
+  if (into !== undefined && !(into instanceof Uint8Array)) {
+    throw new TypeError("options.into must be a Uint8Array");
+  }
+  return into;
+}
+
+// Skip to the next byte boundary, checking that the skipped bits are zero
+function readPadding(br) {
+  const position = br.bitPosition();
+  if (br.readBits(br.bitsAvailable & 7) !== 0) {
+    throw new BrotliError("NONZERO_PADDING", "Non-zero padding bits", position);
+  }
+  br.alignToByte();
+}
+
+// Read variable-length integer
 function readVarInt(br) {
   let result = 0;
   if (br.readBits(1)) {
@@ -679,13 +1562,15 @@ function readBlockLength(br, table) {
   return base + br.readBits(extra);
 }
 
-// Read block switch
-function readBlockSwitch(br, table, prevType, numTypes) {
-  if (!table || numTypes <= 1) return 0;
+// Read block switch. Code 0 selects the previous block type, code 1 the
+// current type plus one, and any other code selects type code - 2.
+function readBlockSwitch(br, table, type, prevType, numTypes) {
   const code = readHuffmanSymbol(br, table);
-  if (code === 0) return prevType;
-  if (code === 1) return (prevType + 1) % numTypes;
-  return code - 2;
+  let newType;
+  if (code === 0) newType = prevType;
+  else if (code === 1) newType = type + 1;
+  else newType = code - 2;
+  return newType >= numTypes ? newType - numTypes : newType;
 }
 
 // Read context map
@@ -711,7 +1596,10 @@ function readContextMap(br, contextMapSize, numTrees) {
       contextMap[i++] = 0;
     } else if (code <= maxRunLengthPrefix) {
       const runLength = (1 << code) + br.readBits(code);
-      for (let j = 0; j < runLength && i < contextMapSize; j++) {
+      if (i + runLength > contextMapSize) {
+        throw br.error("INVALID_CONTEXT_MAP", "Context map run too long");
+      }
+      for (let j = 0; j < runLength; j++) {
         contextMap[i++] = 0;
       }
     } else {
@@ -721,8 +1609,8 @@ function readContextMap(br, contextMapSize, numTrees) {
 
   // Inverse move-to-front transform
   if (br.readBits(1)) {
-    const mtf = new Uint8Array(numTrees);
-    for (let i = 0; i < numTrees; i++) mtf[i] = i;
+    const mtf = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) mtf[i] = i;
     for (let i = 0; i < contextMapSize; i++) {
       const idx = contextMap[i];
       const val = mtf[idx];
@@ -734,141 +1622,223 @@ function readContextMap(br, contextMapSize, numTrees) {
     }
   }
 
+  for (let i = 0; i < contextMapSize; i++) {
+    if (contextMap[i] >= numTrees) {
+      throw br.error("INVALID_CONTEXT_MAP", "Context map refers to no tree");
+    }
+  }
+
   return contextMap;
 }
 
-// Decode insert and copy lengths from command code
+// Decode insert and copy lengths from command code (RFC 7932 section 5).
+// A distance code of -1 means the distance is read from the stream.
 function decodeInsertAndCopy(br, cmdCode) {
-  let insertLen, copyLen, distanceCode;
-
-  if (cmdCode < 128) {
-    // Insert only (no copy)
-    const insertCode = cmdCode;
-    copyLen = 0;
-    distanceCode = 0;
+  const rangeIdx = cmdCode >> 6;
+  const insertCode = kInsertRangeLut[rangeIdx] + ((cmdCode >> 3) & 7);
+  const copyCode = kCopyRangeLut[rangeIdx] + (cmdCode & 7);
 
-    if (insertCode < 6) {
-      insertLen = insertCode;
-    } else {
-      const [base, extra] = kInsertLengthPrefixCode[insertCode - 6 + 6];
-      insertLen = base + br.readBits(extra);
-    }
-  } else if (cmdCode < 704) {
-    // Insert and copy
-    const adjustedCmd = cmdCode - 128;
-    const rangeIdx = adjustedCmd >> 6;
-    const insertExtra = (adjustedCmd >> 3) & 7;
-    const copyExtra = adjustedCmd & 7;
-
-    const insertOffset = kInsertRangeLut[rangeIdx];
-    const copyOffset = kCopyRangeLut[rangeIdx];
-
-    const insertCode = insertOffset + insertExtra;
-    const copyCode = copyOffset + copyExtra;
+  // Indexed rather than destructured, which is slower in this hot path
+  const insertPrefix = kInsertLengthPrefixCode[insertCode];
+  const insertLen = insertPrefix[0] + br.readBits(insertPrefix[1]);
 
-    // Decode insert length
-    if (insertCode < 6) {
-      insertLen = insertCode;
-    } else {
-      const idx = Math.min(insertCode, kInsertLengthPrefixCode.length - 1);
-      const [base, extra] = kInsertLengthPrefixCode[idx];
-      insertLen = base + br.readBits(extra);
-    }
-
-    // Decode copy length
-    if (copyCode < 8) {
-      copyLen = copyCode + 2;
-    } else {
-      const idx = Math.min(copyCode, kCopyLengthPrefixCode.length - 1);
-      const [base, extra] = kCopyLengthPrefixCode[idx];
-      copyLen = base + br.readBits(extra);
-    }
+  const copyPrefix = kCopyLengthPrefixCode[copyCode];
+  const copyLen = copyPrefix[0] + br.readBits(copyPrefix[1]);
 
-    // Distance code depends on whether this is implicit or explicit
-    distanceCode = rangeIdx < 2 ? 0 : -1;
-  } else {
-    insertLen = 0;
-    copyLen = 0;
-    distanceCode = 0;
-  }
+  // Commands below 128 implicitly reuse the last distance
+  const distanceCode = rangeIdx < 2 ? 0 : -1;
 
   return { insertLen, copyLen, distanceCode };
 }
 
-// Decode distance
+// Decode distance. Large window distance codes can have more than 24 extra
+// bits, so their arithmetic is done in doubles rather than 32-bit integers.
 function decodeDistance(br, distSymbol, ndirect, npostfix) {
-  if (distSymbol < 16) {
-    // Use distance ring buffer (handled in caller)
-    return distSymbol;
-  } else if (distSymbol < 16 + ndirect) {
+  if (distSymbol < 16 + ndirect) {
     return distSymbol - 15;
   } else {
     const extraBits = 1 + ((distSymbol - ndirect - 16) >> (npostfix + 1));
     const postfixMask = (1 << npostfix) - 1;
     const hcode = (distSymbol - ndirect - 16) >> npostfix;
     const lcode = (distSymbol - ndirect - 16) & postfixMask;
-    const offset = ((2 + (hcode & 1)) << extraBits) - 4;
+    if (extraBits <= 24) {
+      const offset = ((2 + (hcode & 1)) << extraBits) - 4;
+      return (
+        ((offset + br.readBits(extraBits)) << npostfix) + lcode + ndirect + 1
+      );
+    }
+    const offset = (2 + (hcode & 1)) * 2 ** extraBits - 4;
     return (
-      ((offset + br.readBits(extraBits)) << npostfix) + lcode + ndirect + 1
+      (offset + readWideBits(br, extraBits)) * (1 << npostfix) +
+      lcode +
+      ndirect +
+      1
     );
   }
 }
 
+// Read up to 62 bits as a number, 24 bits at a time
+function readWideBits(br, n) {
+  let value = 0;
+  let scale = 1;
+  for (; n > 24; n -= 24) {
+    value += br.readBits(24) * scale;
+    scale *= 1 << 24;
+  }
+  return value + br.readBits(n) * scale;
+}
+
 // ============================================================================
 // BROTLI COMPRESSION
 // ============================================================================
 
-// Bit writing utilities
+// Join byte arrays into one Uint8Array
+function concatBytes(chunks) {
+  let length = 0;
+  for (const chunk of chunks) length += chunk.length;
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+// Initial size of a BitWriter's output buffer, which doubles as it fills
+const kBitWriterInitialSize = 1024;
+
+// Bit writing utilities. Bits collect in a 32-bit accumulator and are moved
+// out a byte at a time into a growable Uint8Array.
 class BitWriter {
   constructor() {
-    this.output = [];
+    this.output = new Uint8Array(kBitWriterInitialSize);
+    this.length = 0;
     this.bitBuffer = 0;
     this.bitsUsed = 0;
   }
 
-  writeBits(value, numBits) {
-    this.bitBuffer |= value << this.bitsUsed;
-    this.bitsUsed += numBits;
+  // Make room for n more bytes of output
+  reserve(n) {
+    if (this.length + n <= this.output.length) return;
+    const output = new Uint8Array(
+      Math.max(this.length + n, this.output.length * 2),
+    );
+    output.set(this.output.subarray(0, this.length));
+    this.output = output;
+  }
+
+  // Move the whole bytes of the accumulator to the output
+  flushBits() {
+    this.reserve(4);
     while (this.bitsUsed >= 8) {
-      this.output.push(this.bitBuffer & 0xff);
+      this.output[this.length++] = this.bitBuffer & 0xff;
       this.bitBuffer >>>= 8;
       this.bitsUsed -= 8;
     }
   }
 
+  // Write up to 24 bits
+  writeBits(value, numBits) {
+    if (this.bitsUsed + numBits > 32) this.flushBits();
+    this.bitBuffer |= value << this.bitsUsed;
+    this.bitsUsed += numBits;
+  }
+
   alignToByte() {
+    this.flushBits();
     if (this.bitsUsed > 0) {
-      this.output.push(this.bitBuffer & 0xff);
+      this.output[this.length++] = this.bitBuffer & 0xff;
       this.bitBuffer = 0;
       this.bitsUsed = 0;
     }
   }
 
+  // Write whole bytes, which must start on a byte boundary
   writeBytes(bytes) {
-    for (let i = 0; i < bytes.length; i++) {
-      this.output.push(bytes[i]);
-    }
+    this.flushBits();
+    this.reserve(bytes.length);
+    this.output.set(bytes, this.length);
+    this.length += bytes.length;
   }
 
-  toUint8Array() {
-    return new Uint8Array(this.output);
+  // Remove and return the whole bytes written so far, keeping a partial byte.
+  // The bytes are a view of the current buffer, which is then replaced.
+  takeBytes() {
+    this.flushBits();
+    const bytes = this.output.subarray(0, this.length);
+    this.output = new Uint8Array(kBitWriterInitialSize);
+    this.length = 0;
+    return bytes;
   }
 
   getPosition() {
-    return this.output.length * 8 + this.bitsUsed;
+    return this.length * 8 + this.bitsUsed;
+  }
+
+  // Discard everything written after the given bit position
+  rewind(position) {
+    this.flushBits();
+    const bytePos = position >> 3;
+    const bits = position & 7;
+    if (bytePos < this.length) {
+      this.bitBuffer = this.output[bytePos];
+      this.length = bytePos;
+    }
+    this.bitBuffer &= (1 << bits) - 1;
+    this.bitsUsed = bits;
   }
 }
 
+// Compression parameters for each quality level (0-11). Higher levels look at
+// more match candidates per hash bucket and use larger meta-blocks.
+const kMinQuality = 0;
+const kMaxQuality = 11;
+const kDefaultQuality = 11;
+
+// Commands are chosen by optimal parsing instead of greedy matching from
+// this quality
+const kMinQualityForOptimalParsing = 10;
+
+// Window size (WBITS) used unless options.lgwin is given
+const kDefaultWindowBits = 22;
+
+function getEncoderParams(quality) {
+  return {
+    quality,
+    matcher: quality >= 10 ? kMatcherBinaryTree : kMatcherHashChain,
+    // Hash chains grow from single entries to 256 recent positions per
+    // bucket, with fewer buckets from quality 5 (like google/brotli's H5)
+    hashBits: quality < 5 ? Math.min(17, quality + 14) : 14,
+    bucketBits: quality < 5 ? quality >> 1 : quality - 1,
+    lazySteps: quality < 2 ? 0 : quality < 5 ? 1 : 2,
+    useDistanceCache: quality >= 2,
+    useDictionary: quality >= 2,
+    metaBlockBits: quality < 4 ? 16 : 18,
+    // Optimal parsing passes, the start positions each copy is tried from and
+    // the longest copy whose shorter lengths are tried
+    optimalPasses: quality < kMinQualityForOptimalParsing ? 0 : quality - 8,
+    optimalStartPositions: quality < 11 ? 1 : 5,
+    maxOptimalLen: quality < 11 ? 150 : 325,
+  };
+}
+
 // Hash function for LZ77 matching (based on google/brotli)
 const kHashMul32 = 0x1e35a7bd;
 
+// Little-endian 32-bit value of data[pos, pos + 4)
+function read32(data, pos) {
+  return (
+    (data[pos] |
+      (data[pos + 1] << 8) |
+      (data[pos + 2] << 16) |
+      (data[pos + 3] << 24)) >>>
+    0
+  );
+}
+
 function hash4Bytes(data, pos, shift) {
-  const val =
-    data[pos] |
-    (data[pos + 1] << 8) |
-    (data[pos + 2] << 16) |
-    (data[pos + 3] << 24);
-  return ((val * kHashMul32) >>> shift) >>> 0;
+  return Math.imul(read32(data, pos), kHashMul32) >>> shift;
 }
 
 // Find the length of a match
@@ -880,353 +1850,1101 @@ function findMatchLength(data, pos1, pos2, maxLen) {
   return len;
 }
 
-// LZ77 command types
-const CMD_LITERAL = 0;
-const CMD_COPY = 1;
+// Score a backward reference, preferring long matches at short distances
+// (based on google/brotli's BackwardReferenceScore)
+function backwardReferenceScore(copyLen, distance) {
+  return 135 * copyLen - 30 * (31 - Math.clz32(distance)) + 1920;
+}
 
-// Compute insert length code (RFC 7932 Section 5)
-function getInsertLengthCode(insertLen) {
-  if (insertLen < 6) return insertLen;
-  if (insertLen < 130) {
-    const nbits = Math.floor(Math.log2(insertLen - 2)) - 1;
-    return (nbits << 1) + ((insertLen - 2) >> nbits) + 2;
-  }
-  if (insertLen < 2114) {
-    return Math.floor(Math.log2(insertLen - 66)) + 10;
+// Reusing a recent distance saves the cost of coding it
+function backwardReferenceScoreUsingLastDistance(copyLen, cacheIdx) {
+  return 135 * copyLen + 1955 - (cacheIdx === 0 ? 0 : 39 + cacheIdx * 6);
+}
+
+// Match finders: bucketed hash chains keep the most recent positions for each
+// hash of 4 bytes; the binary tree (google/brotli's H10) keeps every position
+// in the window sorted by the bytes that follow it
+const kMatcherHashChain = 0;
+const kMatcherBinaryTree = 1;
+
+// Binary tree roots are indexed by this many hash bits. A search visits at
+// most kMaxTreeSearchDepth nodes and stops at a match of
+// kMaxTreeCompareLength bytes, where the tree is re-rooted at the new position.
+const kTreeHashBits = 17;
+const kMaxTreeSearchDepth = 64;
+const kMaxTreeCompareLength = 128;
+
+// The smallest hash chain table maxMemory can shrink the match finder to
+const kMinHashBits = 10;
+
+// Bytes used by the tables of a match finder
+function hasherMemory(params, windowBits) {
+  if (params.matcher === kMatcherBinaryTree) {
+    return 4 * (1 << kTreeHashBits) + 8 * 2 ** windowBits;
   }
-  if (insertLen < 6210) return 21;
-  if (insertLen < 22594) return 22;
-  return 23;
+  return (
+    (4 << params.bucketBits) * (1 << params.hashBits) + (2 << params.hashBits)
+  );
 }
 
-// Compute copy length code (RFC 7932 Section 5)
-function getCopyLengthCode(copyLen) {
-  if (copyLen < 10) return copyLen - 2;
-  if (copyLen < 134) {
-    const nbits = Math.floor(Math.log2(copyLen - 6)) - 1;
-    return (nbits << 1) + ((copyLen - 6) >> nbits) + 4;
+// Downgrade the match finder until its tables fit in maxMemory bytes: the
+// binary tree gives way to hash chains, which then get shorter and fewer
+function fitHasherParams(params, windowBits, maxMemory) {
+  const fitted = { ...params };
+  if (hasherMemory(fitted, windowBits) > maxMemory) {
+    fitted.matcher = kMatcherHashChain;
   }
-  if (copyLen < 2118) {
-    return Math.floor(Math.log2(copyLen - 70)) + 12;
+  while (hasherMemory(fitted, windowBits) > maxMemory) {
+    if (fitted.bucketBits > 0) {
+      fitted.bucketBits--;
+    } else if (fitted.hashBits > kMinHashBits) {
+      fitted.hashBits--;
+    } else {
+      throw new RangeError(`Invalid maxMemory: ${maxMemory}`);
+    }
   }
-  return 23;
+  return fitted;
 }
 
-// Combine insert and copy length codes into command code (RFC 7932 Section 5)
-function getCmdCode(insCode, copyCode, useLastDistance) {
-  const bits64 = (copyCode & 0x7) | ((insCode & 0x7) << 3);
-  if (useLastDistance && insCode < 8 && copyCode < 16) {
-    return copyCode < 8 ? bits64 : bits64 | 64;
+// Tables of recent positions, kept for the whole stream so matches can reach
+// back into earlier meta-blocks. Positions index the encoder's buffer.
+function createHasher(params, windowBits) {
+  if (params.matcher === kMatcherBinaryTree) {
+    return {
+      matcher: kMatcherBinaryTree,
+      // Root of each hash bucket's tree
+      table: new Int32Array(1 << kTreeHashBits).fill(-1),
+      // Left and right children of the node for each position in the window,
+      // grown as input arrives
+      forest: new Int32Array(0),
+      windowBits,
+      shift: 32 - kTreeHashBits,
+    };
   }
-  const offset = 2 * ((copyCode >> 3) + 3 * (insCode >> 3));
-  const offsetVal = (offset << 5) + 0x40 + ((0x520d40 >> offset) & 0xc0);
-  return offsetVal | bits64;
+  const bucketSize = 1 << params.bucketBits;
+  return {
+    matcher: kMatcherHashChain,
+    // Ring of the last bucketSize positions for each hash
+    table: new Int32Array((1 << params.hashBits) * bucketSize).fill(-1),
+    counts: new Uint16Array(1 << params.hashBits),
+    shift: 32 - params.hashBits,
+    bucketBits: params.bucketBits,
+    bucketSize,
+  };
 }
 
-// Get insert extra bits info
-function getInsertExtra(insCode) {
-  if (insCode < 6) return { base: insCode, extra: 0 };
-  if (insCode < 14) {
-    const nbits = (insCode - 2) >> 1;
-    const base = 2 + ((2 + ((insCode - 2) & 1)) << nbits);
-    return { base, extra: nbits };
-  }
-  if (insCode < 22) {
-    const nbits = insCode - 10;
-    const base = 66 + (1 << nbits);
-    return { base, extra: nbits };
+// Renumber stored positions after the first shift bytes of the buffer are
+// dropped, forgetting the dropped ones. Tree nodes are placed by position
+// modulo the window, so shift must be a multiple of the window size once the
+// forest spans the window.
+function rebaseHasher(hasher, shift) {
+  const tables =
+    hasher.matcher === kMatcherBinaryTree
+      ? [hasher.table, hasher.forest]
+      : [hasher.table];
+  for (const table of tables) {
+    for (let i = 0; i < table.length; i++) {
+      table[i] = table[i] >= shift ? table[i] - shift : -1;
+    }
   }
-  if (insCode === 21) return { base: 2114, extra: 12 };
-  if (insCode === 22) return { base: 6210, extra: 14 };
-  return { base: 22594, extra: 24 };
 }
 
-// Get copy extra bits info
-function getCopyExtra(copyCode) {
-  if (copyCode < 8) return { base: copyCode + 2, extra: 0 };
-  if (copyCode < 16) {
-    const nbits = (copyCode - 4) >> 1;
-    const base = 6 + ((2 + ((copyCode - 4) & 1)) << nbits);
-    return { base, extra: nbits };
-  }
-  if (copyCode < 24) {
-    const nbits = copyCode - 12;
-    const base = 70 + (1 << nbits);
-    return { base, extra: nbits };
-  }
-  return { base: 2118, extra: 24 };
+// Store pos in a hash chain bucket
+function hasherStore(hasher, data, pos) {
+  const key = hash4Bytes(data, pos, hasher.shift);
+  const slot = hasher.counts[key]++ & (hasher.bucketSize - 1);
+  hasher.table[(key << hasher.bucketBits) + slot] = pos;
 }
 
-// Distance code encoding (RFC 7932 Section 4)
-function getDistanceCode(distance, lastDistances) {
-  // Check if distance matches one of the last 4 distances
-  for (let i = 0; i < 4; i++) {
-    if (distance === lastDistances[i]) {
-      return i === 0 ? 0 : i + 3;
-    }
+// Insert pos into the binary tree of its hash bucket, with maxLen bytes
+// available from pos, and append the matches found on the way to matches as
+// distance, length pairs of increasing length (google/brotli's
+// StoreAndFindMatches). Pass null for matches to only insert.
+function treeStoreAndFindMatches(
+  hasher,
+  data,
+  pos,
+  maxLen,
+  maxDistance,
+  matches,
+) {
+  // Grow the forest to cover pos, up to the window size
+  const windowSize = 2 ** hasher.windowBits;
+  if (
+    2 * pos >= hasher.forest.length &&
+    hasher.forest.length < 2 * windowSize
+  ) {
+    const forest = new Int32Array(
+      Math.min(
+        2 * windowSize,
+        Math.max(2 * pos + 2, 2 * hasher.forest.length, 1 << 16),
+      ),
+    ).fill(-1);
+    forest.set(hasher.forest);
+    hasher.forest = forest;
   }
 
-  // Check distance short codes with offsets
-  for (let i = 0; i < 4; i++) {
-    for (let delta = -1; delta <= 1; delta++) {
-      if (delta === 0) continue;
-      if (distance === lastDistances[i] + delta) {
-        if (i === 0) {
-          return delta === -1 ? 4 : 5;
-        }
-        const baseCode = 10 + (i - 1) * 2;
-        return delta === -1 ? baseCode : baseCode + 1;
+  const { table, forest } = hasher;
+  const windowMask = windowSize - 1;
+  const maxCompareLen = Math.min(maxLen, kMaxTreeCompareLength);
+  // Positions near the end of the input are searched but not inserted
+  const reroot = maxLen >= kMaxTreeCompareLength;
+  const key = hash4Bytes(data, pos, hasher.shift);
+  let prev = table[key];
+  let nodeLeft = 2 * (pos & windowMask);
+  let nodeRight = nodeLeft + 1;
+  let bestLenLeft = 0;
+  let bestLenRight = 0;
+  let bestLen = 0;
+  if (reroot) table[key] = pos;
+
+  for (let depth = kMaxTreeSearchDepth; ; depth--) {
+    const dist = pos - prev;
+    if (prev < 0 || dist > maxDistance || depth === 0) {
+      if (reroot) {
+        forest[nodeLeft] = -1;
+        forest[nodeRight] = -1;
       }
+      break;
     }
-  }
 
-  // Direct distance code
-  return distance + 15;
+    // Bytes shared with both neighbours in the tree need no comparing
+    const knownLen = Math.min(bestLenLeft, bestLenRight);
+    const len =
+      knownLen +
+      findMatchLength(data, prev + knownLen, pos + knownLen, maxLen - knownLen);
+    if (matches && len > bestLen) {
+      bestLen = len;
+      matches.push(dist, len);
+    }
+    const prevNode = 2 * (prev & windowMask);
+    if (len >= maxCompareLen) {
+      if (reroot) {
+        forest[nodeLeft] = forest[prevNode];
+        forest[nodeRight] = forest[prevNode + 1];
+      }
+      break;
+    }
+    if (data[pos + len] > data[prev + len]) {
+      bestLenLeft = len;
+      if (reroot) forest[nodeLeft] = prev;
+      nodeLeft = prevNode + 1;
+      prev = forest[nodeLeft];
+    } else {
+      bestLenRight = len;
+      if (reroot) forest[nodeRight] = prev;
+      nodeRight = prevNode;
+      prev = forest[nodeRight];
+    }
+  }
 }
 
-// Get distance extra bits
-function getDistanceExtra(distCode) {
-  if (distCode < 16) return { base: 0, extra: 0, offset: 0 };
+// Longest copy from buffer position from when maxLen bytes remain to match. A
+// custom dictionary is history before stream position 0, at -streamOffset in
+// the buffer, and copies from it must end within it.
+function maxCopyLength(from, maxLen, streamOffset) {
+  return from < -streamOffset ? Math.min(maxLen, -streamOffset - from) : maxLen;
+}
 
-  const d = distCode - 15;
-  const nbits = Math.max(0, Math.floor(Math.log2(d)) - 1);
-  const prefix = (d >> nbits) & 1;
-  const offset = (2 + prefix) << nbits;
-  return { base: offset - 3, extra: nbits, offset: d - offset };
+// Add pos to the hasher without searching it
+function hasherInsert(hasher, data, pos, maxDistance) {
+  if (pos + 4 > data.length) return;
+  if (hasher.matcher === kMatcherBinaryTree) {
+    // Inserting only needs the bytes that order the tree
+    const maxLen = Math.min(data.length - pos, kMaxTreeCompareLength);
+    treeStoreAndFindMatches(hasher, data, pos, maxLen, maxDistance, null);
+  } else {
+    hasherStore(hasher, data, pos);
+  }
 }
 
-// Build Huffman code from symbol counts
-function buildHuffmanCode(counts, maxSymbols, maxBits) {
-  const depths = new Uint8Array(maxSymbols);
-  const codes = new Uint16Array(maxSymbols);
+// Dictionary references must score at least this much, so short words are
+// left as literals when their distance codes cost more (google/brotli's
+// kMinScore)
+const kMinDictionaryScore = 1920 + 100;
+
+// Transforms the encoder searches, grouped by prefix. Omit-first transforms
+// rarely pay off and are skipped.
+const kTransformsByPrefix = new Map();
+kTransforms.forEach(([prefix, type, suffix], id) => {
+  if (type > kUppercaseAll) return;
+  if (!kTransformsByPrefix.has(prefix)) kTransformsByPrefix.set(prefix, []);
+  kTransformsByPrefix.get(prefix).push({
+    id,
+    type,
+    suffix: Uint8Array.from(suffix, (c) => c.charCodeAt(0)),
+  });
+});
+
+// ASCII lowercase of the four bytes packed in a key
+function lowercaseKey(key) {
+  let lower = 0;
+  for (let shift = 0; shift < 32; shift += 8) {
+    const c = (key >>> shift) & 0xff;
+    lower |= (c >= 65 && c <= 90 ? c | 32 : c) << shift;
+  }
+  return lower >>> 0;
+}
 
-  // Count non-zero symbols
-  const symbols = [];
-  for (let i = 0; i < maxSymbols; i++) {
-    if (counts[i] > 0) {
-      symbols.push({ symbol: i, count: counts[i] });
+// Static dictionary words by their first four bytes, as (length << 16) |
+// index, built on first use
+let dictionaryIndex = null;
+
+function getDictionaryIndex() {
+  if (dictionaryIndex) return dictionaryIndex;
+  const dictionary = getStaticDictionary();
+  dictionaryIndex = new Map();
+  for (let len = 4; len <= 24; len++) {
+    const numWords = 1 << kDictionarySizeBitsByLength[len];
+    for (let idx = 0; idx < numWords; idx++) {
+      const offset = kDictionaryOffsetsByLength[len] + idx * len;
+      const key = read32(dictionary, offset);
+      const words = dictionaryIndex.get(key);
+      if (words) words.push((len << 16) | idx);
+      else dictionaryIndex.set(key, [(len << 16) | idx]);
     }
   }
+  return dictionaryIndex;
+}
 
-  if (symbols.length === 0) {
-    return { depths, codes, numSymbols: 0 };
+// Whether input[pos, end) starts with bytes
+function startsWithAt(input, pos, end, bytes) {
+  if (pos + bytes.length > end) return false;
+  for (let i = 0; i < bytes.length; i++) {
+    if (input[pos + i] !== bytes[i]) return false;
   }
+  return true;
+}
 
-  if (symbols.length === 1) {
-    depths[symbols[0].symbol] = 1;
-    codes[symbols[0].symbol] = 0;
-    return { depths, codes, numSymbols: 1 };
+// Find the longest transformed static dictionary word that input[pos, end)
+// starts with. Returns { len, wordLen, wordId }, where len is the number of
+// bytes the reference produces and wordId the word and transform index that
+// follows the window in the distance space, or null if no word matches.
+function findDictionaryMatch(input, pos, end) {
+  const index = getDictionaryIndex();
+  const dictionary = getStaticDictionary();
+  let best = null;
+  const consider = (len, wordLen, idx, transformId) => {
+    if (len >= 4 && (best === null || len > best.len)) {
+      const sizeBits = kDictionarySizeBitsByLength[wordLen];
+      best = { len, wordLen, wordId: idx | (transformId << sizeBits) };
+    }
+  };
+
+  for (const [prefix, transforms] of kTransformsByPrefix) {
+    const wordPos = pos + prefix.length;
+    if (wordPos + 4 > end) continue;
+    let i = 0;
+    while (i < prefix.length && input[pos + i] === prefix.charCodeAt(i)) i++;
+    if (i < prefix.length) continue;
+
+    // Words as they are, or with up to 9 bytes omitted from the end
+    const key = read32(input, wordPos);
+    for (const word of index.get(key) || []) {
+      const wordLen = word >>> 16;
+      const idx = word & 0xffff;
+      const offset = kDictionaryOffsetsByLength[wordLen] + idx * wordLen;
+      let matched = 4;
+      while (
+        matched < wordLen &&
+        wordPos + matched < end &&
+        input[wordPos + matched] === dictionary[offset + matched]
+      ) {
+        matched++;
+      }
+      for (const { id, type, suffix } of transforms) {
+        const wordEnd = wordPos + wordLen - type;
+        if (
+          type < kUppercaseFirst &&
+          type < wordLen &&
+          wordLen - type <= matched &&
+          startsWithAt(input, wordEnd, end, suffix)
+        ) {
+          consider(wordEnd + suffix.length - pos, wordLen, idx, id);
+        }
+      }
+    }
+
+    // Words with their first letter or every letter uppercased
+    const lowerKey = lowercaseKey(key);
+    if (lowerKey === key) continue;
+    for (const word of index.get(lowerKey) || []) {
+      const wordLen = word >>> 16;
+      const idx = word & 0xffff;
+      const offset = kDictionaryOffsetsByLength[wordLen] + idx * wordLen;
+      for (const upperType of [kUppercaseFirst, kUppercaseAll]) {
+        const bytes = dictionary.slice(offset, offset + wordLen);
+        uppercaseWord(bytes, 0, wordLen, upperType);
+        if (!startsWithAt(input, wordPos, end, bytes)) continue;
+        for (const { id, type, suffix } of transforms) {
+          if (
+            type === upperType &&
+            startsWithAt(input, wordPos + wordLen, end, suffix)
+          ) {
+            consider(prefix.length + wordLen + suffix.length, wordLen, idx, id);
+          }
+        }
+      }
+    }
   }
+  return best;
+}
 
-  // Sort by count (descending)
-  symbols.sort((a, b) => b.count - a.count);
+// Lazy matching takes the match at the next position instead when it scores
+// at least this much more (google/brotli's cost_diff_lazy)
+const kLazyMatchMinGain = 175;
+
+// LZ77 compression - find backward references and static dictionary words
+// for input[start, end), where input[0] is at streamOffset in the stream.
+// Returns commands of the form { insertLen, copyLen, distance, wordLen }, where
+// copyLen counts the bytes produced and wordLen is the length of the
+// dictionary word the copy codes, or 0 for backward references; the last
+// command may be insert-only with copyLen 0.
+function findMatches(
+  hasher,
+  input,
+  start,
+  end,
+  streamOffset,
+  maxDistance,
+  params,
+  distCache,
+) {
+  const commands = [];
+  const isTree = hasher.matcher === kMatcherBinaryTree;
+  const treeMatches = [];
+  // Positions before hashed are in the hasher
+  let hashed = start;
+
+  const insert = (pos) => hasherInsert(hasher, input, pos, maxDistance);
+  const store = (target) => {
+    // The binary tree keeps every 8th position of a long range except the
+    // last 63 (google/brotli's StoreRange)
+    if (isTree && target - 63 - hashed >= 512) {
+      for (; hashed < target - 63; hashed += 8) insert(hashed);
+      hashed = target - 63;
+    }
+    for (; hashed < target; hashed++) insert(hashed);
+  };
 
-  // Simple length-limited Huffman construction using package-merge
-  const n = symbols.length;
+  // Best scoring match at pos, or null, storing pos in the hasher
+  const findBestMatch = (pos) => {
+    const maxLen = end - pos;
+    let bestLen = 0;
+    let bestDist = 0;
+    let bestScore = 0;
+    let wordLen = 0;
+    const consider = (len, dist, score) => {
+      if (score > bestScore) {
+        bestLen = len;
+        bestDist = dist;
+        bestScore = score;
+      }
+    };
 
-  // Start with simple depth assignment
-  let totalBits = 0;
-  for (let i = 0; i < n; i++) {
-    const depth = Math.min(
-      maxBits,
-      Math.max(1, Math.ceil(Math.log2(n / (i + 1))) + 1),
-    );
-    depths[symbols[i].symbol] = depth;
-    totalBits += 1 << (maxBits - depth);
-  }
-
-  // Adjust depths to satisfy Kraft inequality (sum of 2^-depth <= 1)
-  const targetSum = 1 << maxBits;
-  while (totalBits !== targetSum) {
-    if (totalBits > targetSum) {
-      // Need to increase some depths
-      for (let i = n - 1; i >= 0 && totalBits > targetSum; i--) {
-        const sym = symbols[i].symbol;
-        if (depths[sym] < maxBits) {
-          totalBits -= 1 << (maxBits - depths[sym]);
-          depths[sym]++;
-          totalBits += 1 << (maxBits - depths[sym]);
+    // Recent distances are the cheapest to code
+    if (params.useDistanceCache) {
+      for (let i = 0; i < 4; i++) {
+        const dist = distCache[i];
+        if (dist > pos || dist > maxDistance) continue;
+        const len = findMatchLength(
+          input,
+          pos - dist,
+          pos,
+          maxCopyLength(pos - dist, maxLen, streamOffset),
+        );
+        if (len >= 4) {
+          consider(len, dist, backwardReferenceScoreUsingLastDistance(len, i));
         }
       }
+    }
+
+    if (isTree) {
+      treeMatches.length = 0;
+      treeStoreAndFindMatches(
+        hasher,
+        input,
+        pos,
+        input.length - pos,
+        maxDistance,
+        treeMatches,
+      );
+      for (let i = 0; i < treeMatches.length; i += 2) {
+        const dist = treeMatches[i];
+        const len = Math.min(
+          treeMatches[i + 1],
+          maxCopyLength(pos - dist, maxLen, streamOffset),
+        );
+        if (len >= 4) consider(len, dist, backwardReferenceScore(len, dist));
+      }
     } else {
-      // Need to decrease some depths
-      for (let i = 0; i < n && totalBits < targetSum; i++) {
-        const sym = symbols[i].symbol;
-        if (depths[sym] > 1) {
-          totalBits -= 1 << (maxBits - depths[sym]);
-          depths[sym]--;
-          totalBits += 1 << (maxBits - depths[sym]);
+      // Newest positions in the bucket first
+      const { table, counts, bucketBits, bucketSize } = hasher;
+      const key = hash4Bytes(input, pos, hasher.shift);
+      const count = counts[key];
+      for (let i = 1; i <= bucketSize; i++) {
+        const candidate =
+          table[(key << bucketBits) + ((count - i) & (bucketSize - 1))];
+        if (candidate < 0) continue;
+        const dist = pos - candidate;
+        if (dist <= 0 || dist > maxDistance) continue;
+        if (input[candidate + bestLen] !== input[pos + bestLen]) continue;
+
+        // Minimum match length is 4 bytes for Brotli
+        const len = findMatchLength(
+          input,
+          candidate,
+          pos,
+          maxCopyLength(candidate, maxLen, streamOffset),
+        );
+        if (len >= 4) consider(len, dist, backwardReferenceScore(len, dist));
+      }
+      hasherStore(hasher, input, pos);
+    }
+    hashed = pos + 1;
+
+    // Dictionary words are addressed past the furthest backward distance and
+    // any custom dictionary
+    if (params.useDictionary) {
+      const match = findDictionaryMatch(input, pos, end);
+      if (match !== null) {
+        const dist =
+          Math.min(maxDistance, streamOffset + pos) +
+          1 +
+          params.dictionarySize +
+          match.wordId;
+        const score = backwardReferenceScore(match.len, dist);
+        if (score >= kMinDictionaryScore && score > bestScore) {
+          consider(match.len, dist, score);
+          wordLen = match.wordLen;
         }
       }
     }
-  }
-
-  // Assign canonical Huffman codes
-  const blCount = new Array(maxBits + 1).fill(0);
-  for (let i = 0; i < maxSymbols; i++) {
-    if (depths[i] > 0) blCount[depths[i]]++;
-  }
 
-  const nextCode = new Array(maxBits + 1).fill(0);
-  let code = 0;
-  for (let bits = 1; bits <= maxBits; bits++) {
-    code = (code + blCount[bits - 1]) << 1;
-    nextCode[bits] = code;
-  }
+    if (bestScore === 0) return null;
+    return { len: bestLen, distance: bestDist, score: bestScore, wordLen };
+  };
 
-  for (let i = 0; i < maxSymbols; i++) {
-    const len = depths[i];
-    if (len > 0) {
-      // Reverse bits for Brotli
-      let c = nextCode[len]++;
-      let rc = 0;
-      for (let j = 0; j < len; j++) {
-        rc = (rc << 1) | (c & 1);
-        c >>= 1;
-      }
-      codes[i] = rc;
+  let pos = start;
+  let insertStart = start;
+  while (pos + 4 <= end) {
+    store(pos);
+    let match = findBestMatch(pos);
+    if (match === null) {
+      pos++;
+      continue;
     }
-  }
 
-  return { depths, codes, numSymbols: symbols.length };
-}
+    // Lazy matching: emit a literal instead if the next position has a
+    // clearly better match
+    for (let step = 0; step < params.lazySteps && pos + 5 <= end; step++) {
+      const next = findBestMatch(pos + 1);
+      if (next === null || next.score < match.score + kLazyMatchMinGain) break;
+      pos++;
+      match = next;
+    }
 
-// Write a simple prefix code (RFC 7932 Section 3.4)
-function writeSimplePrefixCode(bw, symbols, alphabetBits) {
-  const n = symbols.length;
-  bw.writeBits(1, 2); // Simple prefix code marker
+    commands.push({
+      insertLen: pos - insertStart,
+      copyLen: match.len,
+      distance: match.distance,
+      wordLen: match.wordLen,
+    });
+    // Dictionary references leave the distance cache alone
+    if (match.wordLen === 0 && match.distance !== distCache[0]) {
+      distCache.pop();
+      distCache.unshift(match.distance);
+    }
 
-  bw.writeBits(n - 1, 2); // NSYM - 1
+    pos += match.len;
+    insertStart = pos;
+  }
 
-  // Sort symbols for output
-  const sorted = [...symbols].sort((a, b) => a - b);
+  // Hash the tail so the next meta-block can reference it
+  store(end);
 
-  for (let i = 0; i < n; i++) {
-    bw.writeBits(sorted[i], alphabetBits);
+  // Emit remaining literals
+  if (insertStart < end) {
+    commands.push({
+      insertLen: end - insertStart,
+      copyLen: 0,
+      distance: 0,
+      wordLen: 0,
+    });
   }
 
-  if (n === 4) {
-    // Tree-select bit
-    bw.writeBits(0, 1); // Use 1,2,3,3 tree
-  }
+  return commands;
 }
 
-// Write a complex prefix code (RFC 7932 Section 3.5)
-function writeComplexPrefixCode(bw, depths, numSymbols) {
-  // Code length code order
-  const order = [1, 2, 3, 4, 0, 5, 17, 6, 16, 7, 8, 9, 10, 11, 12, 13, 14, 15];
-
-  // Count code lengths
-  const clCounts = new Array(18).fill(0);
-  let maxCodeLen = 0;
-  let numNonZero = 0;
-
-  for (let i = 0; i < numSymbols; i++) {
-    if (depths[i] > 0) {
-      clCounts[depths[i]]++;
-      maxCodeLen = Math.max(maxCodeLen, depths[i]);
-      numNonZero++;
-    }
+// Size of the distance cost table, covering large window distance codes
+const kNumDistanceCostSymbols = 16 + (kLargeMaxDistanceBits << 1);
+
+// Start positions kept for the shortest path search (google/brotli's
+// StartPosQueue)
+const kMaxStartPositions = 8;
+
+// Bit costs of the literal, command and distance symbols for optimal parsing
+// before any commands are known: literals by their frequency in
+// input[start, end), commands and distances by a fixed slope
+// (google/brotli's ZopfliCostModelSetFromLiteralCosts)
+function initialCostModel(input, start, end) {
+  const histogram = new Uint32Array(256);
+  for (let i = start; i < end; i++) histogram[input[i]]++;
+  const total = end - start;
+  const literal = new Float64Array(256);
+  for (let i = 0; i < 256; i++) {
+    literal[i] = Math.log2(total / Math.max(histogram[i], 0.25));
   }
+  const command = new Float64Array(704);
+  for (let i = 0; i < 704; i++) command[i] = Math.log2(11 + i);
+  const distance = new Float64Array(kNumDistanceCostSymbols);
+  for (let i = 0; i < distance.length; i++) distance[i] = Math.log2(20 + i);
+  return { literal, command, distance };
+}
 
-  // Simple case: use simple code if <= 4 symbols
-  if (numNonZero <= 4) {
-    const symbols = [];
-    for (let i = 0; i < numSymbols && symbols.length < 4; i++) {
-      if (depths[i] > 0) symbols.push(i);
-    }
-    const alphabetBits = Math.max(1, Math.ceil(Math.log2(numSymbols)));
-    writeSimplePrefixCode(bw, symbols, alphabetBits);
-    return;
+// Bit costs of each symbol under the prefix code built for counts. Symbols
+// that were not used cost a couple of bits more than the rarest would.
+function symbolCosts(counts) {
+  const { depths } = buildHuffmanCode(counts, counts.length, 15);
+  let total = 0;
+  for (const count of counts) total += count;
+  const missing = Math.log2(total + 1) + 2;
+  const costs = new Float64Array(counts.length);
+  for (let i = 0; i < counts.length; i++) {
+    costs[i] = counts[i] > 0 ? depths[i] : missing;
   }
+  return costs;
+}
 
-  // Complex code: write code length code lengths
-  bw.writeBits(0, 2); // Complex prefix code, skip = 0
-
-  // Build code length Huffman code
-  const clDepths = new Uint8Array(18);
-  let space = 32;
-  let numCodes = 0;
+// Bit costs from the prefix codes the commands of a previous parse would be
+// written with
+function costModelFromCommands(input, start, commands, distCache) {
+  const { literals, cmdSymbols, distCodes } = translateCommands(
+    start,
+    commands,
+    distCache.slice(),
+  );
+  const literal = new Uint32Array(256);
+  for (const pos of literals) literal[input[pos]]++;
+  const command = new Uint32Array(704);
+  for (const symbol of cmdSymbols) command[symbol]++;
+  const distance = new Uint32Array(kNumDistanceCostSymbols);
+  for (const code of distCodes) {
+    distance[prefixEncodeDistance(code, 0, 0).symbol]++;
+  }
+  return {
+    literal: symbolCosts(literal),
+    command: symbolCosts(command),
+    distance: symbolCosts(distance),
+  };
+}
 
-  // Assign depths to code length symbols
-  for (let i = 0; i < 18 && space > 0; i++) {
-    const sym = order[i];
-    let depth = 0;
-
-    if (sym < 16) {
-      // Literal code length
-      if (clCounts[sym] > 0) {
-        depth = Math.min(
-          4,
-          Math.max(1, 5 - Math.floor(Math.log2(clCounts[sym] + 1))),
+// Optimal parsing - find the cheapest sequence of commands for input[start,
+// end) under a bit cost model, refined over several passes with the prefix
+// codes of the previous pass (google/brotli's Zopfli-style parsing). Takes
+// the same arguments and returns the same commands as findMatches.
+function findOptimalMatches(
+  hasher,
+  input,
+  start,
+  end,
+  streamOffset,
+  maxDistance,
+  params,
+  distCache,
+) {
+  const n = end - start;
+  const isTree = hasher.matcher === kMatcherBinaryTree;
+  let hashed = start;
+
+  const insert = (pos) => hasherInsert(hasher, input, pos, maxDistance);
+  const store = (target) => {
+    if (isTree && target - 63 - hashed >= 512) {
+      for (; hashed < target - 63; hashed += 8) insert(hashed);
+      hashed = target - 63;
+    }
+    for (; hashed < target; hashed++) insert(hashed);
+  };
+
+  // Collect the matches of increasing length at every position once, for
+  // all passes. Past a long match only the match itself is kept and the
+  // positions it covers get none.
+  const matchStarts = new Int32Array(n + 1);
+  const matchDistances = [];
+  const matchLengths = [];
+  const matchWordLens = [];
+  const matchDistSymbols = [];
+  const matchDistBits = [];
+  const found = [];
+  const addMatch = (dist, len, wordLen) => {
+    const { symbol, nbits } = prefixEncodeDistance(dist + 15, 0, 0);
+    matchDistances.push(dist);
+    matchLengths.push(len);
+    matchWordLens.push(wordLen);
+    matchDistSymbols.push(symbol);
+    matchDistBits.push(nbits);
+  };
+  for (let i = 0; i < n; i++) {
+    matchStarts[i] = matchLengths.length;
+    const pos = start + i;
+    if (i + 4 > n || pos < hashed) continue;
+    store(pos);
+
+    found.length = 0;
+    if (isTree) {
+      treeStoreAndFindMatches(
+        hasher,
+        input,
+        pos,
+        input.length - pos,
+        maxDistance,
+        found,
+      );
+    } else {
+      // Newest positions first, so distances increase
+      const { table, counts, bucketBits, bucketSize } = hasher;
+      const key = hash4Bytes(input, pos, hasher.shift);
+      const count = counts[key];
+      let bestLen = 0;
+      for (let j = 1; j <= bucketSize; j++) {
+        const candidate =
+          table[(key << bucketBits) + ((count - j) & (bucketSize - 1))];
+        const dist = pos - candidate;
+        if (candidate < 0 || dist <= 0 || dist > maxDistance) continue;
+        const len = findMatchLength(
+          input,
+          candidate,
+          pos,
+          maxCopyLength(candidate, n - i, streamOffset),
         );
+        if (len > bestLen) {
+          bestLen = len;
+          found.push(dist, len);
+        }
       }
-    } else if (sym === 16) {
-      depth = 4; // Repeat previous
-    } else if (sym === 17) {
-      depth = 4; // Zero run
-    }
-
-    if (depth > 0 && space >= 32 >> depth) {
-      clDepths[sym] = depth;
-      space -= 32 >> depth;
-      numCodes++;
+      hasherStore(hasher, input, pos);
     }
-  }
+    hashed = pos + 1;
 
-  // Ensure we use all the space
-  if (space > 0 && numCodes > 0) {
-    for (let i = 0; i < 18 && space > 0; i++) {
-      const sym = order[i];
-      if (clDepths[sym] > 0 && clDepths[sym] > 1) {
-        space -= 32 >> clDepths[sym];
-        clDepths[sym]--;
-        space += 32 >> clDepths[sym];
+    let bestLen = 3;
+    for (let j = 0; j < found.length; j += 2) {
+      const len = Math.min(
+        found[j + 1],
+        maxCopyLength(pos - found[j], n - i, streamOffset),
+      );
+      if (len > bestLen) {
+        bestLen = len;
+        addMatch(found[j], len, 0);
       }
     }
-  }
-
-  // Write code length code lengths using variable-length encoding
-  for (let i = 0; i < 18; i++) {
-    const sym = order[i];
-    const depth = clDepths[sym];
-
-    if (depth === 0) {
-      bw.writeBits(0, 2);
-    } else if (depth === 1) {
-      bw.writeBits(1, 2);
-    } else if (depth === 2) {
-      bw.writeBits(2, 2);
-    } else if (depth === 3) {
-      bw.writeBits(3, 2);
-    } else if (depth === 4) {
-      bw.writeBits(4 + 0, 4);
-    } else {
-      bw.writeBits(4 + 8, 4);
+    if (params.useDictionary) {
+      const match = findDictionaryMatch(input, pos, end);
+      if (match !== null && match.len > bestLen) {
+        bestLen = match.len;
+        addMatch(
+          Math.min(maxDistance, streamOffset + pos) +
+            1 +
+            params.dictionarySize +
+            match.wordId,
+          match.len,
+          match.wordLen,
+        );
+      }
     }
-
-    if (depth > 0) {
-      space = 32 - (32 >> depth);
-      if (space <= 0) break;
+    if (bestLen > params.maxOptimalLen) {
+      const last = matchLengths.length - 1;
+      for (const list of [
+        matchDistances,
+        matchLengths,
+        matchWordLens,
+        matchDistSymbols,
+        matchDistBits,
+      ]) {
+        list[matchStarts[i]] = list[last];
+        list.length = matchStarts[i] + 1;
+      }
+      store(pos + bestLen);
     }
   }
+  matchStarts[n] = matchLengths.length;
+  store(end);
+
+  let commands = null;
+  for (let pass = 0; pass < params.optimalPasses; pass++) {
+    const model =
+      commands === null
+        ? initialCostModel(input, start, end)
+        : costModelFromCommands(input, start, commands, distCache);
+    commands = shortestPathCommands(
+      input,
+      start,
+      n,
+      streamOffset,
+      maxDistance,
+      params,
+      distCache,
+      model,
+      {
+        matchStarts,
+        matchDistances,
+        matchLengths,
+        matchWordLens,
+        matchDistSymbols,
+        matchDistBits,
+      },
+    );
+  }
+  return commands;
+}
 
-  // Build code length Huffman table
-  const clCodes = new Uint16Array(18);
-  const blCount = new Array(6).fill(0);
-  for (let i = 0; i < 18; i++) {
-    if (clDepths[i] > 0) blCount[clDepths[i]]++;
+// One pass of optimal parsing: the cheapest commands for input[start, start
+// + n) given the matches at each position. Every position reached by a copy
+// is a node holding the cost of the cheapest commands ending there and the
+// last command's lengths and distance; commands start from the few cheapest
+// recent nodes after their inserted literals (google/brotli's
+// ZopfliIterate).
+function shortestPathCommands(
+  input,
+  start,
+  n,
+  streamOffset,
+  maxDistance,
+  params,
+  distCache,
+  model,
+  matches,
+) {
+  const {
+    matchStarts,
+    matchDistances,
+    matchLengths,
+    matchWordLens,
+    matchDistSymbols,
+    matchDistBits,
+  } = matches;
+
+  // Cost of the literals before each position
+  const literalCosts = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) {
+    literalCosts[i + 1] = literalCosts[i] + model.literal[input[start + i]];
   }
 
-  const nextCode = new Array(6).fill(0);
+  const costs = new Float64Array(n + 1).fill(Infinity);
+  const copyLens = new Int32Array(n + 1);
+  const insertLens = new Int32Array(n + 1);
+  const distances = new Int32Array(n + 1);
+  const wordLens = new Uint8Array(n + 1);
+  // Distance cache after the commands ending at each node
+  const caches = new Int32Array(4 * (n + 1));
+  costs[0] = 0;
+  caches.set(distCache.slice(0, 4));
+
+  // Nodes commands may start from, cheapest first, dropping the oldest
+  const queue = [];
+  const evaluateNode = (i) => {
+    if (!(costs[i] <= literalCosts[i])) return;
+    if (queue.length === kMaxStartPositions) {
+      let oldest = 0;
+      for (let k = 1; k < queue.length; k++) {
+        if (queue[k].pos < queue[oldest].pos) oldest = k;
+      }
+      queue.splice(oldest, 1);
+    }
+    const node = { pos: i, costDiff: costs[i] - literalCosts[i] };
+    let k = queue.length;
+    while (k > 0 && queue[k - 1].costDiff > node.costDiff) k--;
+    queue.splice(k, 0, node);
+  };
+
+  const updateNode = (i, len, from, insertLen, dist, wordLen, cost) => {
+    const to = i + len;
+    costs[to] = cost;
+    copyLens[to] = len;
+    insertLens[to] = insertLen;
+    distances[to] = dist;
+    wordLens[to] = wordLen;
+    // Dictionary references and repeats of the last distance leave the
+    // cache alone
+    if (wordLen === 0 && dist !== caches[4 * from]) {
+      caches[4 * to] = dist;
+      caches.copyWithin(4 * to + 1, 4 * from, 4 * from + 3);
+    } else {
+      caches.copyWithin(4 * to, 4 * from, 4 * from + 4);
+    }
+  };
+
+  const updateNodes = (i) => {
+    const pos = start + i;
+    const maxLen = n - i;
+    const numStarts = Math.min(queue.length, params.optimalStartPositions);
+    for (let k = 0; k < numStarts; k++) {
+      const from = queue[k].pos;
+      const insertLen = i - from;
+      const insCode = getInsertLengthCode(insertLen);
+      const baseCost =
+        queue[k].costDiff +
+        literalCosts[i] +
+        kInsertLengthPrefixCode[insCode][1];
+
+      // Copies from the distance cache of this start, the shortest lengths
+      // going to the cheapest codes. Long copies are only tried whole.
+      let bestLen = 1;
+      for (let j = 0; j < 16 && bestLen < maxLen; j++) {
+        const dist =
+          caches[4 * from + kDistanceShortCodeIndexOffset[j] - 1] +
+          kDistanceShortCodeValueOffset[j];
+        if (dist <= 0 || dist > pos || dist > maxDistance) continue;
+        if (input[pos - dist + bestLen] !== input[pos + bestLen]) continue;
+        const len = findMatchLength(
+          input,
+          pos - dist,
+          pos,
+          maxCopyLength(pos - dist, maxLen, streamOffset),
+        );
+        const distCost = baseCost + model.distance[j];
+        const minLen = len > params.maxOptimalLen ? len : bestLen + 1;
+        for (let len2 = minLen; len2 <= len; len2++) {
+          const copyCode = getCopyLengthCode(len2);
+          const cmdCode = getCmdCode(insCode, copyCode, j === 0);
+          const cost =
+            (cmdCode < 128 ? baseCost : distCost) +
+            kCopyLengthPrefixCode[copyCode][1] +
+            model.command[cmdCode];
+          if (cost < costs[i + len2]) {
+            updateNode(i, len2, from, insertLen, dist, 0, cost);
+          }
+        }
+        bestLen = Math.max(bestLen, len);
+      }
+
+      // New distances rarely pay off from the costlier starts
+      if (k >= 2) continue;
+
+      // Every length of each match, or only the full length of dictionary
+      // words and long matches
+      let len = 4;
+      for (let m = matchStarts[i]; m < matchStarts[i + 1]; m++) {
+        const matchLen = matchLengths[m];
+        const wordLen = matchWordLens[m];
+        const distCost =
+          baseCost + matchDistBits[m] + model.distance[matchDistSymbols[m]];
+        if (len < matchLen && (wordLen || matchLen > params.maxOptimalLen)) {
+          len = matchLen;
+        }
+        for (; len <= matchLen; len++) {
+          const copyCode = getCopyLengthCode(wordLen || len);
+          const cmdCode = getCmdCode(insCode, copyCode, false);
+          const cost =
+            distCost +
+            kCopyLengthPrefixCode[copyCode][1] +
+            model.command[cmdCode];
+          if (cost < costs[i + len]) {
+            updateNode(
+              i,
+              len,
+              from,
+              insertLen,
+              matchDistances[m],
+              wordLen,
+              cost,
+            );
+          }
+        }
+      }
+    }
+  };
+
+  for (let i = 0; i + 4 <= n; i++) {
+    evaluateNode(i);
+    updateNodes(i);
+    // Positions inside a long match only serve as starts
+    const m = matchStarts[i];
+    if (
+      matchStarts[i + 1] - m === 1 &&
+      matchLengths[m] > params.maxOptimalLen
+    ) {
+      for (let skip = matchLengths[m] - 1; skip > 0 && i + 5 <= n; skip--) {
+        evaluateNode(++i);
+      }
+    }
+  }
+
+  // The cheapest node to end on, inserting the remaining literals
+  let last = 0;
+  for (let i = 1; i <= n; i++) {
+    if (costs[i] - literalCosts[i] <= costs[last] - literalCosts[last]) {
+      last = i;
+    }
+  }
+
+  const commands = [];
+  if (last < n) {
+    commands.push({ insertLen: n - last, copyLen: 0, distance: 0, wordLen: 0 });
+  }
+  for (let i = last; i > 0; i -= copyLens[i] + insertLens[i]) {
+    commands.push({
+      insertLen: insertLens[i],
+      copyLen: copyLens[i],
+      distance: distances[i],
+      wordLen: wordLens[i],
+    });
+  }
+  return commands.reverse();
+}
+
+// Compute insert length code (RFC 7932 Section 5)
+function getInsertLengthCode(insertLen) {
+  if (insertLen < 6) return insertLen;
+  if (insertLen < 130) {
+    const nbits = 31 - Math.clz32(insertLen - 2) - 1;
+    return (nbits << 1) + ((insertLen - 2) >> nbits) + 2;
+  }
+  if (insertLen < 2114) {
+    return 31 - Math.clz32(insertLen - 66) + 10;
+  }
+  if (insertLen < 6210) return 21;
+  if (insertLen < 22594) return 22;
+  return 23;
+}
+
+// Compute copy length code (RFC 7932 Section 5)
+function getCopyLengthCode(copyLen) {
+  if (copyLen < 10) return copyLen - 2;
+  if (copyLen < 134) {
+    const nbits = 31 - Math.clz32(copyLen - 6) - 1;
+    return (nbits << 1) + ((copyLen - 6) >> nbits) + 4;
+  }
+  if (copyLen < 2118) {
+    return 31 - Math.clz32(copyLen - 70) + 12;
+  }
+  return 23;
+}
+
+// Combine insert and copy length codes into command code (RFC 7932 Section 5)
+function getCmdCode(insCode, copyCode, useLastDistance) {
+  const bits64 = (copyCode & 0x7) | ((insCode & 0x7) << 3);
+  if (useLastDistance && insCode < 8 && copyCode < 16) {
+    return copyCode < 8 ? bits64 : bits64 | 64;
+  }
+  const offset = 2 * ((copyCode >> 3) + 3 * (insCode >> 3));
+  const offsetVal = (offset << 5) + 0x40 + ((0x520d40 >> offset) & 0xc0);
+  return offsetVal | bits64;
+}
+
+// Distance code encoding (RFC 7932 Section 4). Returns a short code (0-15)
+// when the distance can be expressed relative to the last distances, which
+// are ordered most recent first, or distance + 15 otherwise.
+function getDistanceCode(distance, lastDistances) {
+  for (let code = 0; code < 16; code++) {
+    const idx = kDistanceShortCodeIndexOffset[code] - 1;
+    if (distance === lastDistances[idx] + kDistanceShortCodeValueOffset[code]) {
+      return code;
+    }
+  }
+  return distance + 15;
+}
+
+// Split a distance code into its prefix symbol and extra bits
+function prefixEncodeDistance(distCode, npostfix, ndirect) {
+  if (distCode < 16 + ndirect) {
+    return { symbol: distCode, nbits: 0, extra: 0 };
+  }
+  const dist = (1 << (npostfix + 2)) + (distCode - 16 - ndirect);
+  const bucket = 31 - Math.clz32(dist) - 1;
+  const postfix = dist & ((1 << npostfix) - 1);
+  const prefix = (dist >> bucket) & 1;
+  const offset = (2 + prefix) << bucket;
+  const nbits = bucket - npostfix;
+  return {
+    symbol: 16 + ndirect + ((2 * (nbits - 1) + prefix) << npostfix) + postfix,
+    nbits,
+    extra: (dist - offset) >> npostfix,
+  };
+}
+
+// Build length-limited Huffman code from symbol counts. If the tree is too
+// deep, small counts are raised and the tree rebuilt (as google/brotli does).
+function buildHuffmanCode(counts, maxSymbols, maxBits) {
+  const depths = new Uint8Array(maxSymbols);
+  const codes = new Uint16Array(maxSymbols);
+
+  const symbols = [];
+  for (let i = 0; i < maxSymbols; i++) {
+    if (counts[i] > 0) symbols.push(i);
+  }
+
+  if (symbols.length === 0) {
+    return { depths, codes, numSymbols: 0 };
+  }
+
+  if (symbols.length === 1) {
+    depths[symbols[0]] = 1;
+    return { depths, codes, numSymbols: 1 };
+  }
+
+  for (let countLimit = 1; ; countLimit *= 2) {
+    // Leaves sorted by count, merged nodes are created in increasing order so
+    // a two-queue merge yields the Huffman tree
+    const leaves = symbols.map((symbol) => ({
+      count: Math.max(counts[symbol], countLimit),
+      symbol,
+    }));
+    leaves.sort((a, b) => a.count - b.count || b.symbol - a.symbol);
+
+    const merged = [];
+    let li = 0;
+    let mi = 0;
+    const takeSmallest = () => {
+      if (
+        mi >= merged.length ||
+        (li < leaves.length && leaves[li].count <= merged[mi].count)
+      ) {
+        return leaves[li++];
+      }
+      return merged[mi++];
+    };
+    for (let n = 1; n < leaves.length; n++) {
+      const left = takeSmallest();
+      const right = takeSmallest();
+      merged.push({ count: left.count + right.count, left, right });
+    }
+
+    let maxDepth = 0;
+    const stack = [[merged[merged.length - 1], 0]];
+    while (stack.length > 0) {
+      const [node, depth] = stack.pop();
+      if (node.left) {
+        stack.push([node.left, depth + 1], [node.right, depth + 1]);
+      } else {
+        depths[node.symbol] = depth;
+        maxDepth = Math.max(maxDepth, depth);
+      }
+    }
+
+    if (maxDepth <= maxBits) break;
+  }
+
+  convertDepthsToCodes(depths, codes, maxBits);
+  return { depths, codes, numSymbols: symbols.length };
+}
+
+// Assign canonical Huffman codes, bit-reversed since Brotli reads codes LSB
+// first
+function convertDepthsToCodes(depths, codes, maxBits) {
+  const blCount = new Array(maxBits + 1).fill(0);
+  for (let i = 0; i < depths.length; i++) {
+    if (depths[i] > 0) blCount[depths[i]]++;
+  }
+
+  const nextCode = new Array(maxBits + 1).fill(0);
   let code = 0;
-  for (let bits = 1; bits <= 5; bits++) {
+  for (let bits = 1; bits <= maxBits; bits++) {
     code = (code + blCount[bits - 1]) << 1;
     nextCode[bits] = code;
   }
 
-  for (let i = 0; i < 18; i++) {
-    const len = clDepths[i];
+  for (let i = 0; i < depths.length; i++) {
+    const len = depths[i];
     if (len > 0) {
       let c = nextCode[len]++;
       let rc = 0;
@@ -1234,476 +2952,2202 @@ function writeComplexPrefixCode(bw, depths, numSymbols) {
         rc = (rc << 1) | (c & 1);
         c >>= 1;
       }
-      clCodes[i] = rc;
+      codes[i] = rc;
+    }
+  }
+}
+
+// Write a simple prefix code (RFC 7932 Section 3.4). Symbols are written in
+// order of increasing depth, which must follow one of the fixed shapes.
+function writeSimplePrefixCode(bw, symbols, depths, alphabetBits) {
+  const n = symbols.length;
+  bw.writeBits(1, 2); // Simple prefix code marker
+
+  bw.writeBits(n - 1, 2); // NSYM - 1
+
+  const sorted = [...symbols].sort((a, b) => depths[a] - depths[b] || a - b);
+
+  for (let i = 0; i < n; i++) {
+    bw.writeBits(sorted[i], alphabetBits);
+  }
+
+  if (n === 4) {
+    // Tree-select bit: 0 for depths 2,2,2,2 and 1 for 1,2,3,3
+    bw.writeBits(depths[sorted[0]] === 1 ? 1 : 0, 1);
+  }
+}
+
+// Run-length encode code lengths with the repeat codes 16 (previous non-zero
+// length) and 17 (zeros), as google/brotli's WriteHuffmanTree does
+function encodeCodeLengths(depths, numSymbols) {
+  const symbols = [];
+  const extraBits = [];
+
+  const writeRepeats = (code, reps) => {
+    const bits = code === 16 ? 2 : 3;
+    const start = symbols.length;
+    reps -= 3;
+    for (;;) {
+      symbols.push(code);
+      extraBits.push(reps & ((1 << bits) - 1));
+      reps >>= bits;
+      if (reps === 0) break;
+      reps--;
+    }
+    symbols.splice(
+      start,
+      symbols.length - start,
+      ...symbols.slice(start).reverse(),
+    );
+    extraBits.splice(
+      start,
+      extraBits.length - start,
+      ...extraBits.slice(start).reverse(),
+    );
+  };
+
+  // Trailing zeros need not be written
+  let length = numSymbols;
+  while (length > 0 && depths[length - 1] === 0) length--;
+
+  let prevValue = 8;
+  for (let i = 0; i < length; ) {
+    const value = depths[i];
+    let reps = 1;
+    while (i + reps < length && depths[i + reps] === value) reps++;
+    i += reps;
+
+    if (value === 0) {
+      if (reps === 11) {
+        symbols.push(0);
+        extraBits.push(0);
+        reps--;
+      }
+      if (reps < 3) {
+        for (let j = 0; j < reps; j++) {
+          symbols.push(0);
+          extraBits.push(0);
+        }
+      } else {
+        writeRepeats(17, reps);
+      }
+    } else {
+      if (value !== prevValue) {
+        symbols.push(value);
+        extraBits.push(0);
+        reps--;
+      }
+      if (reps === 7) {
+        symbols.push(value);
+        extraBits.push(0);
+        reps--;
+      }
+      if (reps < 3) {
+        for (let j = 0; j < reps; j++) {
+          symbols.push(value);
+          extraBits.push(0);
+        }
+      } else {
+        writeRepeats(16, reps);
+      }
+      prevValue = value;
+    }
+  }
+
+  return { symbols, extraBits };
+}
+
+// Static prefix code used to write code length code lengths (0-5)
+const kCodeLengthCodeLengthSymbols = [0, 7, 3, 2, 1, 15];
+const kCodeLengthCodeLengthBits = [2, 4, 3, 2, 2, 4];
+
+// Write a complex prefix code (RFC 7932 Section 3.5)
+function writeComplexPrefixCode(bw, depths, numSymbols) {
+  const { symbols, extraBits } = encodeCodeLengths(depths, numSymbols);
+
+  // Build code length Huffman code (at most 5 bits per code length code)
+  const clCounts = new Uint32Array(18);
+  for (const symbol of symbols) clCounts[symbol]++;
+  const {
+    depths: clDepths,
+    codes: clCodes,
+    numSymbols: numCodes,
+  } = buildHuffmanCode(clCounts, 18, 5);
+
+  // Write code length code lengths, skipping leading and trailing zeros
+  let codesToStore = 18;
+  if (numCodes > 1) {
+    while (
+      codesToStore > 0 &&
+      clDepths[kCodeLengthCodeOrder[codesToStore - 1]] === 0
+    ) {
+      codesToStore--;
+    }
+  }
+  let skip = 0;
+  if (
+    clDepths[kCodeLengthCodeOrder[0]] === 0 &&
+    clDepths[kCodeLengthCodeOrder[1]] === 0
+  ) {
+    skip = clDepths[kCodeLengthCodeOrder[2]] === 0 ? 3 : 2;
+  }
+
+  bw.writeBits(skip, 2);
+  for (let i = skip; i < codesToStore; i++) {
+    const depth = clDepths[kCodeLengthCodeOrder[i]];
+    bw.writeBits(
+      kCodeLengthCodeLengthSymbols[depth],
+      kCodeLengthCodeLengthBits[depth],
+    );
+  }
+
+  // A single code length code takes no bits
+  if (numCodes === 1) clDepths.fill(0);
+
+  // Write symbol code lengths
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    bw.writeBits(clCodes[symbol], clDepths[symbol]);
+    if (symbol === 16) bw.writeBits(extraBits[i], 2);
+    else if (symbol === 17) bw.writeBits(extraBits[i], 3);
+  }
+}
+
+// Write a prefix code for the given histogram. Returns the depths and codes to
+// emit symbols with; a lone symbol is coded with zero bits.
+function writePrefixCode(bw, counts, numSymbols) {
+  const alphabetBits = Math.max(1, Math.ceil(Math.log2(numSymbols)));
+
+  // Count non-zero symbols
+  const nonZeroSymbols = [];
+  for (let i = 0; i < numSymbols; i++) {
+    if (counts[i] > 0) nonZeroSymbols.push(i);
+  }
+
+  if (nonZeroSymbols.length <= 1) {
+    // Write simple code with a single symbol
+    bw.writeBits(1, 2); // Simple prefix code
+    bw.writeBits(0, 2); // 1 symbol
+    bw.writeBits(nonZeroSymbols.length ? nonZeroSymbols[0] : 0, alphabetBits);
+    return {
+      depths: new Uint8Array(numSymbols),
+      codes: new Uint16Array(numSymbols),
+    };
+  }
+
+  const { depths, codes } = buildHuffmanCode(counts, numSymbols, 15);
+
+  if (nonZeroSymbols.length <= 4) {
+    writeSimplePrefixCode(bw, nonZeroSymbols, depths, alphabetBits);
+  } else {
+    writeComplexPrefixCode(bw, depths, numSymbols);
+  }
+
+  return { depths, codes };
+}
+
+// Literal context modeling pays off from this quality level up
+const kMinQualityForContextModeling = 5;
+
+// Context modes (RFC 7932 section 7.1)
+const kContextLSB6 = 0;
+const kContextUTF8 = 2;
+const kContextSigned = 3;
+
+// One literal prefix code per block type, shared by all of its contexts
+function noLiteralContextModel(numTypes) {
+  const contextMap = new Uint8Array(numTypes << 6);
+  for (let type = 0; type < numTypes; type++) {
+    contextMap.fill(type, type << 6, (type + 1) << 6);
+  }
+  return { contextMode: kContextLSB6, contextMap, numTrees: numTypes };
+}
+
+// log2 of small integers, which dominate histogram counts
+const kLog2Table = new Float64Array(256);
+for (let i = 1; i < 256; i++) kLog2Table[i] = Math.log2(i);
+
+function fastLog2(v) {
+  return v < 256 ? kLog2Table[v] : Math.log2(v);
+}
+
+// Shannon entropy of a histogram, in bits
+function shannonBits(histogram) {
+  let total = 0;
+  let bits = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    const count = histogram[i];
+    if (count > 0) {
+      total += count;
+      bits -= count * fastLog2(count);
+    }
+  }
+  return total > 0 ? bits + total * fastLog2(total) : 0;
+}
+
+// Estimate the bits needed to code a histogram with its own prefix code,
+// including the code's header (based on google/brotli's PopulationCost)
+function histogramBitCost(histogram) {
+  let total = 0;
+  let numSymbols = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    if (histogram[i] > 0) {
+      total += histogram[i];
+      numSymbols++;
+    }
+  }
+  if (numSymbols <= 1) return 12;
+  const log2Total = fastLog2(total);
+
+  // Entropy of the symbols, and for complex codes the cost of coding each
+  // symbol's estimated depth, with runs of unused symbols as repeat codes
+  const codeLengthCounts = new Uint32Array(18);
+  let bits = 0;
+  let extraBits = 0;
+  let zeroRun = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    const count = histogram[i];
+    if (count === 0) {
+      zeroRun++;
+      continue;
+    }
+    const log2Count = fastLog2(count);
+    bits += count * (log2Total - log2Count);
+    if (zeroRun > 0) {
+      if (zeroRun < 3) {
+        codeLengthCounts[0] += zeroRun;
+      } else {
+        const repeats = Math.ceil((zeroRun - 2) / 8);
+        codeLengthCounts[17] += repeats;
+        extraBits += repeats * 3;
+      }
+      zeroRun = 0;
+    }
+    const depth = Math.round(log2Total - log2Count);
+    codeLengthCounts[depth < 1 ? 1 : depth > 15 ? 15 : depth]++;
+  }
+
+  if (numSymbols <= 4) {
+    // Simple code
+    return bits + 4 + numSymbols * Math.ceil(Math.log2(histogram.length));
+  }
+  return bits + extraBits + 40 + shannonBits(codeLengthCounts);
+}
+
+// Add histogram b into a
+function addHistogram(a, b) {
+  for (let i = 0; i < a.length; i++) a[i] += b[i];
+}
+
+// Greedily merge the histograms whose combination saves the most bits, until
+// no merge saves any and at most maxClusters remain. Returns, for each input
+// histogram, its cluster index, with clusters numbered in order of first use,
+// and the total estimated cost.
+function clusterHistograms(histograms, maxClusters = 256) {
+  const clusters = [];
+  for (let i = 0; i < histograms.length; i++) {
+    const histogram = histograms[i];
+    if (histogram.some((count) => count > 0)) {
+      clusters.push({
+        histogram: histogram.slice(),
+        cost: histogramBitCost(histogram),
+        members: [i],
+      });
+    }
+  }
+
+  // Cost of each pair of clusters merged, kept up to date as clusters merge
+  const pairCost = (a, b) => {
+    const merged = a.histogram.slice();
+    addHistogram(merged, b.histogram);
+    return histogramBitCost(merged);
+  };
+  const costs = clusters.map((a, i) =>
+    clusters.map((b, j) => (j > i ? pairCost(a, b) : 0)),
+  );
+
+  for (;;) {
+    let bestI = -1;
+    let bestJ = -1;
+    let bestSaving = clusters.length > maxClusters ? -Infinity : 0;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const saving = clusters[i].cost + clusters[j].cost - costs[i][j];
+        if (saving > bestSaving) {
+          bestSaving = saving;
+          bestI = i;
+          bestJ = j;
+        }
+      }
+    }
+    if (bestI < 0) break;
+
+    const a = clusters[bestI];
+    const b = clusters[bestJ];
+    addHistogram(a.histogram, b.histogram);
+    a.cost = costs[bestI][bestJ];
+    a.members.push(...b.members);
+    clusters.splice(bestJ, 1);
+    costs.splice(bestJ, 1);
+    for (const row of costs) row.splice(bestJ, 1);
+    for (let k = 0; k < clusters.length; k++) {
+      if (k < bestI) costs[k][bestI] = pairCost(clusters[k], a);
+      else if (k > bestI) costs[bestI][k] = pairCost(a, clusters[k]);
+    }
+  }
+
+  const clusterOf = new Int32Array(histograms.length).fill(-1);
+  clusters.forEach((cluster, index) => {
+    for (const member of cluster.members) clusterOf[member] = index;
+  });
+  const clusterMap = new Uint8Array(histograms.length);
+  const renumber = new Map();
+  for (let i = 0; i < histograms.length; i++) {
+    if (clusterOf[i] < 0) {
+      // Unused histograms repeat the previous entry, which codes cheaply
+      clusterMap[i] = i > 0 ? clusterMap[i - 1] : 0;
+      continue;
+    }
+    if (!renumber.has(clusterOf[i])) {
+      renumber.set(clusterOf[i], renumber.size);
+    }
+    clusterMap[i] = renumber.get(clusterOf[i]);
+  }
+
+  let cost = 0;
+  for (const cluster of clusters) cost += cluster.cost;
+  return { clusterMap, numClusters: Math.max(1, clusters.length), cost };
+}
+
+// Literal context of input[pos] given the bytes before it, which are zero
+// before the start of the stream at input[streamStart]
+function literalContextAt(input, pos, contextMode, streamStart) {
+  return getLiteralContext(
+    contextMode,
+    pos > streamStart ? input[pos - 1] : 0,
+    pos > streamStart + 1 ? input[pos - 2] : 0,
+  );
+}
+
+// Whether at least 3/4 of input[start, end) is valid UTF-8 (based on
+// google/brotli's BrotliIsMostlyUTF8)
+function isMostlyUTF8(input, start, end) {
+  let utf8Bytes = 0;
+  for (let i = start; i < end; ) {
+    const c = input[i];
+    let size = 0;
+    if (c < 0x80) {
+      size = 1;
+    } else if (c >= 0xc2 && c < 0xe0 && (input[i + 1] & 0xc0) === 0x80) {
+      size = 2;
+    } else if (
+      c >= 0xe0 &&
+      c < 0xf0 &&
+      (input[i + 1] & 0xc0) === 0x80 &&
+      (input[i + 2] & 0xc0) === 0x80
+    ) {
+      size = 3;
+    } else if (
+      c >= 0xf0 &&
+      c < 0xf5 &&
+      (input[i + 1] & 0xc0) === 0x80 &&
+      (input[i + 2] & 0xc0) === 0x80 &&
+      (input[i + 3] & 0xc0) === 0x80
+    ) {
+      size = 4;
+    }
+    if (size > 0 && i + size <= end) {
+      utf8Bytes += size;
+      i += size;
+    } else {
+      i++;
+    }
+  }
+  return utf8Bytes * 4 >= (end - start) * 3;
+}
+
+// Cluster the 64 literal contexts of each literal block type into prefix
+// codes shared across block types. literals holds the input position of each
+// literal in the meta-block input[start, end) and literalTypes its block type.
+// Text uses the UTF8 context mode; other data uses the signed mode at the
+// highest qualities, as google/brotli does. The stream starts at
+// input[streamStart]. Returns { contextMode, contextMap, numTrees }.
+function chooseLiteralContextModel(
+  input,
+  literals,
+  literalTypes,
+  numTypes,
+  start,
+  end,
+  quality,
+  streamStart,
+) {
+  const contextMode =
+    quality >= 10 && !isMostlyUTF8(input, start, end)
+      ? kContextSigned
+      : kContextUTF8;
+
+  const histograms = Array.from(
+    { length: numTypes << 6 },
+    () => new Uint32Array(256),
+  );
+  const typeHistograms = Array.from(
+    { length: numTypes },
+    () => new Uint32Array(256),
+  );
+  for (let i = 0; i < literals.length; i++) {
+    const pos = literals[i];
+    const context = literalContextAt(input, pos, contextMode, streamStart);
+    histograms[(literalTypes[i] << 6) | context][input[pos]]++;
+    typeHistograms[literalTypes[i]][input[pos]]++;
+  }
+
+  // Cluster the contexts within each block type first, then the resulting
+  // clusters across block types, which keeps the pairwise search small
+  const typeClusterMaps = [];
+  const typeClusters = [];
+  for (let type = 0; type < numTypes; type++) {
+    const contexts = histograms.slice(type << 6, (type + 1) << 6);
+    const { clusterMap, numClusters } = clusterHistograms(contexts);
+    const clustered = Array.from(
+      { length: numClusters },
+      () => new Uint32Array(256),
+    );
+    contexts.forEach((histogram, context) =>
+      addHistogram(clustered[clusterMap[context]], histogram),
+    );
+    typeClusterMaps.push(clusterMap);
+    typeClusters.push(clustered);
+  }
+  const { clusterMap, numClusters, cost } = clusterHistograms(
+    typeClusters.flat(),
+  );
+
+  const contextMap = new Uint8Array(numTypes << 6);
+  let firstCluster = 0;
+  let mapChanges = 0;
+  for (let type = 0; type < numTypes; type++) {
+    for (let context = 0; context < 64; context++) {
+      const i = (type << 6) | context;
+      contextMap[i] = clusterMap[firstCluster + typeClusterMaps[type][context]];
+      if (i > 0 && contextMap[i] !== contextMap[i - 1]) mapChanges++;
+    }
+    firstCluster += typeClusters[type].length;
+  }
+
+  // Rough cost of the context map itself, compared with a single prefix code
+  // per block type
+  const mapCost = 24 + mapChanges * (2 + Math.log2(numClusters));
+  let plainCost = 0;
+  for (const histogram of typeHistograms) {
+    plainCost += histogramBitCost(histogram);
+  }
+  if (numClusters === 1 || cost + mapCost >= plainCost) {
+    return noLiteralContextModel(numTypes);
+  }
+  return { contextMode, contextMap, numTrees: numClusters };
+}
+
+// Write a variable-length count as read by readVarInt (RFC 7932 section 9.2)
+function writeVarInt(bw, value) {
+  if (value === 0) {
+    bw.writeBits(0, 1);
+  } else {
+    const nbits = 31 - Math.clz32(value);
+    bw.writeBits(1, 1);
+    bw.writeBits(nbits, 3);
+    bw.writeBits(value - (1 << nbits), nbits);
+  }
+}
+
+// Write NTREES and a context map (RFC 7932 section 7.3), move-to-front
+// transformed with runs of zeros run-length coded
+function writeContextMap(bw, contextMap, numTrees) {
+  writeVarInt(bw, numTrees - 1);
+  if (numTrees === 1) return;
+
+  // Move-to-front transform
+  const mtf = [];
+  for (let i = 0; i < 256; i++) mtf.push(i);
+  const values = contextMap.map((value) => {
+    const index = mtf.indexOf(value);
+    mtf.splice(index, 1);
+    mtf.unshift(value);
+    return index;
+  });
+
+  // Longest run of zeros decides the largest run length code
+  let maxRun = 0;
+  for (let i = 0; i < values.length; ) {
+    let run = 0;
+    while (i < values.length && values[i] === 0) {
+      run++;
+      i++;
+    }
+    maxRun = Math.max(maxRun, run);
+    if (run === 0) i++;
+  }
+  const maxRunLengthPrefix =
+    maxRun > 1 ? Math.min(16, 31 - Math.clz32(maxRun)) : 0;
+
+  // Symbols: 0 is a single zero, 1..maxRunLengthPrefix a run of zeros of
+  // 2^code + extra, and v + maxRunLengthPrefix a non-zero value v
+  const symbols = [];
+  for (let i = 0; i < values.length; ) {
+    if (values[i] !== 0) {
+      symbols.push([values[i] + maxRunLengthPrefix, 0, 0]);
+      i++;
+      continue;
+    }
+    let run = 0;
+    while (i < values.length && values[i] === 0) {
+      run++;
+      i++;
+    }
+    while (run > 0) {
+      if (run === 1 || maxRunLengthPrefix === 0) {
+        symbols.push([0, 0, 0]);
+        run--;
+      } else {
+        const code = Math.min(maxRunLengthPrefix, 31 - Math.clz32(run));
+        const length = Math.min(run, (2 << code) - 1);
+        symbols.push([code, code, length - (1 << code)]);
+        run -= length;
+      }
+    }
+  }
+
+  const alphabetSize = numTrees + maxRunLengthPrefix;
+  const counts = new Uint32Array(alphabetSize);
+  for (const [symbol] of symbols) counts[symbol]++;
+
+  bw.writeBits(maxRunLengthPrefix > 0 ? 1 : 0, 1);
+  if (maxRunLengthPrefix > 0) bw.writeBits(maxRunLengthPrefix - 1, 4);
+  const { depths, codes } = writePrefixCode(bw, counts, alphabetSize);
+  for (const [symbol, nbits, extra] of symbols) {
+    bw.writeBits(codes[symbol], depths[symbol]);
+    bw.writeBits(extra, nbits);
+  }
+  bw.writeBits(1, 1); // IMTF
+}
+
+// Block splitting pays off from this quality level up
+const kMinQualityForBlockSplit = 4;
+
+// At most 256 block types per category (RFC 7932 section 6)
+const kMaxBlockTypes = 256;
+
+// Greedy block splitter settings per category: the number of symbols after
+// which a block is considered for a new type, and the bits a new type must
+// save over the previous two (from google/brotli's metablock.c)
+const kLiteralSplit = { minBlockSize: 512, splitThreshold: 400 };
+const kCommandSplit = { minBlockSize: 1024, splitThreshold: 500 };
+const kDistanceSplit = { minBlockSize: 512, splitThreshold: 100 };
+
+// Entropy of a histogram, counting at least one bit per symbol
+function bitsEntropy(histogram) {
+  let total = 0;
+  for (let i = 0; i < histogram.length; i++) total += histogram[i];
+  return Math.max(shannonBits(histogram), total);
+}
+
+// A split with every symbol of a category in one block of type 0
+function singleBlockSplit(numSymbols) {
+  return { numTypes: 1, types: [0], lengths: [numSymbols] };
+}
+
+// Split a sequence of symbols into blocks, giving each block of minBlockSize
+// symbols a new block type if coding it on its own saves more than
+// splitThreshold bits over joining either of the two most recent block types
+// (based on google/brotli's greedy BlockSplitter). Returns
+// { numTypes, types, lengths } with the type and length of every block.
+function splitBlocks(symbols, alphabetSize, { minBlockSize, splitThreshold }) {
+  if (symbols.length === 0) return singleBlockSplit(0);
+
+  const types = [];
+  const lengths = [];
+  const histograms = [];
+  // Types of the last two blocks and the entropy of their histograms
+  let lastTypes = [0, 0];
+  let lastEntropy = [0, 0];
+  let histogram = new Uint32Array(alphabetSize);
+  let blockSize = 0;
+  let targetBlockSize = minBlockSize;
+  let mergeCount = 0;
+
+  const finishBlock = () => {
+    const entropy = bitsEntropy(histogram);
+    if (types.length === 0) {
+      types.push(0);
+      lengths.push(blockSize);
+      histograms.push(histogram);
+      lastEntropy = [entropy, entropy];
+    } else {
+      const combined = lastTypes.map((type) => {
+        const merged = histograms[type].slice();
+        addHistogram(merged, histogram);
+        return merged;
+      });
+      const combinedEntropy = combined.map(bitsEntropy);
+      const diff = [
+        combinedEntropy[0] - entropy - lastEntropy[0],
+        combinedEntropy[1] - entropy - lastEntropy[1],
+      ];
+      if (
+        histograms.length < kMaxBlockTypes &&
+        diff[0] > splitThreshold &&
+        diff[1] > splitThreshold
+      ) {
+        // Start a new block type
+        const type = histograms.length;
+        types.push(type);
+        lengths.push(blockSize);
+        histograms.push(histogram);
+        lastTypes = [type, lastTypes[0]];
+        lastEntropy = [entropy, lastEntropy[0]];
+        targetBlockSize = minBlockSize;
+        mergeCount = 0;
+      } else if (diff[1] < diff[0] - 20) {
+        // Switch back to the type before the last one
+        types.push(lastTypes[1]);
+        lengths.push(blockSize);
+        histograms[lastTypes[1]] = combined[1];
+        lastTypes = [lastTypes[1], lastTypes[0]];
+        lastEntropy = [combinedEntropy[1], lastEntropy[0]];
+        targetBlockSize = minBlockSize;
+        mergeCount = 0;
+      } else {
+        // Extend the last block, considering longer blocks after repeated
+        // merges
+        lengths[lengths.length - 1] += blockSize;
+        histograms[lastTypes[0]] = combined[0];
+        lastEntropy[0] = combinedEntropy[0];
+        if (histograms.length === 1) lastEntropy[1] = lastEntropy[0];
+        if (++mergeCount > 1) targetBlockSize += minBlockSize;
+      }
+    }
+    histogram = new Uint32Array(alphabetSize);
+    blockSize = 0;
+  };
+
+  for (let i = 0; i < symbols.length; i++) {
+    histogram[symbols[i]]++;
+    if (++blockSize === targetBlockSize) finishBlock();
+  }
+  if (blockSize > 0) finishBlock();
+  return { numTypes: histograms.length, types, lengths };
+}
+
+// Block type of each symbol in a split
+function blockTypesOf(split) {
+  const blockTypes = new Uint8Array(split.lengths.reduce((a, b) => a + b, 0));
+  let pos = 0;
+  split.types.forEach((type, i) => {
+    blockTypes.fill(type, pos, pos + split.lengths[i]);
+    pos += split.lengths[i];
+  });
+  return blockTypes;
+}
+
+// Block length prefix code for a block of length symbols
+function getBlockLengthCode(length) {
+  let code = kBlockLengthPrefixCode.length - 1;
+  while (kBlockLengthPrefixCode[code][0] > length) code--;
+  return code;
+}
+
+function writeBlockLength(bw, lengthCode, length) {
+  const code = getBlockLengthCode(length);
+  const [base, extra] = kBlockLengthPrefixCode[code];
+  bw.writeBits(lengthCode.codes[code], lengthCode.depths[code]);
+  bw.writeBits(length - base, extra);
+}
+
+// Write the block type count of a category and, with several types, the
+// block type and length prefix codes and the first block's length (RFC 7932
+// section 9.2). Returns the state advanceBlock uses to emit block switches.
+function writeBlockSplit(bw, split) {
+  const { numTypes, types, lengths } = split;
+  const blocks = {
+    types,
+    lengths,
+    typeCodes: null,
+    typeCode: null,
+    lengthCode: null,
+    index: 0,
+    remaining: lengths[0],
+  };
+  writeVarInt(bw, numTypes - 1);
+  if (numTypes === 1) return blocks;
+
+  // Block switch codes as readBlockSwitch decodes them
+  blocks.typeCodes = new Uint16Array(types.length);
+  const typeCounts = new Uint32Array(numTypes + 2);
+  const lengthCounts = new Uint32Array(kBlockLengthPrefixCode.length);
+  let type = 0;
+  let prevType = 1;
+  for (let i = 0; i < types.length; i++) {
+    lengthCounts[getBlockLengthCode(lengths[i])]++;
+    if (i === 0) continue;
+    const next = types[i];
+    const code =
+      next === (type + 1) % numTypes ? 1 : next === prevType ? 0 : next + 2;
+    blocks.typeCodes[i] = code;
+    typeCounts[code]++;
+    prevType = type;
+    type = next;
+  }
+  blocks.typeCode = writePrefixCode(bw, typeCounts, numTypes + 2);
+  blocks.lengthCode = writePrefixCode(
+    bw,
+    lengthCounts,
+    kBlockLengthPrefixCode.length,
+  );
+  writeBlockLength(bw, blocks.lengthCode, lengths[0]);
+  return blocks;
+}
+
+// Emit a block switch once the current block is used up, mirroring the
+// decoder's updateBlock, and return the block type of the next symbol
+function advanceBlock(bw, blocks) {
+  if (blocks.remaining === 0) {
+    const i = ++blocks.index;
+    const code = blocks.typeCodes[i];
+    bw.writeBits(blocks.typeCode.codes[code], blocks.typeCode.depths[code]);
+    writeBlockLength(bw, blocks.lengthCode, blocks.lengths[i]);
+    blocks.remaining = blocks.lengths[i];
+  }
+  blocks.remaining--;
+  return blocks.types[blocks.index];
+}
+
+// Write a meta-block header (RFC 7932 Section 9.2)
+function writeMetaBlockHeader(bw, length, isLast, isUncompressed) {
+  bw.writeBits(isLast ? 1 : 0, 1); // ISLAST
+  if (isLast) bw.writeBits(0, 1); // ISEMPTY = 0
+
+  // MNIBBLES and MLEN
+  let nibbles;
+  if (length <= 1 << 16) {
+    nibbles = 4;
+  } else if (length <= 1 << 20) {
+    nibbles = 5;
+  } else {
+    nibbles = 6;
+  }
+  bw.writeBits(nibbles - 4, 2);
+  bw.writeBits(length - 1, nibbles * 4);
+
+  if (!isLast) bw.writeBits(isUncompressed ? 1 : 0, 1); // ISUNCOMPRESSED
+}
+
+// Longest payload a metadata meta-block can hold (MSKIPLEN, 24 bits)
+const kMaxMetadataLength = 1 << 24;
+
+// Metadata payload as bytes, checking that it fits a metadata meta-block
+function toMetadataBytes(payload) {
+  const bytes =
+    typeof payload === "string"
+      ? new TextEncoder().encode(payload)
+      : toUint8Array(payload);
+  if (bytes.length > kMaxMetadataLength) {
+    throw new RangeError(`Metadata too long: ${bytes.length} bytes`);
+  }
+  return bytes;
+}
+
+// Write a metadata meta-block, which decoders skip (RFC 7932 Section 9.2)
+function writeMetadataBlock(bw, payload) {
+  bw.writeBits(0, 1); // ISLAST = 0
+  bw.writeBits(3, 2); // MNIBBLES = 0 (metadata)
+  bw.writeBits(0, 1); // Reserved
+  if (payload.length === 0) {
+    bw.writeBits(0, 2); // MSKIPBYTES = 0
+  } else {
+    // MSKIPLEN - 1 in as few bytes as hold it
+    const skipBytes =
+      payload.length <= 1 << 8 ? 1 : payload.length <= 1 << 16 ? 2 : 3;
+    bw.writeBits(skipBytes, 2);
+    bw.writeBits(payload.length - 1, skipBytes * 8);
+  }
+  bw.alignToByte();
+  bw.writeBytes(payload);
+}
+
+// Write input[start, start + length) as an uncompressed meta-block
+function writeUncompressedMetaBlock(bw, input, start, length) {
+  writeMetaBlockHeader(bw, length, false, true);
+  bw.alignToByte();
+  bw.writeBytes(input.subarray(start, start + length));
+}
+
+// Translate commands starting at input[start] into prefix symbols and extra
+// bits, collecting the literal positions, the command symbol sequence and the
+// distance codes that are not implied by the command symbol. The distance
+// cache is updated with the distances the decoder will see.
+function translateCommands(start, commands, distCache) {
+  const encoded = [];
+  const literals = [];
+  const cmdSymbols = [];
+  const distCodes = [];
+  let pos = start;
+  for (const cmd of commands) {
+    for (let j = 0; j < cmd.insertLen; j++) literals.push(pos + j);
+
+    const insCode = getInsertLengthCode(cmd.insertLen);
+    const [insBase, insExtraBits] = kInsertLengthPrefixCode[insCode];
+    let copyCode = 0;
+    let copyExtraBits = 0;
+    let copyExtra = 0;
+    let distCode = null;
+    let cmdCode;
+
+    if (cmd.copyLen === 0) {
+      // Insert-only command at the end of the meta-block, copy is ignored
+      cmdCode = getCmdCode(insCode, 0, true);
+    } else {
+      // Dictionary references code the word length as the copy length
+      const copyLen = cmd.wordLen || cmd.copyLen;
+      copyCode = getCopyLengthCode(copyLen);
+      const [copyBase, bits] = kCopyLengthPrefixCode[copyCode];
+      copyExtraBits = bits;
+      copyExtra = copyLen - copyBase;
+
+      const code = getDistanceCode(cmd.distance, distCache);
+      if (code !== 0 && cmd.wordLen === 0) {
+        distCache.pop();
+        distCache.unshift(cmd.distance);
+      }
+      cmdCode = getCmdCode(insCode, copyCode, code === 0);
+      if (cmdCode >= 128) {
+        distCode = code;
+        distCodes.push(code);
+      }
     }
+    cmdSymbols.push(cmdCode);
+
+    encoded.push({
+      cmdCode,
+      insExtraBits,
+      insExtra: cmd.insertLen - insBase,
+      copyExtraBits,
+      copyExtra,
+      literalStart: pos,
+      insertLen: cmd.insertLen,
+      distCode,
+    });
+    pos += cmd.insertLen + cmd.copyLen;
   }
+  return { encoded, literals, cmdSymbols, distCodes };
+}
 
-  // Write symbol code lengths
-  let prevLen = 8;
-  for (let i = 0; i < numSymbols; i++) {
-    const len = depths[i];
-    if (len === 0) {
-      // Write zero using code 0 or run-length
-      if (clDepths[0] > 0) {
-        bw.writeBits(clCodes[0], clDepths[0]);
+// Distance parameters are searched from this quality
+const kMinQualityForDistanceParams = 4;
+
+// Choose NPOSTFIX and NDIRECT (RFC 7932 Section 4) for the distance codes of a
+// meta-block by the estimated bits of their symbols and extra bits. Postfix
+// bits suit distances that are multiples of a record size, direct codes many
+// short distances. For each NPOSTFIX, NDIRECT grows while it saves bits.
+function chooseDistanceParams(distCodes, distanceBits) {
+  let best = { npostfix: 0, ndirect: 0 };
+  let bestCost = Infinity;
+  for (let npostfix = 0; npostfix <= 3; npostfix++) {
+    let prevCost = Infinity;
+    for (let ndirectMsb = 0; ndirectMsb < 16; ndirectMsb++) {
+      const ndirect = ndirectMsb << npostfix;
+      const counts = new Uint32Array(
+        16 + ndirect + (distanceBits << (npostfix + 1)),
+      );
+      let cost = 0;
+      for (const code of distCodes) {
+        const { symbol, nbits } = prefixEncodeDistance(code, npostfix, ndirect);
+        counts[symbol]++;
+        cost += nbits;
       }
-    } else {
-      if (clDepths[len] > 0) {
-        bw.writeBits(clCodes[len], clDepths[len]);
-        prevLen = len;
+      cost += histogramBitCost(counts);
+      if (cost >= prevCost) break;
+      prevCost = cost;
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = { npostfix, ndirect };
       }
     }
   }
-
-  // IMTF bit - no inverse move-to-front
-  bw.writeBits(0, 1);
+  return best;
 }
 
-// Write a prefix code for the given histogram
-function writePrefixCode(bw, counts, numSymbols) {
-  // Count non-zero symbols
-  const nonZeroSymbols = [];
-  for (let i = 0; i < numSymbols; i++) {
-    if (counts[i] > 0) nonZeroSymbols.push(i);
+// Write a compressed meta-block for input[start, start + length) from LZ77
+// commands, using a single prefix code per alphabet. The distance cache is
+// updated with the distances the decoder will see. distanceBits is the
+// kMaxDistanceBits of the stream, which sets the distance alphabet size, and
+// the stream starts at input[streamStart], after any custom dictionary.
+function writeCompressedMetaBlock(
+  bw,
+  input,
+  start,
+  length,
+  commands,
+  distCache,
+  isLast,
+  distanceBits,
+  quality,
+  streamStart,
+) {
+  const { encoded, literals, cmdSymbols, distCodes } = translateCommands(
+    start,
+    commands,
+    distCache,
+  );
+
+  // Distance parameters, which set the distance alphabet
+  const { npostfix, ndirect } =
+    quality >= kMinQualityForDistanceParams
+      ? chooseDistanceParams(distCodes, distanceBits)
+      : { npostfix: 0, ndirect: 0 };
+  const distAlphabetSize = 16 + ndirect + (distanceBits << (npostfix + 1));
+  const distSymbols = distCodes.map(
+    (code) => prefixEncodeDistance(code, npostfix, ndirect).symbol,
+  );
+
+  // Split each category into block types with their own prefix codes
+  const useBlockSplit = quality >= kMinQualityForBlockSplit;
+  const literalSplit = useBlockSplit
+    ? splitBlocks(
+        literals.map((p) => input[p]),
+        256,
+        kLiteralSplit,
+      )
+    : singleBlockSplit(literals.length);
+  const cmdSplit = useBlockSplit
+    ? splitBlocks(cmdSymbols, 704, kCommandSplit)
+    : singleBlockSplit(cmdSymbols.length);
+  const distSplit = useBlockSplit
+    ? splitBlocks(distSymbols, distAlphabetSize, kDistanceSplit)
+    : singleBlockSplit(distSymbols.length);
+  const literalTypes = blockTypesOf(literalSplit);
+  const cmdTypes = blockTypesOf(cmdSplit);
+  const distTypes = blockTypesOf(distSplit);
+
+  const { contextMode, contextMap, numTrees } =
+    quality >= kMinQualityForContextModeling
+      ? chooseLiteralContextModel(
+          input,
+          literals,
+          literalTypes,
+          literalSplit.numTypes,
+          start,
+          start + length,
+          quality,
+          streamStart,
+        )
+      : noLiteralContextModel(literalSplit.numTypes);
+
+  // One distance prefix code per block type, whatever the distance context
+  const distContextMap = new Uint8Array(distSplit.numTypes << 2);
+  for (let type = 0; type < distSplit.numTypes; type++) {
+    distContextMap.fill(type, type << 2, (type + 1) << 2);
   }
 
-  if (nonZeroSymbols.length === 0) {
-    // Write simple code with single symbol 0
-    bw.writeBits(1, 2); // Simple prefix code
-    bw.writeBits(0, 2); // 1 symbol
-    const alphabetBits = Math.max(1, Math.ceil(Math.log2(numSymbols)));
-    bw.writeBits(0, alphabetBits);
-    return {
-      depths: new Uint8Array(numSymbols),
-      codes: new Uint16Array(numSymbols),
-    };
+  const litCounts = Array.from(
+    { length: numTrees },
+    () => new Uint32Array(256),
+  );
+  literals.forEach((p, i) => {
+    const context = literalContextAt(input, p, contextMode, streamStart);
+    litCounts[contextMap[(literalTypes[i] << 6) | context]][input[p]]++;
+  });
+  const cmdCounts = Array.from(
+    { length: cmdSplit.numTypes },
+    () => new Uint32Array(704),
+  );
+  cmdSymbols.forEach((symbol, i) => cmdCounts[cmdTypes[i]][symbol]++);
+  const distCounts = Array.from(
+    { length: distSplit.numTypes },
+    () => new Uint32Array(distAlphabetSize),
+  );
+  distSymbols.forEach((symbol, i) => distCounts[distTypes[i]][symbol]++);
+
+  writeMetaBlockHeader(bw, length, isLast, false);
+
+  const literalBlocks = writeBlockSplit(bw, literalSplit);
+  const cmdBlocks = writeBlockSplit(bw, cmdSplit);
+  const distBlocks = writeBlockSplit(bw, distSplit);
+
+  bw.writeBits(npostfix, 2); // NPOSTFIX
+  bw.writeBits(ndirect >> npostfix, 4); // NDIRECT >> NPOSTFIX
+
+  // Context mode of each literal block type, NTREESL and the literal context
+  // map, then NTREESD and the distance context map
+  for (let type = 0; type < literalSplit.numTypes; type++) {
+    bw.writeBits(contextMode, 2);
   }
+  writeContextMap(bw, contextMap, numTrees);
+  writeContextMap(bw, distContextMap, distSplit.numTypes);
 
-  const { depths, codes } = buildHuffmanCode(counts, numSymbols, 15);
+  const litTrees = litCounts.map((counts) => writePrefixCode(bw, counts, 256));
+  const cmdTrees = cmdCounts.map((counts) => writePrefixCode(bw, counts, 704));
+  const distTrees = distCounts.map((counts) =>
+    writePrefixCode(bw, counts, distAlphabetSize),
+  );
 
-  if (nonZeroSymbols.length <= 4) {
-    const alphabetBits = Math.max(1, Math.ceil(Math.log2(numSymbols)));
-    writeSimplePrefixCode(bw, nonZeroSymbols, alphabetBits);
+  // Emit compressed data
+  for (const cmd of encoded) {
+    const cmdTree = cmdTrees[advanceBlock(bw, cmdBlocks)];
+    bw.writeBits(cmdTree.codes[cmd.cmdCode], cmdTree.depths[cmd.cmdCode]);
+    bw.writeBits(cmd.insExtra, cmd.insExtraBits);
+    bw.writeBits(cmd.copyExtra, cmd.copyExtraBits);
+
+    for (let j = 0; j < cmd.insertLen; j++) {
+      const type = advanceBlock(bw, literalBlocks);
+      const p = cmd.literalStart + j;
+      const context = literalContextAt(input, p, contextMode, streamStart);
+      const { depths, codes } = litTrees[contextMap[(type << 6) | context]];
+      bw.writeBits(codes[input[p]], depths[input[p]]);
+    }
+
+    if (cmd.distCode !== null) {
+      const { symbol, nbits, extra } = prefixEncodeDistance(
+        cmd.distCode,
+        npostfix,
+        ndirect,
+      );
+      const { depths, codes } = distTrees[advanceBlock(bw, distBlocks)];
+      bw.writeBits(codes[symbol], depths[symbol]);
+      writeWideBits(bw, extra, nbits);
+    }
+  }
+}
+
+// Write up to 30 bits, which large window distances can need but writeBits
+// cannot hold alongside a partial byte
+function writeWideBits(bw, value, n) {
+  if (n > 24) {
+    bw.writeBits(value & 0xffffff, 24);
+    bw.writeBits(value >>> 24, n - 24);
   } else {
-    writeComplexPrefixCode(bw, depths, numSymbols);
+    bw.writeBits(value, n);
   }
+}
 
-  return { depths, codes };
+// Write the stream header (RFC 7932 section 9.1). Windows over 24 bits use the
+// Large Window Brotli header, which standard decoders reject.
+function writeWindowBits(bw, windowBits) {
+  if (windowBits > kMaxWindowBits) {
+    bw.writeBits(0x11, 8);
+    bw.writeBits(windowBits, 6);
+  } else if (windowBits === 16) {
+    bw.writeBits(0, 1);
+  } else if (windowBits === 17) {
+    bw.writeBits(1, 7);
+  } else if (windowBits > 17) {
+    bw.writeBits(((windowBits - 17) << 1) | 1, 4);
+  } else {
+    bw.writeBits(((windowBits - 8) << 4) | 1, 7);
+  }
 }
 
-// LZ77 compression - find backward references
-function findMatches(input, maxDistance) {
-  const commands = [];
-  const hashBits = 15;
-  const hashSize = 1 << hashBits;
-  const hashTable = new Int32Array(hashSize).fill(-1);
-  const shift = 32 - hashBits;
+// Streaming compressor. Input is fed with write() and compressed one
+// meta-block at a time; flush() ends the current meta-block so everything
+// written so far can be decoded, and finish() ends the stream. The LZ77 window
+// and match finder carry over between chunks, so later data can reference
+// earlier data. options.maxMemory bounds the match finder's tables in bytes.
+class BrotliEncoder {
+  constructor(options = {}) {
+    const quality =
+      options.quality === undefined ? kDefaultQuality : options.quality;
+    if (
+      !Number.isInteger(quality) ||
+      quality < kMinQuality ||
+      quality > kMaxQuality
+    ) {
+      throw new RangeError(`Invalid quality: ${quality}`);
+    }
 
-  let pos = 0;
-  let literalStart = 0;
+    const largeWindow = options.largeWindow === true;
+    const windowBits =
+      options.lgwin === undefined ? kDefaultWindowBits : options.lgwin;
+    if (
+      !Number.isInteger(windowBits) ||
+      windowBits < kMinWindowBits ||
+      windowBits > (largeWindow ? kLargeMaxWindowBits : kMaxWindowBits)
+    ) {
+      throw new RangeError(`Invalid lgwin: ${windowBits}`);
+    }
 
-  while (pos < input.length) {
-    let bestLen = 0;
-    let bestDist = 0;
+    this.params = fitHasherParams(
+      getEncoderParams(quality),
+      windowBits,
+      getLimitOption(options, "maxMemory", Infinity),
+    );
+    this.windowBits = windowBits;
+    this.maxDistance = 2 ** windowBits - 16;
+    this.distanceBits =
+      windowBits > kMaxWindowBits ? kLargeMaxDistanceBits : kMaxDistanceBits;
+    this.metaBlockSize = 1 << this.params.metaBlockBits;
+    this.hasher = createHasher(this.params, windowBits);
+
+    // Window of recent input followed by the bytes not yet compressed, which
+    // start at this.pending. Positions in the hash table index this buffer.
+    this.buffer = new Uint8Array(0);
+    this.length = 0;
+    this.pending = 0;
+    // Stream position of buffer[0], for addressing the static dictionary
+    this.bufferOffset = 0;
+
+    // A custom dictionary is history before the stream that copies can reach
+    // back into, as far as the window allows. Static dictionary words are
+    // addressed past all of it.
+    const dictionary = getDictionaryOption(options);
+    this.params.dictionarySize = dictionary.length;
+    this.append(
+      dictionary.subarray(Math.max(0, dictionary.length - this.maxDistance)),
+    );
+    this.pending = this.length;
+    this.bufferOffset = -this.length;
+    this.needsDictionaryHashing = this.length > 0;
+
+    this.distCache = [4, 11, 15, 16];
+    this.needsEmptyLastBlock = true;
+    this.isFinished = false;
+
+    this.bw = new BitWriter();
+    writeWindowBits(this.bw, windowBits);
+
+    // Metadata meta-blocks ahead of the compressed data
+    const metadata =
+      options.metadata === undefined
+        ? []
+        : Array.isArray(options.metadata)
+          ? options.metadata
+          : [options.metadata];
+    for (const payload of metadata) {
+      writeMetadataBlock(this.bw, toMetadataBytes(payload));
+    }
+  }
 
-    // Need at least 4 bytes for hash lookup
-    if (pos + 4 <= input.length) {
-      const hash = hash4Bytes(input, pos, shift);
-      const candidate = hashTable[hash];
-      hashTable[hash] = pos;
+  // Add input, returning the compressed bytes completed so far
+  write(chunk) {
+    if (this.isFinished) throw new Error("Encoder already finished");
+    this.compressInput(
+      typeof chunk === "string"
+        ? new TextEncoder().encode(chunk)
+        : toUint8Array(chunk),
+    );
+    return this.bw.takeBytes();
+  }
 
-      if (candidate >= 0) {
-        const dist = pos - candidate;
-        if (dist <= maxDistance) {
-          const maxLen = Math.min(input.length - pos, 0x1ffffff);
-          const matchLen = findMatchLength(input, candidate, pos, maxLen);
-
-          // Minimum match length is 4 bytes for Brotli
-          if (matchLen >= 4) {
-            bestLen = matchLen;
-            bestDist = dist;
-          }
-        }
+  // Add input, compressing the meta-blocks it completes into this.bw
+  compressInput(input) {
+    // Append a meta-block at a time so the buffer stays near the window size
+    for (let offset = 0; offset < input.length; ) {
+      const n = Math.min(this.metaBlockSize, input.length - offset);
+      this.append(input.subarray(offset, offset + n));
+      offset += n;
+
+      // Hold back a full final block so finish() can mark it as last
+      while (this.length - this.pending > this.metaBlockSize) {
+        this.compressMetaBlock(this.metaBlockSize, false);
       }
     }
+  }
 
-    if (bestLen >= 4) {
-      // Emit literals before this match
-      if (pos > literalStart) {
-        commands.push({
-          type: CMD_LITERAL,
-          data: input.slice(literalStart, pos),
-        });
-      }
+  // Compress all pending input and byte-align the output with an empty
+  // metadata meta-block, like BROTLI_OPERATION_FLUSH
+  flush() {
+    if (this.isFinished) throw new Error("Encoder already finished");
+    if (this.length > this.pending) {
+      this.compressMetaBlock(this.length - this.pending, false);
+    }
+    writeMetadataBlock(this.bw, new Uint8Array(0));
+    return this.bw.takeBytes();
+  }
 
-      // Emit copy command
-      commands.push({
-        type: CMD_COPY,
-        length: bestLen,
-        distance: bestDist,
-      });
+  // Compress all pending input, then add a metadata meta-block holding
+  // payload, returning the compressed bytes completed so far
+  writeMetadata(payload) {
+    if (this.isFinished) throw new Error("Encoder already finished");
+    const bytes = toMetadataBytes(payload);
+    if (this.length > this.pending) {
+      this.compressMetaBlock(this.length - this.pending, false);
+    }
+    writeMetadataBlock(this.bw, bytes);
+    this.needsEmptyLastBlock = true;
+    return this.bw.takeBytes();
+  }
+
+  // Compress all pending input and end the stream
+  finish() {
+    if (this.isFinished) throw new Error("Encoder already finished");
+    if (this.length > this.pending) {
+      this.compressMetaBlock(this.length - this.pending, true);
+    }
+    if (this.needsEmptyLastBlock) {
+      this.bw.writeBits(1, 1); // ISLAST = 1
+      this.bw.writeBits(1, 1); // ISEMPTY = 1
+    }
+    this.bw.alignToByte();
+    this.isFinished = true;
+    return this.bw.takeBytes();
+  }
 
-      // Update hash table for positions in the match
-      for (let i = 1; i < bestLen && pos + i + 4 <= input.length; i++) {
-        const h = hash4Bytes(input, pos + i, shift);
-        hashTable[h] = pos + i;
+  append(bytes) {
+    if (this.length + bytes.length > this.buffer.length) {
+      // Drop history that is out of reach of the window, whole windows at a
+      // time as rebaseHasher requires
+      const windowSize = 2 ** this.windowBits;
+      const shift =
+        Math.floor(Math.max(0, this.pending - this.maxDistance) / windowSize) *
+        windowSize;
+      if (shift > 0) {
+        this.buffer.copyWithin(0, shift, this.length);
+        this.length -= shift;
+        this.pending -= shift;
+        this.bufferOffset += shift;
+        rebaseHasher(this.hasher, shift);
       }
 
-      pos += bestLen;
-      literalStart = pos;
-    } else {
-      pos++;
+      if (this.length + bytes.length > this.buffer.length) {
+        const buffer = new Uint8Array(
+          Math.max(this.buffer.length * 2, this.length + bytes.length),
+        );
+        buffer.set(this.buffer.subarray(0, this.length));
+        this.buffer = buffer;
+      }
     }
+    this.buffer.set(bytes, this.length);
+    this.length += bytes.length;
   }
 
-  // Emit remaining literals
-  if (literalStart < input.length) {
-    commands.push({
-      type: CMD_LITERAL,
-      data: input.slice(literalStart),
-    });
-  }
+  // Compress the next length pending bytes as one meta-block
+  compressMetaBlock(length, isLast) {
+    const bw = this.bw;
+    const input = this.buffer.subarray(0, this.length);
+    const start = this.pending;
+    // The custom dictionary is hashed once the input after it has arrived
+    if (this.needsDictionaryHashing) {
+      for (let pos = 0; pos < start; pos++) {
+        hasherInsert(this.hasher, input, pos, this.maxDistance);
+      }
+      this.needsDictionaryHashing = false;
+    }
+    const parse =
+      this.params.optimalPasses > 0 ? findOptimalMatches : findMatches;
+    const commands = parse(
+      this.hasher,
+      input,
+      start,
+      start + length,
+      this.bufferOffset,
+      this.maxDistance,
+      this.params,
+      this.distCache.slice(),
+    );
 
-  return commands;
+    // Keep the compressed meta-block only if it beats storing the bytes
+    const blockStart = bw.getPosition();
+    const newDistCache = this.distCache.slice();
+    writeCompressedMetaBlock(
+      bw,
+      input,
+      start,
+      length,
+      commands,
+      newDistCache,
+      isLast,
+      this.distanceBits,
+      this.params.quality,
+      -this.bufferOffset,
+    );
+    const uncompressedBits = (length + 4 + (isLast ? 1 : 0)) * 8;
+    if (bw.getPosition() - blockStart < uncompressedBits) {
+      this.distCache = newDistCache;
+      this.needsEmptyLastBlock = !isLast;
+    } else {
+      bw.rewind(blockStart);
+      writeUncompressedMetaBlock(bw, input, start, length);
+      this.needsEmptyLastBlock = true;
+    }
+    this.pending += length;
+  }
 }
 
-// Compress using LZ77 + Huffman coding
-function brotliCompressBlock(input) {
-  const bw = new BitWriter();
-  const windowBits = 22;
-  const maxDistance = (1 << windowBits) - 16;
+// Brotli compressor - produces valid Brotli streams with LZ77 compression
+function brotliCompress(input, options = {}) {
+  input =
+    typeof input === "string"
+      ? new TextEncoder().encode(input)
+      : toUint8Array(input);
+
+  // One buffer holds the whole stream, so finish() returns it uncopied
+  const encoder = new BrotliEncoder(options);
+  encoder.compressInput(input);
+  return encoder.finish();
+}
 
-  // Write WBITS
-  bw.writeBits(1, 1); // Use extended WBITS
-  bw.writeBits(windowBits - 17, 3);
+// ============================================================================
+// PUBLIC API
+// ============================================================================
 
-  if (input.length === 0) {
-    bw.writeBits(1, 1); // ISLAST = 1
-    bw.writeBits(1, 1); // ISEMPTY = 1
-    bw.alignToByte();
-    return bw.toUint8Array();
-  }
+async function BrotliCompress(text, options = {}) {
+  return brotliCompress(text, options);
+}
 
-  // Find LZ77 matches
-  const commands = findMatches(input, maxDistance);
+// Decompress to a string by default. options.output selects "uint8array" or
+// "arraybuffer" instead, and options.into decodes into a caller-supplied
+// Uint8Array, returning the filled part of it. options.encoding, fatal and
+// ignoreBOM are passed to TextDecoder for string output, and the BrotliDecoder
+// limits maxOutputLength, maxWindowBits and maxMemory and its custom
+// dictionary are applied.
+async function BrotliDecompress(compressed_text, options = {}) {
+  const input = toUint8Array(compressed_text);
+  const into = getIntoOption(options);
+  if (into !== undefined) return brotliDecompressInto(input, into, options);
+  return formatDecompressed(brotliDecompress(input, options), options);
+}
 
-  // Build histograms for Huffman coding
-  const litCounts = new Uint32Array(256);
-  const cmdCounts = new Uint32Array(704);
-  const distCounts = new Uint32Array(544); // 16 + 16*33 direct codes
+// Return decompressed bytes as BrotliDecompress's options.output or
+// options.into ask
+function formatDecompressed(decompressed, options) {
+  const target = getIntoOption(options);
+  if (target !== undefined) {
+    if (decompressed.length > target.length) {
+      throw new RangeError(
+        `Output buffer too small: need ${decompressed.length} bytes, have ${target.length}`,
+      );
+    }
+    target.set(decompressed);
+    return target.subarray(0, decompressed.length);
+  }
 
-  const lastDistances = [4, 11, 15, 16];
-  const insertCopyPairs = [];
+  const output = options.output === undefined ? "string" : options.output;
+  if (output === "uint8array") {
+    return decompressed;
+  } else if (output === "arraybuffer") {
+    // The decoder's buffer may have room to spare past the output
+    return decompressed.byteOffset === 0 &&
+      decompressed.length === decompressed.buffer.byteLength
+      ? decompressed.buffer
+      : decompressed.slice().buffer;
+  } else if (output === "string") {
+    return new TextDecoder(options.encoding, {
+      fatal: options.fatal,
+      ignoreBOM: options.ignoreBOM,
+    }).decode(decompressed);
+  }
+  throw new TypeError(`Invalid output type: ${output}`);
+}
 
-  // Process commands to build histograms
-  let i = 0;
-  while (i < commands.length) {
-    const cmd = commands[i];
+// Dictionary-Compressed Brotli (Content-Encoding: dcb, RFC 9842) starts with
+// this magic number and the SHA-256 hash of the dictionary, followed by a
+// Brotli stream compressed with the dictionary
+const kDcbMagic = [0xff, 0x44, 0x43, 0x42];
+const kDcbHeaderLength = 36;
 
-    if (cmd.type === CMD_LITERAL) {
-      // Count literal bytes
-      for (let j = 0; j < cmd.data.length; j++) {
-        litCounts[cmd.data[j]]++;
-      }
+async function sha256(bytes) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+}
 
-      // Check if next command is a copy
-      if (i + 1 < commands.length && commands[i + 1].type === CMD_COPY) {
-        const copyCmd = commands[i + 1];
-        const insLen = cmd.data.length;
-        const copyLen = copyCmd.length;
-        const distance = copyCmd.distance;
-
-        const insCode = getInsertLengthCode(insLen);
-        const copyCode = getCopyLengthCode(copyLen);
-        const distCode = getDistanceCode(distance, lastDistances);
-
-        // Update distance ring buffer
-        if (distCode > 0) {
-          lastDistances.pop();
-          lastDistances.unshift(distance);
-        }
+// Compress to the dcb format with a shared dictionary. options are as for
+// BrotliCompress.
+async function BrotliCompressDcb(text, dictionary, options = {}) {
+  const dictionaryBytes = getDictionaryOption({ dictionary });
+  const compressed = await BrotliCompress(text, {
+    ...options,
+    dictionary: dictionaryBytes,
+  });
+  return concatBytes([
+    new Uint8Array(kDcbMagic),
+    await sha256(dictionaryBytes),
+    compressed,
+  ]);
+}
 
-        const useLastDist = distCode === 0;
-        const cmdCode = getCmdCode(insCode, copyCode, useLastDist);
-        cmdCounts[cmdCode]++;
+// Decompress dcb data, checking that it was compressed with dictionary.
+// options are as for BrotliDecompress.
+async function BrotliDecompressDcb(compressed_text, dictionary, options = {}) {
+  const input = toUint8Array(compressed_text);
+  if (
+    input.length < kDcbHeaderLength ||
+    kDcbMagic.some((byte, i) => input[i] !== byte)
+  ) {
+    throw new BrotliError("INVALID_DCB_HEADER", "Missing dcb header", 0);
+  }
+  const dictionaryBytes = getDictionaryOption({ dictionary });
+  const hash = await sha256(dictionaryBytes);
+  if (hash.some((byte, i) => input[kDcbMagic.length + i] !== byte)) {
+    throw new BrotliError(
+      "DICTIONARY_MISMATCH",
+      "Data was compressed with a different dictionary",
+      kDcbMagic.length * 8,
+    );
+  }
+  return BrotliDecompress(input.subarray(kDcbHeaderLength), {
+    ...options,
+    dictionary: dictionaryBytes,
+  });
+}
 
-        if (!useLastDist && distCode >= 16) {
-          const dcode = Math.min(distCode - 16, distCounts.length - 1);
-          distCounts[dcode]++;
-        }
+// ============================================================================
+// NODE ZLIB API
+// ============================================================================
 
-        insertCopyPairs.push({
-          literals: cmd.data,
-          insCode,
-          copyLen,
-          copyCode,
-          distance,
-          distCode,
-          cmdCode,
-          useLastDist,
-        });
-
-        i += 2;
-      } else {
-        // Insert-only command
-        const insLen = cmd.data.length;
-        const insCode = getInsertLengthCode(insLen);
-        const copyCode = 0;
-        const cmdCode = getCmdCode(insCode, copyCode, false);
-        cmdCounts[cmdCode]++;
-
-        insertCopyPairs.push({
-          literals: cmd.data,
-          insCode,
-          copyLen: 2,
-          copyCode: 0,
-          distance: 0,
-          distCode: 0,
-          cmdCode,
-          useLastDist: true,
-          insertOnly: true,
-        });
-
-        i++;
+// The subset of node:zlib's constants that the functions below accept, with
+// Node's values
+const kZlibConstants = Object.freeze({
+  BROTLI_OPERATION_PROCESS: 0,
+  BROTLI_OPERATION_FLUSH: 1,
+  BROTLI_OPERATION_FINISH: 2,
+  BROTLI_OPERATION_EMIT_METADATA: 3,
+  BROTLI_PARAM_MODE: 0,
+  BROTLI_MODE_GENERIC: 0,
+  BROTLI_MODE_TEXT: 1,
+  BROTLI_MODE_FONT: 2,
+  BROTLI_PARAM_QUALITY: 1,
+  BROTLI_MIN_QUALITY: kMinQuality,
+  BROTLI_MAX_QUALITY: kMaxQuality,
+  BROTLI_DEFAULT_QUALITY: kDefaultQuality,
+  BROTLI_PARAM_LGWIN: 2,
+  BROTLI_MIN_WINDOW_BITS: kMinWindowBits,
+  BROTLI_MAX_WINDOW_BITS: kMaxWindowBits,
+  BROTLI_LARGE_MAX_WINDOW_BITS: kLargeMaxWindowBits,
+  BROTLI_DEFAULT_WINDOW: kDefaultWindowBits,
+  BROTLI_PARAM_SIZE_HINT: 5,
+  BROTLI_PARAM_LARGE_WINDOW: 6,
+  BROTLI_DECODER_PARAM_LARGE_WINDOW: 1,
+});
+
+// Convert node:zlib options to BrotliEncoder options. BROTLI_PARAM_MODE and
+// BROTLI_PARAM_SIZE_HINT are checked but do not change the output: the
+// encoder picks context modeling from the data and sizes its tables from the
+// window.
+function zlibCompressOptions(options = {}) {
+  const result = {};
+  for (const [key, value] of Object.entries(options.params || {})) {
+    const param = Number(key);
+    if (param === kZlibConstants.BROTLI_PARAM_QUALITY) {
+      result.quality = value;
+    } else if (param === kZlibConstants.BROTLI_PARAM_LGWIN) {
+      result.lgwin = value;
+    } else if (param === kZlibConstants.BROTLI_PARAM_LARGE_WINDOW) {
+      result.largeWindow = Boolean(value);
+    } else if (param === kZlibConstants.BROTLI_PARAM_MODE) {
+      if (
+        value !== kZlibConstants.BROTLI_MODE_GENERIC &&
+        value !== kZlibConstants.BROTLI_MODE_TEXT &&
+        value !== kZlibConstants.BROTLI_MODE_FONT
+      ) {
+        throw new RangeError(`Invalid BROTLI_PARAM_MODE: ${value}`);
       }
+    } else if (param === kZlibConstants.BROTLI_PARAM_SIZE_HINT) {
+      getLimitOption({ sizeHint: value }, "sizeHint", 0);
     } else {
-      // Copy-only command (rare, but handle it)
-      const copyLen = cmd.length;
-      const distance = cmd.distance;
-      const copyCode = getCopyLengthCode(copyLen);
-      const distCode = getDistanceCode(distance, lastDistances);
-
-      // Update distance ring buffer
-      if (distCode > 0) {
-        lastDistances.pop();
-        lastDistances.unshift(distance);
-      }
-
-      const useLastDist = distCode === 0;
-      const cmdCode = getCmdCode(0, copyCode, useLastDist);
-      cmdCounts[cmdCode]++;
+      throw new RangeError(`Unsupported Brotli parameter: ${key}`);
+    }
+  }
+  return result;
+}
 
-      if (!useLastDist && distCode >= 16) {
-        const dcode = Math.min(distCode - 16, distCounts.length - 1);
-        distCounts[dcode]++;
-      }
+// Convert node:zlib options to BrotliDecoder options
+function zlibDecompressOptions(options = {}) {
+  const result = { maxOutputLength: options.maxOutputLength };
+  for (const [key, value] of Object.entries(options.params || {})) {
+    if (Number(key) === kZlibConstants.BROTLI_DECODER_PARAM_LARGE_WINDOW) {
+      result.largeWindow = Boolean(value);
+    } else {
+      throw new RangeError(`Unsupported Brotli decoder parameter: ${key}`);
+    }
+  }
+  return result;
+}
 
-      insertCopyPairs.push({
-        literals: new Uint8Array(0),
-        insCode: 0,
-        copyLen,
-        copyCode,
-        distance,
-        distCode,
-        cmdCode,
-        useLastDist,
-      });
+// Input to node:zlib's functions: a string (as UTF-8) or a BufferSource
+function zlibInputBytes(buffer) {
+  return typeof buffer === "string"
+    ? new TextEncoder().encode(buffer)
+    : toUint8Array(buffer);
+}
 
-      i++;
-    }
+// Run fn on a later task and pass its result to a Node-style callback
+function callBackLater(fn, callback) {
+  if (typeof callback !== "function") {
+    throw new TypeError("callback must be a function");
   }
+  setTimeout(() => {
+    let result;
+    try {
+      result = fn();
+    } catch (e) {
+      callback(e);
+      return;
+    }
+    callback(null, result);
+  }, 0);
+}
 
-  // Calculate meta-block length
-  const mlen = input.length;
+// Drop-in for the Brotli functions of node:zlib, so code shared with Node can
+// use `const zlib = brotliZlib` where node:zlib is unavailable. Results are
+// Uint8Arrays rather than Buffers, and errors are BrotliErrors.
+const brotliZlib = Object.freeze({
+  constants: kZlibConstants,
 
-  // Write meta-block header
-  bw.writeBits(1, 1); // ISLAST = 1
+  brotliCompressSync(buffer, options) {
+    return brotliCompress(zlibInputBytes(buffer), zlibCompressOptions(options));
+  },
 
-  // MNIBBLES and MLEN
-  let nibbles;
-  if (mlen <= 1 << 16) {
-    nibbles = 4;
-  } else if (mlen <= 1 << 20) {
-    nibbles = 5;
-  } else {
-    nibbles = 6;
-  }
-  bw.writeBits(nibbles - 4, 2);
-  bw.writeBits(mlen - 1, nibbles * 4);
+  brotliDecompressSync(buffer, options) {
+    return brotliDecompress(
+      zlibInputBytes(buffer),
+      zlibDecompressOptions(options),
+    );
+  },
 
-  // ISUNCOMPRESSED = 0
-  bw.writeBits(0, 1);
+  brotliCompress(buffer, options, callback) {
+    if (typeof options === "function") [options, callback] = [{}, options];
+    callBackLater(
+      () => brotliZlib.brotliCompressSync(buffer, options),
+      callback,
+    );
+  },
 
-  // Block type counts (1 for each)
-  bw.writeBits(0, 1); // NBLTYPESL = 1
-  bw.writeBits(0, 1); // NBLTYPESI = 1
-  bw.writeBits(0, 1); // NBLTYPESD = 1
+  brotliDecompress(buffer, options, callback) {
+    if (typeof options === "function") [options, callback] = [{}, options];
+    callBackLater(
+      () => brotliZlib.brotliDecompressSync(buffer, options),
+      callback,
+    );
+  },
+});
 
-  // NPOSTFIX = 0, NDIRECT = 0
-  bw.writeBits(0, 2); // NPOSTFIX
-  bw.writeBits(0, 4); // NDIRECT >> NPOSTFIX
+// ============================================================================
+// WORKER POOL
+// ============================================================================
 
-  // Context mode for literals (LSB6)
-  bw.writeBits(0, 2);
+// Where this script was loaded from and how, for starting workers that run
+// it. The brotli.mjs build sets url to its import.meta.url and type to
+// "module".
+const brotliScript = {
+  url:
+    typeof document === "object" && document.currentScript
+      ? document.currentScript.src
+      : typeof __filename === "string"
+        ? __filename
+        : undefined,
+  type: "classic",
+};
+
+// Body of each pool worker, given the loaded library and the port to the
+// pool. It is turned into source with toString(), so it must not refer to
+// anything outside itself.
+function brotliWorkerMain(brotli, port) {
+  port.addEventListener("message", async (event) => {
+    const { method, input, options } = event.data;
+    try {
+      const metadata = [];
+      const result =
+        method === "compress"
+          ? await brotli.BrotliCompress(input, options)
+          : await brotli.BrotliDecompress(input, {
+              ...options,
+              output: "uint8array",
+              onMetadata: options.onMetadata
+                ? (payload) => metadata.push(payload)
+                : undefined,
+            });
+      port.postMessage({ result, metadata }, [
+        result.buffer,
+        ...metadata.map((payload) => payload.buffer),
+      ]);
+    } catch (e) {
+      port.postMessage({
+        error: {
+          name: e.name,
+          message: e.message,
+          code: e.code,
+          bitOffset: e.bitOffset,
+        },
+      });
+    }
+  });
+  if (port.start) port.start();
+}
 
-  // NTREESL = 1 (number of literal prefix trees)
-  bw.writeBits(0, 1);
+// Node's worker_threads module, where there are no Web Workers. ES modules
+// have no require(), so they need process.getBuiltinModule (Node 20.16+).
+function getWorkerThreads() {
+  if (typeof require === "function") return require("node:worker_threads");
+  if (typeof process === "object" && process.getBuiltinModule) {
+    return process.getBuiltinModule("node:worker_threads");
+  }
+  throw new Error("Neither Web Workers nor worker_threads are available");
+}
 
-  // NTREESD = 1 (number of distance prefix trees)
-  bw.writeBits(0, 1);
+// Start a Web Worker or Node worker thread running brotliWorkerMain with the
+// script at scriptURL, which is a classic script or CommonJS module, or an ES
+// module if type is "module". Returns a handle with postMessage(),
+// terminate(), and ref()/unref() to let an idle Node process exit.
+function startBrotliWorker(scriptURL, type, onMessage, onError) {
+  const main = `(${brotliWorkerMain.toString()})`;
+  if (typeof Worker === "function") {
+    const url = JSON.stringify(new URL(scriptURL, globalThis.location).href);
+    const blobURL = URL.createObjectURL(
+      new Blob(
+        [
+          type === "module"
+            ? `import * as brotli from ${url};${main}(brotli, self);`
+            : `importScripts(${url});${main}(self, self);`,
+        ],
+        { type: "text/javascript" },
+      ),
+    );
+    const worker = new Worker(blobURL, { type });
+    URL.revokeObjectURL(blobURL);
+    worker.onmessage = (event) => onMessage(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      onError(new Error(event.message));
+    };
+    return {
+      postMessage: (message, transfer) => worker.postMessage(message, transfer),
+      terminate: () => worker.terminate(),
+      ref() {},
+      unref() {},
+    };
+  }
 
-  // Write literal prefix code
-  const { depths: litDepths, codes: litCodes } = writePrefixCode(
-    bw,
-    litCounts,
-    256,
+  // require() takes paths, so a file: URL is converted first
+  const { Worker: NodeWorker } = getWorkerThreads();
+  const url = JSON.stringify(scriptURL);
+  const path = scriptURL.startsWith("file:")
+    ? `require("node:url").fileURLToPath(${url})`
+    : url;
+  const worker = new NodeWorker(
+    `const { parentPort } = require("node:worker_threads");` +
+      (type === "module"
+        ? `import(${url}).then((brotli) => ${main}(brotli, parentPort));`
+        : `${main}(require(${path}), parentPort);`),
+    { eval: true },
   );
+  worker.on("message", onMessage);
+  worker.on("error", onError);
+  // A thread that exits by itself, as through process.exit(), would otherwise
+  // leave its job unsettled
+  let isTerminated = false;
+  worker.on("exit", (code) => {
+    if (!isTerminated) onError(new Error(`Worker exited with code ${code}`));
+  });
+  return {
+    postMessage: (message, transfer) => worker.postMessage(message, transfer),
+    terminate() {
+      isTerminated = true;
+      worker.terminate();
+    },
+    ref: () => worker.ref(),
+    unref: () => worker.unref(),
+  };
+}
 
-  // Write command prefix code
-  const { depths: cmdDepths, codes: cmdCodes } = writePrefixCode(
-    bw,
-    cmdCounts,
-    704,
-  );
+// Input for a worker and the buffers to transfer with it. A BufferSource
+// that covers a whole ArrayBuffer is transferred, leaving it detached; other
+// views are copied first.
+function workerInput(input) {
+  if (typeof input === "string") return [input, []];
+  const bytes = toUint8Array(input);
+  const owned =
+    bytes.buffer instanceof ArrayBuffer &&
+    bytes.byteOffset === 0 &&
+    bytes.byteLength === bytes.buffer.byteLength
+      ? bytes
+      : bytes.slice();
+  return [owned, [owned.buffer]];
+}
 
-  // Write distance prefix code (alphabet size = 16 + 0 + 48 = 64 with npostfix=0, ndirect=0)
-  const distAlphabetSize = 16 + 0 + 48;
-  const { depths: distDepths, codes: distCodes } = writePrefixCode(
-    bw,
-    distCounts,
-    distAlphabetSize,
-  );
+// Rebuild an error posted by a worker
+function workerError({ name, message, code, bitOffset }) {
+  let error;
+  if (name === "BrotliError") {
+    error = new BrotliError(code, message, bitOffset);
+  } else if (name === "TypeError") {
+    error = new TypeError();
+  } else if (name === "RangeError") {
+    error = new RangeError();
+  } else {
+    error = new Error();
+  }
+  error.message = message;
+  return error;
+}
 
-  // Emit compressed data
-  const lastDists2 = [4, 11, 15, 16];
+// Runs BrotliCompress and BrotliDecompress on up to options.size workers
+// (navigator.hardwareConcurrency, or 4, by default), started as needed, so
+// large inputs do not block the calling thread. Jobs wait in a queue for a
+// free worker. options.scriptURL locates this script for the workers to load
+// (a URL for Web Workers, a file path or URL for Node), and options.type is
+// "module" if it is brotli.mjs; they default to where and how the script was
+// loaded, where that is known.
+class BrotliWorkerPool {
+  constructor(options = {}) {
+    const size =
+      options.size === undefined
+        ? (globalThis.navigator && navigator.hardwareConcurrency) || 4
+        : options.size;
+    if (!Number.isInteger(size) || size < 1) {
+      throw new RangeError(`Invalid size: ${size}`);
+    }
+    const scriptURL =
+      options.scriptURL === undefined ? brotliScript.url : options.scriptURL;
+    if (scriptURL === undefined) {
+      throw new TypeError("options.scriptURL is needed to start workers");
+    }
+    const type = options.type === undefined ? brotliScript.type : options.type;
+    if (type !== "classic" && type !== "module") {
+      throw new TypeError(`Invalid type: ${type}`);
+    }
+
+    this.size = size;
+    this.scriptURL = String(scriptURL);
+    this.type = type;
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];
+    this.isTerminated = false;
+  }
 
-  for (const pair of insertCopyPairs) {
-    // Emit command code
-    if (cmdDepths[pair.cmdCode] > 0) {
-      bw.writeBits(cmdCodes[pair.cmdCode], cmdDepths[pair.cmdCode]);
+  // Same as BrotliCompress, with input buffers transferred to the worker
+  async BrotliCompress(text, options = {}) {
+    const { result } = await this.run("compress", text, options);
+    return result;
+  }
+
+  // Same as BrotliDecompress, with input buffers transferred to the worker.
+  // options.onMetadata is called once the whole stream has been decoded, and
+  // options.into is filled from the worker's output, which is limited to its
+  // length.
+  async BrotliDecompress(compressed_text, options = {}) {
+    const { into, onMetadata, ...workerOptions } = options;
+    if (onMetadata !== undefined && typeof onMetadata !== "function") {
+      throw new TypeError("options.onMetadata must be a function");
+    }
+    const maxOutputLength = getLimitOption(
+      options,
+      "maxOutputLength",
+      Infinity,
+    );
+    if (getIntoOption(options) !== undefined) {
+      workerOptions.maxOutputLength = Math.min(maxOutputLength, into.length);
+    }
+    let response;
+    try {
+      response = await this.run("decompress", compressed_text, {
+        ...workerOptions,
+        onMetadata: onMetadata !== undefined,
+      });
+    } catch (e) {
+      throw into === undefined ? e : intoLimitError(e, into, maxOutputLength);
     }
+    const { result, metadata } = response;
+    for (const payload of metadata) onMetadata(payload);
+    return formatDecompressed(result, options);
+  }
 
-    // Emit insert length extra bits
-    const insExtra = getInsertExtra(pair.insCode);
-    if (insExtra.extra > 0) {
-      const extraVal = pair.literals.length - insExtra.base;
-      bw.writeBits(extraVal, insExtra.extra);
+  // Stop all workers, rejecting jobs that have not finished
+  terminate() {
+    this.isTerminated = true;
+    const error = new Error("Worker pool terminated");
+    for (const worker of this.workers) {
+      worker.terminate();
+      if (worker.job) worker.job.reject(error);
     }
+    for (const job of this.queue) job.reject(error);
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];
+  }
 
-    // Emit copy length extra bits
-    if (!pair.insertOnly) {
-      const copyExtra = getCopyExtra(pair.copyCode);
-      if (copyExtra.extra > 0) {
-        const extraVal = pair.copyLen - copyExtra.base;
-        bw.writeBits(extraVal, copyExtra.extra);
-      }
+  run(method, input, options) {
+    if (this.isTerminated) {
+      return Promise.reject(new Error("Worker pool terminated"));
     }
+    const [data, transfer] = workerInput(input);
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        message: { method, input: data, options },
+        transfer,
+        resolve,
+        reject,
+      });
+      this.dispatch();
+    });
+  }
 
-    // Emit literals
-    for (let j = 0; j < pair.literals.length; j++) {
-      const lit = pair.literals[j];
-      if (litDepths[lit] > 0) {
-        bw.writeBits(litCodes[lit], litDepths[lit]);
+  // Hand queued jobs to idle workers, starting workers up to the pool size
+  dispatch() {
+    while (this.queue.length > 0) {
+      let worker = this.idleWorkers.pop();
+      if (worker === undefined) {
+        if (this.workers.length >= this.size) return;
+        worker = this.startWorker();
       }
+      worker.job = this.queue.shift();
+      worker.ref();
+      worker.postMessage(worker.job.message, worker.job.transfer);
     }
+  }
 
-    // Emit distance code if not using last distance
-    if (!pair.insertOnly && !pair.useLastDist) {
-      const distCodeToEmit = pair.distCode - 16;
-      if (distCodeToEmit >= 0 && distDepths[distCodeToEmit] > 0) {
-        bw.writeBits(distCodes[distCodeToEmit], distDepths[distCodeToEmit]);
-
-        // Emit distance extra bits
-        const distExtra = getDistanceExtra(pair.distCode);
-        if (distExtra.extra > 0) {
-          bw.writeBits(distExtra.offset, distExtra.extra);
+  startWorker() {
+    const worker = startBrotliWorker(
+      this.scriptURL,
+      this.type,
+      (data) => {
+        const job = worker.job;
+        worker.job = null;
+        worker.unref();
+        this.idleWorkers.push(worker);
+        if (data.error) {
+          job.reject(workerError(data.error));
+        } else {
+          job.resolve(data);
         }
-      }
+        this.dispatch();
+      },
+      (error) => {
+        // A worker that failed to load, crashed or exited is replaced
+        worker.terminate();
+        this.workers = this.workers.filter((w) => w !== worker);
+        this.idleWorkers = this.idleWorkers.filter((w) => w !== worker);
+        if (worker.job) worker.job.reject(error);
+        worker.job = null;
+        if (!this.isTerminated) this.dispatch();
+      },
+    );
+    worker.job = null;
+    this.workers.push(worker);
+    return worker;
+  }
+}
 
-      // Update distance ring buffer
-      lastDists2.pop();
-      lastDists2.unshift(pair.distance);
-    }
+// ============================================================================
+// COMPRESSION STREAMS
+// ============================================================================
+
+// Convert a BufferSource chunk to a Uint8Array view
+function toUint8Array(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
   }
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  throw new TypeError("Chunk must be an ArrayBuffer or ArrayBufferView");
+}
 
-  bw.alignToByte();
-  return bw.toUint8Array();
+// TransformStream that compresses each chunk as it arrives. Like the native
+// CompressionStream, it takes only BufferSource chunks, not strings.
+function createEncoderTransformStream() {
+  const encoder = new BrotliEncoder();
+  return new TransformStream({
+    transform(chunk, controller) {
+      const output = encoder.write(toUint8Array(chunk));
+      if (output.length > 0) controller.enqueue(output);
+    },
+    flush(controller) {
+      controller.enqueue(encoder.finish());
+    },
+  });
 }
 
-// Brotli compressor - produces valid Brotli streams with LZ77 compression
-function brotliCompress(input) {
-  if (!(input instanceof Uint8Array)) {
-    input = new TextEncoder().encode(input);
-  }
+// TransformStream that decodes each chunk as it arrives. options are as for
+// BrotliDecoder.
+function createDecoderTransformStream(options = {}) {
+  const decoder = new BrotliDecoder(options);
+  return new TransformStream({
+    transform(chunk, controller) {
+      const output = decoder.push(chunk);
+      if (output.length > 0) controller.enqueue(output);
+    },
+    flush(controller) {
+      const output = decoder.finish();
+      if (output.length > 0) controller.enqueue(output);
+    },
+  });
+}
 
-  // For empty input
-  if (input.length === 0) {
-    const bw = new BitWriter();
-    bw.writeBits(1, 1); // Use extended WBITS
-    bw.writeBits(5, 3); // WBITS = 22
-    bw.writeBits(1, 1); // ISLAST = 1
-    bw.writeBits(1, 1); // ISEMPTY = 1
-    bw.alignToByte();
-    return bw.toUint8Array();
+// Check whether a native stream constructor already accepts "brotli"
+function supportsNativeBrotli(NativeStream) {
+  if (typeof NativeStream !== "function") return false;
+  try {
+    new NativeStream("brotli");
+    return true;
+  } catch (e) {
+    return false;
   }
+}
 
-  // Use uncompressed format which is valid Brotli
-  // This matches the output of native brotli at quality level 0
-  return brotliCompressUncompressed(input);
+// Replace globalThis[name] with a constructor that handles "brotli" with a
+// stream from createStream() and hands every other format to the original
+// constructor
+function patchStreamConstructor(name, createStream) {
+  const NativeStream = globalThis[name];
+  if (supportsNativeBrotli(NativeStream)) return false;
+
+  const BrotliStream = class {
+    constructor(format) {
+      if (format !== "brotli") {
+        if (typeof NativeStream !== "function") {
+          throw new TypeError(`Unsupported format: ${format}`);
+        }
+        return new NativeStream(format);
+      }
+      const stream = createStream();
+      this.readable = stream.readable;
+      this.writable = stream.writable;
+    }
+  };
+  Object.defineProperty(BrotliStream, "name", { value: name });
+  globalThis[name] = BrotliStream;
+  return true;
 }
 
-// Fallback: produce uncompressed but valid Brotli stream
-function brotliCompressUncompressed(input) {
-  const bw = new BitWriter();
+// Opt-in: make new CompressionStream("brotli") and
+// new DecompressionStream("brotli") work where the runtime lacks Brotli.
+// Returns true if either constructor was patched.
+function installBrotliStreams() {
+  const compression = patchStreamConstructor(
+    "CompressionStream",
+    createEncoderTransformStream,
+  );
+  const decompression = patchStreamConstructor("DecompressionStream", () =>
+    createDecoderTransformStream(),
+  );
+  return compression || decompression;
+}
 
-  // Write WBITS = 22
-  bw.writeBits(1, 1);
-  bw.writeBits(5, 3);
+// ============================================================================
+// FETCH HELPERS
+// ============================================================================
 
-  // Process input in chunks of up to 65536 bytes
-  const maxBlockSize = 65536;
-  let offset = 0;
+// Content-Type of a decoded file by the extension before .br, for hosts that
+// label .br files as generic binary
+const kBrotliContentTypes = {
+  css: "text/css",
+  html: "text/html",
+  js: "text/javascript",
+  json: "application/json",
+  map: "application/json",
+  mjs: "text/javascript",
+  svg: "image/svg+xml",
+  txt: "text/plain",
+  wasm: "application/wasm",
+  xml: "application/xml",
+};
+
+// Content types that say no more than that a body is binary or Brotli data
+const kGenericContentTypes = [
+  "",
+  "application/octet-stream",
+  "application/x-brotli",
+  "application/brotli",
+];
 
-  while (offset < input.length) {
-    const remaining = input.length - offset;
-    const blockSize = Math.min(remaining, maxBlockSize);
+// MIME type of a Content-Type header, without parameters
+function mimeType(contentType) {
+  return (contentType || "").split(";")[0].trim().toLowerCase();
+}
 
-    // ISLAST = 0 for all data blocks (final empty block comes after)
-    bw.writeBits(0, 1);
+// Path of a URL, or "" for a response without one
+function urlPath(url) {
+  if (!url) return "";
+  return new URL(url, globalThis.location).pathname;
+}
 
-    // MNIBBLES = 0 (4 nibbles = 16 bits for MLEN)
-    bw.writeBits(0, 2);
+// Whether fetched data is Brotli-compressed and still encoded: a .br URL or
+// a Brotli content type. Content-Encoding: br means the runtime has already
+// decoded the body.
+function isEncodedBrotliResponse(response) {
+  if (/\bbr\b/i.test(response.headers.get("content-encoding") || "")) {
+    return false;
+  }
+  const type = mimeType(response.headers.get("content-type"));
+  return (
+    urlPath(response.url).endsWith(".br") ||
+    type === "application/x-brotli" ||
+    type === "application/brotli"
+  );
+}
+
+// A Response with the decompressed body of response, streamed as it
+// arrives. The status and headers are kept, except that Content-Length and
+// a Content-Encoding of br are removed, and a .br file labelled as generic
+// binary gets the Content-Type of its inner extension (app.wasm.br is
+// application/wasm). options are as for BrotliDecoder.
+function decodeBrotliResponse(response, options = {}) {
+  return decodedResponse(response, createDecoderTransformStream(options));
+}
 
-    // MLEN - 1 (16 bits)
-    bw.writeBits(blockSize - 1, 16);
+// Copy of response for its decoded body, with the headers fixed as
+// decodeBrotliResponse describes. The body is piped through decodeStream,
+// or kept if that is null because the runtime has already decoded it.
+function decodedResponse(response, decodeStream) {
+  const headers = new Headers(response.headers);
+  headers.delete("content-length");
+  if (/^\s*br\s*$/i.test(headers.get("content-encoding") || "")) {
+    headers.delete("content-encoding");
+  }
+  const match = /\.([a-z0-9]+)\.br$/i.exec(urlPath(response.url));
+  const contentType = match && kBrotliContentTypes[match[1].toLowerCase()];
+  if (
+    contentType &&
+    kGenericContentTypes.includes(mimeType(headers.get("content-type")))
+  ) {
+    headers.set("content-type", contentType);
+  }
 
-    // ISUNCOMPRESSED = 1
-    bw.writeBits(1, 1);
+  const body =
+    response.body === null || decodeStream === null
+      ? response.body
+      : response.body.pipeThrough(decodeStream);
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
 
-    // Align to byte boundary
-    bw.alignToByte();
+// fetch() that decodes Brotli data the runtime left encoded (see
+// isEncodedBrotliResponse) with decodeBrotliResponse
+async function brotliFetch(input, init) {
+  const response = await fetch(input, init);
+  return isEncodedBrotliResponse(response)
+    ? decodeBrotliResponse(response)
+    : response;
+}
 
-    // Write raw data
-    for (let i = 0; i < blockSize; i++) {
-      bw.output.push(input[offset + i]);
-    }
+// ============================================================================
+// SERVICE WORKER ASSETS
+// ============================================================================
 
-    offset += blockSize;
+// Whether a Service Worker should serve url from its .br file: by default,
+// same-origin files with an extension in kBrotliContentTypes. match may be a
+// function of the URL, a RegExp for the path, or a list of paths.
+function isBrotliAsset(url, match) {
+  if (match === undefined) {
+    const extension = /\.([a-z0-9]+)$/i.exec(url.pathname);
+    return (
+      url.origin === self.location.origin &&
+      extension !== null &&
+      extension[1].toLowerCase() in kBrotliContentTypes
+    );
   }
+  if (typeof match === "function") return match(url);
+  if (match instanceof RegExp) return match.test(url.pathname);
+  if (Array.isArray(match)) return match.includes(url.pathname);
+  throw new TypeError("options.match must be a function, RegExp or array");
+}
 
-  // Write final empty last meta-block
-  bw.writeBits(1, 1); // ISLAST = 1
-  bw.writeBits(1, 1); // ISEMPTY = 1
-  bw.alignToByte();
+// Stream that decodes Brotli, native where DecompressionStream has it
+function createBrotliDecodeStream() {
+  return supportsNativeBrotli(globalThis.DecompressionStream)
+    ? new DecompressionStream("brotli")
+    : createDecoderTransformStream();
+}
+
+// Request for brotliURL made like request, with its headers, credentials,
+// mode and cache setting. A navigation becomes a same-origin request, since
+// only browsers can start those, and a Range header is dropped, since it
+// would count bytes of the compressed file.
+function brotliAssetRequest(request, brotliURL) {
+  const headers = new Headers(request.headers);
+  headers.delete("range");
+  return new Request(brotliURL, {
+    headers,
+    credentials: request.credentials,
+    mode: request.mode === "navigate" ? "same-origin" : request.mode,
+    cache: request.cache,
+    redirect: request.redirect,
+  });
+}
+
+// Respond to request for /app.js with /app.js.br, decoded, with the
+// Content-Type of app.js. The .br file comes from the Cache Storage cache
+// named options.cacheName if it is there, and from the network otherwise,
+// adding it to that cache. The response streams while the cache is written,
+// and options.waitUntil (a fetch event's waitUntil) is given the write to
+// keep the worker alive for. If there is no .br file, request is fetched as
+// is.
+async function handleBrotliAssetRequest(request, options = {}) {
+  const url = new URL(request.url);
+  const brotliURL = `${url.origin}${url.pathname}.br${url.search}`;
+  const cache =
+    options.cacheName === undefined
+      ? null
+      : await caches.open(options.cacheName);
+
+  let response = cache && (await cache.match(brotliURL));
+  if (!response) {
+    response = await fetch(brotliAssetRequest(request, brotliURL));
+    if (!response.ok) return fetch(request);
+    if (cache) {
+      // clone() tees the body. A failed write only means the next request
+      // fetches the file again.
+      const put = cache.put(brotliURL, response.clone()).catch(() => {});
+      if (options.waitUntil) options.waitUntil(put);
+    }
+  }
+  return decodedResponse(
+    response,
+    isEncodedBrotliResponse(response) ? createBrotliDecodeStream() : null,
+  );
+}
 
-  return bw.toUint8Array();
+// Drop-in Service Worker fetch handler for hosting that only has .br files:
+// GET requests for assets that options.match selects (see isBrotliAsset) are
+// answered by handleBrotliAssetRequest with options
+function installBrotliAssetHandler(options = {}) {
+  self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    if (
+      request.method === "GET" &&
+      isBrotliAsset(new URL(request.url), options.match)
+    ) {
+      event.respondWith(
+        handleBrotliAssetRequest(request, {
+          ...options,
+          waitUntil: (promise) => event.waitUntil(promise),
+        }),
+      );
+    }
+  });
 }
 
 // ============================================================================
-// PUBLIC API
+// STATIC DICTIONARY DATA
 // ============================================================================
 
-async function BrotliCompress(text) {
-  const input =
-    typeof text === "string" ? new TextEncoder().encode(text) : text;
-  return brotliCompress(input);
-}
+// RFC 7932 Appendix A dictionary (122,784 bytes), Brotli-compressed and base64
+// encoded
+const kDictionaryData =
+  "W5/fcQLn5gKf2XUbAiQ1XULX+TZz6ADToDsgqk6qVfeC0e4m6OO2wcQ1J76ZBVRV1fRkEsdu//62zQsFEZWSTCnMhcsQKlS2qOhuVYYMGCkV0fXWEoMFbESXrKEZ9wdUEsyw9g4bJlEt1Y6oVMxMRTEVbCIwZzJzboK5j8m4YH02qgXYhv1V+PM435sLVxyHJihaJREEhZGqL03txGFQLm76caGO/ovxKvzCby/3vMTtX/459f0igi7WutnKiMQ6wODSoRh/8Lx1V3Q99MvKtwB6bHdERYRY0hStJoMjNeTsNX7bn+Y7e4EQ3bf8xBc7L0BsyfFPK43dGSXpL6clYC/I328h54/VYrQ5i0648FgbGtl837svJ35L3Mot/+nPlNpWgKx1gGXQYqX6n+bbZ7wuyCHKcUok12Xjqub7NXZGzqBx0SD+uziNf87t7ve42jxSKQoW3nyxVrWIGlFShhCKxjpZZ5MeGna0+lBkk+kaN8F9qFBAFgEogyMBdcX/T1W/WnMOi/7ycWUQloEBKGeC48MkiwqJkJO+12eQiOFHMmck6q/IjWW3RZlany23TBm+cNr/84/oi5GGmGBZWrZ6j+zykVozz5fT/QH/Da6WTbZYYPynVNO7kxzuNN2kxKKWche5WveitPKAecB8YcAHz/+zXLjcLzkdDSktNIDwZE9J9X+tto43oJy65wApM3mDzYtCwX9lM+N5VR3kXYo0Z3t0TtXfgBFg7gU8oN0Dgl7fZlUbhNll+0uuohRVKjrEd8egrSndy5/Tgd2gqjA4CAVuC7ESUmL3DZoGnfhQV8uwnpi8EGvAVVsowNRxPudck7+oqAUDkwZopWqFnW1riss0t1z6iCISVKreYGNvQcXv+1L9+jbP8cd/dPUiqBso2q+7ZyFBvENCkkVr44iyPbtOoOoCecWsiuqMSML5lv+vN5MzUr+Dnh73G7Q1YnRYJVYXHRJaNAOByiaK6CusgFdBPE40r0rvqXV7tksKO2DrHYXBTv8P5ysqxEx8VDXUDDqkPH6NNOV/a2WH8zlkXRELSa8P+heNyJBBP7PgsG1EtWtNef6/i+lcayzQwQCsduidpbKfhWUDgAEmyhGu/zVTacI6RS0zTABrOYueemnVa19u9fT23N/Ta6RvTpof5DWygqreCqrDAgM4LID1+1T/taU6yTFVLqXOv+/MuQOFnaF8vLMKD7tKWDoBdALgxF33zQccCcdHx8fKIVdW69O7qHtXpeGr9jbbpFA+qRMWr5hp0s67FPc7HAiLV0g0/peZlW7hJPYEhZyhpSwahnf93/tZgfqZWXFdmdXBzqxGHLrQKxoAY6fRoBhgCRPmmGueYZ5JexTVDKUIXzkG/fqp/0U3hAgQdJ9zumutK6nqWbaqvm1pgu03IYR+G+8s0jDBBz8cApZFSBeuWasyqo2OMDKAZCozS+GWSvL/HsE9rHxooe17U3s/lTE+VZAk4j3dp6uIGaC0JMiqR5CUsabPyM0dOYDR7Ea7ip4USZlya38YfPtvrX/tBlhHilj55nZ1nfN24AOAi9BVtz/Mbn8AEDJCqJgsVUa6nQnSxv2Fs7l/NlCzpfYEjmPrNyib/+t0ei2eEMjvNhLkHCZlci4WhBe7ePZTmzYqlY9+1pxtS4GB+5lM1BHT9tS270EWUDYFq1I0yY/fNiAk4bk9yBgmef/f2k6AlYQZHsNFnW8wBQxCd68iWv7/35bXfz3JZmfGligWAKRjIs3IpzxQ27vAglHSiOzCYzJ9L9A1CdiyFvyR66ucA4jKifu5ehwER26yV7HjKqn5Mfozo7Coxxt8LWWPT47BeMxX8p0Pjb7hZn+6bw7z3Lw+7653j5sI8CLu5kThpMlj1m4c2ch3jGcP1FsT13vuK3qjecKTZk2kHcOZY40UX+qdaxstZqsqQqgXz+QGF99ZJLqr3VYu4aecl1Ab5GmqS8k/GV5b95zxQ5d4EfXUJ6kTS/CXF/aiqKDOT1T7Jz5z0PwDUcwr9clLN1OJGCiKfqvah+h3XzrBOiLOW8wvn8gW6qE8vPxi+Efv+UH55T7PQFVMh6cZ1pZQlzJpKZ7P7uWvwPGJ6DTlR6wbyj3Iv2HyefnRo/dv7dNx+qaa0N38iBsR++Uil7Wd4afwDNsrzDAK4fXZwvEY/jdKuIKXlfrQd2C39dW7ntnRbIp9OtGy9pPBn/V2ASoi/2UJZfS+xuGLH8bnLuPlzdTNS6zdyk8Dt/h6sfOW5myxh1f+zf3zZ3MX/mO9cQPp5pOx967ZA6/pqHvclNfnUFF+rq+Vd7alKr6KWPcIDhpn6v2K6NlUu6LrKo8b/pYpU/Gazfvtwhn7tEOUuXht5rUJdSf6sLjYf0VTYDgwJ81yaqKTUYej/tbHckSRb/HZicwGJqh1mAHB/IuNs9dc9yuvF3D5Xocm3elWFdq5oEy70dYFit79yaLiNjPj5UUcVmZUVhQEhW5V2Z6Cm4HVH/R8qlamRYwBileuh07CbEce3TXa2JmXWBf+ozt319psboobeZhVnwhMZzOeQJzhpTDbP71Tv8HuZxxUI/+ma3XW6DFDDs4+qmpERwHGBd2edxwUKlODRdUWZ/g0GOezrbzOZauFMai4QU6GVHV6aPNBiBndHSsV4IzpvUiiYyg6OyyrL4Dj5q/Lw3N5kAwftEVl9rNd7Jk5PDij2hTH6wIXnsyXkKePxbmHYgC8A6an5Fob/KH5GtC0l4eFso+VpxedtJHdHpNm+Bvy4C79yVOkrZsLrQ3OHCeB0Ra+kBIRldUGlDCEmq2RwXnfyh6Dz+alk6eftI2n6sastRrGwbwszBeDRS/Fa/KwRJkCzTsLr/JCs5hOPE/MPLYdZ1F1fv7D+VmysX6NpOC8aU9F4Qs6HvDyUy9PvFGDKZ/P5101TYHFl8pjj6wm/qyS75etZhhfg0UEL4OYmHk6m6dO192AzoIyPSV9QedDA4Ml23rRbqxMPMxf7FJnDc5FTElVS/PyqgePzmwVZ26NWhRDQ+oaT7ly7ell4s3DypS1s0g+tOr7XHrrkZj9+x/mJBttrLx98lFIaRZzHz4aC7r52/JQ4VjHahY2/YVXZn/QC2ztQb/sY3uRlyc5vQS8nLPGT/n27495i8HPA152z7Fh5aFpyn1GPJKHuPL8Iw94DuW3KjkURAWZXn4EQy89xiKEHN1mk/tkM4gYDBxwNoYvRfE6LFqsxWJtPrDGbsnLMap3Ka3MUoytW0cvieozOmdERmhcqzG+3HmZv2yZeiIeQTKGdRT4HHNxekm1tY+/n06rGmFleqLscSERzctTKM6G9P0Pc1RmVvrascIxaO1CQCiYPE15bD7c3xSeW7gXxYjgxcrUlcbIvO0r+Yplhx0kTt3qafDOmFyMjgGxXu73rddMHpV1wMubyAGcf/v5dLr5P72Ta9lBF+fzMJrMycwv+9vnU3ANIl1cH9tfW7af8u0/HG0vV47jNFXzFTtaha1xvze/s8KMtCYucXc1nzfd/MQydUXn/b72RBt5wO/3jRcMH9BdhC/yctKBIveRYPrNpDWqBsO8VMmP+WvRaOcA4zRMR1PvSoO92rS7pYEv+fZfEfTMzEdM+6X5tLlyxExhqLRkms5EuLovLfx66de5fL2/yX02H52FPVwahrPqmN/E0oVXnsCKhbi/yRxX83nRbUKWhzYceXOntfuXn51NszJ6MO73pQf5Pl4in3ec4JU8hF7ppV34+mm9r1LY0ee/i1O1wpd8+zfLztE0cqBxggiBi5Bu95v9l3r9r/U5hweLn+TbfxowrWDqdJauKd8+q/dH8sbPkc9ttuyO94f7/XK/nHX46MPFLEb5qQlNPvhJ50/59t9ft3LXu7uVaWaO2bDrDCnRSzZyWvFKxO1+vT8MwwunR3bX0CkfPjqb4K9O19tn5X50PvmYpEwHtiW9WtzuV/s76B1zvLLNkViNd8ySxIl/3orfqP90TyTGaf7/rx8jQzeHJXdmh/N6YDvbvmTBwCdxfEQ1NcL6wNMdSIXNq7b1EUzRy1/Axsyk5p22GMG1b+GxFgbHErZh92wuvco0AuOLXct9hvw2nw/LqIcDRRmJmmZzcgUa7JpM/WV/S9IUfbF56TL2orzqwebdRD8nIYNJ41D/hz37Fo11p2Y21wzPcn713qVGhqtevStYfGH4n69OEJtPvbbLYWvscDqc3Hgnu166+tAyLnxrX0Y5zoYjV++1sI7t5kMr02KT/+uwtkc+rZLOf/qn/s3nYCf13Dg8/sB2diJgjGqjQ+TLhxbzyue2Ob7X6/9lUwW7a+lbznHzOYy8LKW1C/uRPbQY3KW/0gO9LXunHLvPL97afba9bFtc9hmz7GAttjVYlCvQAiOwAk/gC5+hkLEs6tr3AZKxLJtOEwk2dLxTYWsIB/j/ToWtIWzo906FrSG8iaqqqqqqiIiIiAgzMzMzNz+AyK+01/zi8n8S+Y1MjoRaQ80WU/G8MBlO+53VPXANrWm4wzGUVZUjjBJZVdhpcfkjsmcWaO+UEldXi1e+zq+HOsCpknYshuh8pOLISJun7TN0EIGW2xTnlOImeecnoGW4raxe2G1T3HEvfYUYMhG+gAFOAwh5nK8mZhwJMmN7r224QVsNFvZ87Z0qatvknklyPDK3Hy45PgVKXji52Wen4d4PlFVVYGnNap+fSpFbK90rYnhUc6n91Q3AY9E0tJOFrcfZtm/491XbcG/jsViUPPX76qmeuiz+qY1Hk7/1VPM405zWVuoheLUimpWYdVzCmUdKHebMdzgrYrb8mL2eeLSnRWHdonfZa8RsOU9F37w+591l5FLYHiOqWeHtE/lWrBHcRKp3uhtr8yXm8LU/5ms+NM6ZKsqu90cFZ4o58+k4rdrtB97NADFbwmEG7lXqvirhOTOqU14xuUF2myIjURcPHrPOQ4lmM3PeMg7bUuk0nnZi67bXsU6H8lhqIo8TaOrEafCO1ARK9PjC0QOoq2BxmMdgYB9G/lIb9++fqNJ2s7BHGFyBNmZAR8J3KCo012ikaSP8BCrf6VI0X5xdnbhHIO+B5rbOyB54zXkzfObyJ4ecwxfqBJMLFc7m59rNcw7hoHnFZ0b00zee+gTqvjm61Pb4xn0kcDX4jvHM0rBXZypG3DCKnD/Waa/ZtHmtFPgO5eETx+k7RrVg3aSwm2YoNXnCs3XPQDhNn+Fia6IlOOuIG6VJH7TP6ava26ehKHQa2T4N0tcZ9dPCGo3ZdnNltsHQbeYt5vPnJezV/cAeNypdml1vCHI8M81nSRP5Qi2+mI8v/sxiZru9187nRtp3f/42NemcONa+4eVC3PCZzc88aZh851CqSsshe70uPxeN/dmYwlwb3trwMrN1Gq8jbnApcVDx/yDPeYs5/7r62tsQ6lLg+DiFXTEhzR9dHqv0iT4tgj825W+H3XiRUNUZT2kR9Ri0+lp+UM3iQtS8uOE23Ly4KYtvqH13jghUntJRAewuzNLDXp8RxdcaA3cMY6TO2IeSFRXezeWIjCqyhsUdMYuCgYTZSKpBype1zRfq8FshvfBPc6BAQWl7/QxIDp3VGo1J3vn42OEs3qznws+YLRXbymyB19a9XBx6n/owcyxlEYyFWCi+kG9F+EyD/4yn80+agaZ9P7ay2Dny99aK2o91FkfEOY8hBwyfi5uwx2y5SaHmG+oq/zl1FX/8irOf8Y3vAcX/6uLP6A6nvMO24edSGPjQc827Rw2atX+z2bKq0CmW9mOtYnr5/AfDa1ZfPaXnKtlWborup7QYx+Or2uWb+N3N//2+yDcXMqIJdf55xl7/vsj4WoPPlxLxtVrkJ4w/tTe3mLdATOOYwxcq52w5Wxz5MbPdVs5O8/lhfE7dPj0bIiPQ3QV0iqm4m3YX8hRfc6jQ3fWepevMqUDJd86Z4vwM40CWHnn+WphsGHfieF02D3tmZvpWD+kBpNCFcLnZhcmmrhpGzzbdA+sQ1ar18OJD87IOKOFoRNznaHPNHUfUNhvY1iU+uhvEvpKHaUn3qK3exVVyX4joipp3um7FmYJWmA+WbIDshRpbVRx5/nqstCgy87FGbfVB8yDGCqS+2qCsnRwnSAN6zgzxfdB2nBT/vZ4/6uxb6oH8b4VBRxiIB93wLa47hG3w2SL/2Z27yOXJFwZpSJaBYyvajA7vRRYNKqljXKpt/CFD/tSMr18DKKbwB0xggBePatl1nki0yvqW5zchlyZmJ0OTxJ3D+fsYJs/mxYN5+Le5oagtcl+YsVvy8kSjI2YGvGjvmpkRS9W2dtXqWnVuxUhURm1lKtou/hdEq19VBp9OjGvHEQSmrpuf2R24mXGheil8KeiANY8fW1VERUfBImb64j12caBZmRViZHbeVMjCrPDg9A90IXrtnsYCuZtRQ0PyrKDjBNOsPfKsg1pA02gHlVr0OXiFhtp6nJqXVzcbfM0KnzC3ggOENPE9VBdmHKN6LYaijb4wXxJn5A0FSDF5j+h1ooZx885Jt3ZKzO5n7Z5WfNEOtyyPqQEnn7WLv5Fis3PdgMshjF1FRydbNyeBbyKI1oN1TRVrVK7kgsb/zjX4NDPIRMctVeaxVB38Vh1x5KbeJbU138AM5KzmZu3uny0ErygxiJF7GVXUrPzFxrlx1uFdAaZFDN9cvIb74qD9tzBMo7L7WIEYK+sla1DVMHpF0F7b3+Y6S+zjvLeDMCpapmJo1weBWuxKF3rOocih1gun4BoJh1kWnV/Jmiq6uOhK3VfKxEHEkafjLgK3oujaPzY6SXg8phhL4TNR1xvJd1Wa0aYFfPUMLrNBDCh4AuGRTbtKMc6Z1Udj8evY/ZpCuMAUefdo69DZUngoqE1P9A3PJfOf7WixCEj+Y6t7fYeHbbxUAoFV3M89cCKfma3fc1+jKRe7MFWEbQqEfyzO2x/wrO2VYH7iYdQ9BkPyI8/3kXBpLaCpU7eC0Yv/am/tEDu7HZpqg0EvHo0nf/R/gRzUWy33/HXMJQeu1GylKmOkXzlCfGFruAcPPhaGqZOtu19zsJ1SO2Jz4Ztth5cBX6mRQwWmDwryG9FUMlZzNckMdK+IoMJv1rOWnBamS2w2KHiaPMPLC15hCZm4KTpoZyj4E2TqC/P6r7/EhnDMhKicZZ1ZwxuC7DPzDGs53q8gXaI9kFTK+2LTq7bhwsTbrMV8Rsfua5lMS0FwbTitUVnVa1yTb5IX51mmYnUcP9wPr8Ji1tiYJeJV9GZTrQhF7vvdU2OTU42ogJ9FDwhmycI2LIg++03C6scYhUyUuMV5tkw6kGUoL+mjNC38+wMdWNljn6tGPpRES7veqrSn5TRuv+dh6JVL/iDHU1db4c9WK3++OrH3PqziF916UMUKn8G67nN60GfWiHrXYhUG3yVWmyYak59NHj8t1smG4UDiWz2rPHNrKnN4Zo1LBbr2/eF9YZ0n0blx2nG4X+EKFxvS3W28JESD+FWk61VCD3z/URGHiJl++7TdBwkCj6tGOH3qDb0QqcOF9Kzpj0HUb/KyFW3Yhj2VMKJqGZleFBH7vqvf7WqLC3XMuHV8q8a4sTFuxUtkD/6JIBvKaVjv96ndgruKZ1k/BHzqf2K9fLk7HGXANyLDd1vxkK/i055pnzl+zw6zLnwXlVYVtfmacJgEpRP1hbGgrYPVN6v2lG+idQNGmwcKXu/8xEj/P6qe/sB2WmwNp6pp8jaISMkwdleFXYK55NHWLTTbutSUqjBfDGWo/Yg918qQ+8BRZSAHZbfuNZz2O0sov1Ue4CWlVg3rFhM3Kljj9ksGd/NUhk4nH+a5UN2+1i8+NM3vRNp7uQ6sqexSCukEVlVZriHNqFi5rLm9TMWa4qm3idJqppQACol2l4VSuvWLfta4JcXy3bROPNbXOgdOhG47LC0CwW/dMlSx4Jf17aEU3yA1x9p+Yc0jupXgcMuYNku64iYOkGToVDuJvlbEKlJqsmiHbvNrIVZEH+yFdF8DbleZ6iNiWwMqvtMp/mSpwx5KxRrT9p3MAPTHGtMbfvdFhyj9vhaKcn3At8Lc16Ai+vBcSp1ztXi7rCJZx/ql7TXcclq6Q76UeKWDy9boS0WHIjUuWhPG8LBmW5y2rhuTpM5vsLt+HOLh1Yf0DqXa9tsfC+kaKt2htA0ai/L2i7RKoNjEwztkmRU0GfgW1TxUvPFhg0V7DdfWJk5gfrccpYv+MA9M0dkGTLECeYwUixRzjRFdmjG7zdZIl3XKB9YliNKI31lfa7i2JG5C8Ss+rHe0D7Z696/V3DEAOWHnQ9yNahMUl5kENWS6pHKKp2D1BaSrrHdE1w2qNxIztpXgUIrF0bm15YML4b6V1k+GpNysTahKMVrrS85lTVo9OGJ96I47eAy5rYWpRf/mIzeoYU1DKaQCTUVwrhHeyNoDqHel+lLxr9WKzhSYw7vrR6+V5q0pfi2k3L1zqkubY6rrd9ZLvSuWNf0uqnkY+FpTvFzSW9Fp0b9l8JA7THV9eCi/PY/SCZIUYx3BU2alj7Cm3VV6eYpios4b6WuNOJdYXUK3zTqj5CVG2FqYM4Z7CuIU0qO05XR0d71FHM0YhZmJmTRfLlXEumN82BGtzdX0S19t1e+bUieK8zRmqpa4Qc5TSjifmaQsY2ETLjhI36gMR1+7qpjdXXHiceUekfBaucHShAOiFXmv3sNmGQyU5iVgnoocuonQXEPTFwslHtS8R+A47StI9wj0iSrtbi5rMysczFiImsQ+bdFClnFjjpXXwMy6O7qfjOr8Fb0a7ODItisjnn3EQO16+ypd1cwyaAW5Yzxz5QknfMO7643fXW/I9y3U2xH27Oapqr56Z/tEzglj6IbT6HEHjopiXqeRbe5mQQvxtcbDOVverN0ZgMdzqRYRjaXtMRd56Q4cZSmdPvZJdSrhJ1D9zNXPqAEqPIavPdfubt5oke2kmv0dztIszSv2VYuoyf1UuopbsYb+uX9h6WpwjpgtZ6fNNawNJ4q8O3CFoSbioAaOSZMx2GYaPYB+rEb6qjQiNRFQ76TvwNFVKD+BhH9VhcKGsXzmMI7BptU/CNWolM7YzROvpFAntsiWJp6eR2d3GarcYShVYSUqhmYOWj5E96NK2WvmYNTeY7Zs4RUEdv9h9QT4EseKt6LzLrqEOs3hxAY1MaNWpSa6zZx8F3YOVeCYMS88W+CYHDuWe4yoc6YK+djDuEOrBR5lvh0r+Q9uM88lrjx9x9AtgpQVNE8r+3O6Gvw59D+kBF/UMXyhliYUtPjmvXGY6Dk3x+kEOW+GtdMVC4EZTqoS/jmR0P0LS75DOc/w2vnri97M4SdbZ8qeU7gg8DVbERkU5geaMQO3mYrSYyAngeUQqrN0C0/vsFmcgWNXNeidsTAj7/4MncJR0caaBUpbLK1yBCBNRjEv6KvuVSdpPnEMJdsRRtqJ+U8tN1gXA4ePHc6ZT0eviI73UOJF0fEZ8YaneAQqQdGphNvwM4nIqPnXxV0xA0fnCT+oAhJuyw/q8jO0y8CjSteZExwBpIN6SvNp6A5G/abi6egeND/1GTguhuNjaUbbnSbGd4L8937Ezm34Eyi6n1maeOBxh3PI0jzJDf5mh/BsLD7F2GOKvlA/5gtvxI3/eV4sLfKW5Wy+oio+es/u6T8UU+nsofy57Icb/JlZHPFtCgd/x+bwt3ZT+xXTtTtTrGAb4QehC6X9G+8YT+ozcLxDsdCjsuOqwPFnrdLYaFc92Ui0m4fr39lYmlCaqTit7G6O/3kWDkgtXjNH4BiEm/+jegQnihOtfffn33WxsFjhfMd48HT+f6o6X65j7XR8WLSHMFkxbvOYsrRsF1bowDuSQ18Mkxk4qz2zoGPL5fu9h2Hqmt1asl3Q3Yu3szOc+spiCmX4AETBM3pLoTYSp3sVxahyhL8eC4mPN9k2x3o0xkiixIzM3CZFzf5oR4mecQ5+ax2wCah3/crmnHoqR0+KMaOPxRif1oEFRFOO/kTPPmtww+NfMXxEK6gn6iU32U6fFruIz8Q4WgljtnaCVTBgWx7diUdshC9ZEa5yKpRBBeW12r/iNc/+EgNqmhswNB8SBoihHXeDF7rrWDLcmt3V8GYYN7pXRy4DZjj4DJuUBL5iC3DQAaoo4vkftqVTYRGLS3mHZ7gdmdTTqbgNN/PTdTCOTgXolc88MhXAEUMdX0iy1JMuk5wLsgeu0QUYlz2S4skTWwJz6pOm/8ihrmgGfFgri+ZWUK2gAPHgbWa8jaocdSuM4FJYoKicYX/ZSENkg9Q1ZzJfwScfVnR2DegOGwCvmogaWJCLQepv9WNlU6QgsmOwICquU28Mlk3d9W5E81lU/5Ez0LcX6lwKMWDNluNKfBDUy/phJgBcMnfkh9iRxrdOzgs08JdPB85Lwo+GUSb4t3nC+0byqMZtO2fQJ4U2zGIr49t/28qmmGv2RanDD7a3FEcdtutkW8twwwlUSpb8QalodddbBfNHKDQ828BdE7OBgFdiKYohLawFYqpybQoxATZrheLhdI7+0Zlu9Q1myRcd15r9UIm8K2LGJxqTegntqNVMKnf1a8zQiyUR1rxoqjiFxeHxqFcYUTHfDu7rhbWng6qOxOsI+5A1p9mRyEPdVkTlE24vY54W7bWc6jMgZvNXdfC9/9q7408KDsbdL7Utz7QFSDetz2picArzrdpL8OaCHC9V26RroemtDZ5yNM/KGkWMyTmfnInEvwtSD23UcFcjhaE3VKzkoaEMKGBft4XbIO6forTY1lmGQwVmKicBCiArDzE+1oIxE08fWeviIOD5TznqH+OoHadvoOP20drMPe5Irg3XBQziW2XDuHYzjqQQ4wySssjXUs5H+t3FWYMHppUnBHMx/nYIT5d7OmjDbgD9F6na3m4l7KdkeSO3kTEPXafiWinogag7b52taiZhL1TSvBFmEZafFq2H8khQaZXuitCewT5FBgVtPK0j4xUHPfUz3Q28eac1Z139DAP23dgki94EC8vbDPTQC97HPPSWjUNG5tWKMsaxAEMKC0665Xvo1Ntd07wCLNf8Q56mrEPVpCxlIMVlQlWRxM3oAfpgIc+8KC3rEXUog5g06vt7zgXY8grH7hhwVSaeuvC06YYRAwpbyk/Unzj9hLEZNs2oxPQB9yc+GnL6zTgq7rI++KDJwX2SP8Sd6YzTuw5lV/kU6eQxRD12omfQAW6caTR4LikYkBB1CMOrvgRr/VY75+NSB40Cni6bADAtaK+vyxVWpf9NeKJxN2KYQ8Q2xPB3K1s7fuhvWbr2XpgW044VD6DRs0qXoqKf1NFsaGvKJc47leUV3pppP/5VTKFhaGuol4Esfjf5zyCyUHmHthChcYh4hYLQF+AFWsuq4t0wJyWgdwQVOZiV0efRHPoK5+E1vjz9wTJmVkITC9oEstAsyZSgE/dbicwKr89YUxKZI+owD205Tm5lnnmDRuP/JnzxX3gMtlrcX0UesZdxyQqYQuEW4R51vmQ5xOZteUd8SJruMlTUzhtVw/Nq7eUBcqN2/HVotgfngif60yKEtoUx3WYOZlVJuJOh8u59fzSDPFYtQgqDUAGyGhQOAvKroXMcOYY0qjnStJR/G3aP+Jt1sLVlGV8POwr/6OGsqetnyF3TmTqZjENfnXh51oxe9qVUw2M78EzAJ+IM8lZ1MBPQ9ZWSVc4J3mWSrLKrMHReA5qdGoz0ODRsaA+vwxXA2cAM4qlfzBJA6581m4hzxItQw5dxrrBL3Y6kCbUcFxo1S8jyV44q//+7ASNNudZ6xeaNOSIUffqMn4A9lIjFctYn2gpEPAb3f7p3iIBN8H14FUGQ9ct2hPsL+cEsTgUrR47uJVN4n4wt/wgfwwHuOnLd4yobkofy8JvxSQTA7rMpDIc608SlZFJfZYcmbT0tAHpPE8MrtQ42siTUNWxqvWZOmvu9f0JPoQmg+6l7sZWwyfi6PXkxJnwBraUG0MYG4zYHQz3igy/XsFkx5tNQxw43qvI9dU3f0DdhOUlHKjmi1VAr2Kiy0HZwD8VeEbhh0OiDdMYspolQsYdSwjCcjeowIXNZVUPmL2wwIkYhmXKhGozdCJ4lRKbsf4NBh/XnQoS92NJEWOVOFs2YhN8c5QZFeK0pRdAG40hqvLbmoSA8xQmzOOEc7wLcme9JOsjPCEgpCwUs9E2DohMHRhUeyGIN6TFvrbny8nDuilsDpzrH5mS76APoIEJmItS67sQJ+nfwddzmjPxcBEBBCw0kWDwd0EZCkNeOD7NNQhtBm7KHL9mRxj6U1yWU2puzlIDtpYxdH4ZPeXBJkTGAJfUr/oTCz/iypY6uXaR2V1doPxJYlrw2ghH0D5gbrhFcIxzYwi4a/4hqVdf2DdxBp6vGYDjavxMAAoy+1+3aiO6S3W/QAKNVXagDtvsNtx7Ks+HKgo6U21B+QSZgIogV5Bt+BnXisdVfy9VyXV+2P5fMuvdpAjM1o/K9Z+XnE4EOCrue+kcdYHqAQ0/Y/OmNlQ6OI33jH/uD1RalPaHpJAm2av0/xtpqdXVKNDrc9F2izo23Wu7firgbURFDNX9eGGeYBhiypyXZft2j3hTvzE6PMWKsod//rEILDkzBXfi7xh0eFkfb3/1zzPK/PI5Nk3FbZyTl4mq5BfBoVoqiPHO4Q4QKZAlrQ3MdNfi3oxIjvsM3kAFv3fdufurqYR3PSwX/mpGy/GFI/B2MNPiNdOppWVbs/gjF3YH+QA9jMhlAbhvasAHstB0IJew09iAkmXHl1/TEj+jvHOpOGrPRQXbPADM+Ig2/OEcUcpgPTItMtW4DdqgfYVI/+4hAFWYjUGpOP/UwNuB7+BbKOcALbjobdgzeBQfjgNSp2GOpxzGLj70Vvq5cw2AoYENwKLUtJUX8sGRox4dVa/TN4xKwaKcl9XawQR/uNus700Hf17pyNnezrUgaY9e4MADhEDBpsJT6y1gDJs1q6wlwGhuUzGR7C8kgpjPyHWwsvrf3yn1zJEIRa5eSxoLAZOCR9xbuztxFRJW9ZmMYfCFJ0evm9F2fVnuje92Rc4Pl6A8bluN8MZyyJGZ0+sNSb//DvAFxC2BqlEsFwccWeAl6CyBcQV1bx4mQMBP1Jxqk1EUADNLeieS2dUFbQ/c/kvwItbZ7tx0st16viqd53WsRmPTKv2AD8CUnhtPWg5aUegNpsYgasaw2+EVooeNKmrW3MFtj76bYHJm5K9gpAXZXsE5U8DM8XmVOSJ1F1WnLy6nQup+jx52bAb+rCq6y9WXl2B2oZDhfDkW7H3oYfT/4xx5VncBuxMXP2lNfhUVQjSSzSRbuZFE4vFawlzveXxaYKVs8LpvAb8IRYF3ZHiRnm0ADeNPWocwxSzNseG7NrSEVZoHdKWqaGEBz1N8Pt7kFbqh3LYmAbm9i1IChIpLpM5AS6mr6OAPHMwwznVy61YpBYX8xZDN/a+lt7n+x5j4bNOVteZ8lj3hpAHSx1VR8vZHec4AHO9XFCdjZ9eRkSV65ljMmZVzaej2qFn/qt1lvWzNZEfHxK3qOJrHL6crr0CRzMox5f2e8ALBB4UGFZKA3tN6F6IXd32GTJXGQ7DTi9j/dNcLF9jCbDcWGKxoKTYblIwbLDReL00LRcDPMcQuXLMh5YzgtfjkFK1DP1iDzzYYVZz5M/kWYRlRpig1htVRjVCknm+h1M5LiEDXOyHREhvzCGpFZjHS0RsK27o2avgdilrJkalWqPW3D9gmwV37HKmfM3F8YZj2ar+vHFvf3B8CRoH4kDHIK9mrAg+owiEwNjjd9V+FsQKYR8czJrUkf7Qoi2YaW6EVDZp5zYlqiYtuXOTHk4fAcZ7qBbdLDiJq0WNV1l2+Hntk1mMWvxrYmc8kIx8G3rW36J6Ra4lLrTOCgiOihmow+YnzUT19jbV2B3RWqSHyxkhmgsBqMYWvOcUom1jDQ436+fcbu3xf2bbeqU/ca+C4DOKE+e3qvmeMqW3AxejfzBRFVcwVYPq4L0APSWWoJu+5UYX4qg5U6YTioqQGPG9XrnuZ/BkxuYpe6Li87+18EskyQW/uA+uk2rpHpr6hut2TlVbKgWkFpx+AZffweiw2+VittkEyf/ifinS/0ItRL2Jq3tQOcxPaWO2xrG68GdFoUpZgFXaP2wYVtRc6xYCfI1CaBqyWpg4bx8OHBQwsV4XWMibZZ0LYjWEy2IxQ1mZrf1/UNbYCJplWu3nZ4WpodIGVA05d+RWSS+ET9tH3RfGGmNI1cIY7evZZq7o+a0bjjygpmR3mVfalkT/SZGT27Q8QGalwGlDOS9VHCyFAIL0a1Q7JiW3saz9gqY8lqKynFrPCzxkU4SIfLc9VfCI5edgRhDXs0edO992nhTKHriREP1NJC6SROMgQ0xO5kNNZOhMOIT99AUElbxqeZF8A3xrfDJsWtDnUenAHdYWSwAbYjFqQZ+D5gi3hNK8CSxU9i6f6ClL9IGlj1OPMQAsr84YG6ijsJpCaGWj75c3yOZKBB9mNpQNPUKkK0D6wgLH8MGoyRxTX6Y05Q4AnYNXMZwXM4eij/9WpsM/9CoRnFQXGR6MEaY+FXvXEO3RO0JaStk6OXuHVATHJE+1W+TU3bSZ2ksMtqjO0zfSJCdBv7y2d8DMx6TfVme3q0ZpTKMMu4YL/t7ciTNtdDkwPogh3Cnjx7qk08SHwf+dksZ7M2vCOlfsF0hQ6J4ehPCaHTNrM/zBSOqD83dBEBCW/F/LEmeh0nOHd7oVl3/Qo/9GUDkkbj7yz+9cvvu+dDAtx8NzCDTP4iKdZvk9MWiizvtILLepysflSvTLFBZ37RLwiriqyRxYv/zrgFd/9XVHh/OmzBvDX4mitMR/lUavs2Vx6cR94lzAkplm3IRNy4TFfu47tuYs9EQPIPVta4P64tV+sZ7n3ued3cgEx2YK+QL5+xms6osk8qQbTyuKVGdaX9FQqk6qfDnT5ykxk0VK7KZ62b6DNDUfQlqGHxSMKv1P0XN5BqMeKG1P4Wp5QfZDUCEldppoX0U6ss2jIko2XpURKCIhfaOqLPfShdtS37ZrT+jFRSH2xYVV1rmT/MBtRQhxiO4MQ3iAGlaZi+9PWBEIXOVnu9jN1f921lWLZky9bqbM3J2MAAI9jmuAx3gyoEUa6P2ivs0EeNv/OR+AX6q5SW6l5HaoFuS6jr6yg9limu+P0KYKzfMXWcQSfTXzpOzKEKpwI3YGXZpSSy2LTlMgfmFA3CF6R5c9xWEtRuCg2ZPUQ2Nb6dRFTNd4TfGHrnEWSKHPuRyiJSDAZ+KX0VxmSHjGPbQTLVpqixia2uyhQ394gBMt7C3ZAmxn/DJS+l1fBsAo2Eir/C0jG9csd4+/tp12pPc/BVJGaK9mfvr7M/CeztrmCO5qY06Edi4xAGtiEhnWAbzLy2VEyazE1J5nPmgU4RpW4Sa0TnOT6w5lgt3/tMpROigHHmexBGAMY0mdcDbDxWIz41NgdD6oxgHsJRgr5RnT6wZAkTOcStU4NMOQNemSO7gxGahdEsC+NRVGxMUhQmmM0llWRbbmFGHzEqLM4Iw0H7577Kyo+Zf+2cUFIOw93gEY171vQaM0HLwpjpdRR6Jz7V0ckE7XzYJ0TmY9znLdzkva0vNrAGGT5SUZ5uaHDkcGvI0ySpwkasEgZPMseYcu85w8HPdSNi+4T6A83iAwDbxgeFcB1ZM2iGXzFcEOUlYVrEckaOyodfvaYSQ7GuB4ISE0nYJc15X/1ciDTPbPCgYJK55VkEor4LvzL9S2WDy4xj+6FOqVyTAC2ZNowheeeSI5hA/02l8UYkv4nk9iaVn+kCVEUstgk5Hyq+gJm6R9vG3rhuM904he/hFmNQaUIATB1y3vw+OmxP4X5Yi6A5I5jJufHCjF9+AGNwnEllZjUco6XhsO5T5+R3yxz5yLVOnAn0zuS+6zdj0nTJbEZCbXJdtpfYZfCeCOqJHoE2vPPFS6eRLjIJlG69X93nfR0mxSFXzp1Zc0lt/VafDaImhUMtbnqWVb9M4nGNQLN68BHP7AR8Il9dkcxzmBv8PCZlw9guY0lurbBsmNYlwJZsA/B15/HfkbjbwPddaVecls/elmDHNW2r4crAx43feNkfRwsaNq/yyJ0d/p5hZ6AZajz7DBfUok0ZU62gCzz7x8eVfJTKA8IWn45vINLSM1q+HF9CV9qF3zP6Ml21kPPL3CXzkuYUlnSqT+Ij4tI/od5KwIs+tDajDs64owN7tOAd6eucGz+KfO26iNcBFpbWA5732bBNWO4kHNpr9D955L61bvHCF/mwSrz6eQaDjfDEANqGMkFc+NGxpKZzCD2sj/JrHd+zlPQ8Iz7Q+2JVIiVCuCKoK/hlAEHzvk/Piq3mRL1rT/fEh9hoT5GJmeYswg1otiKydizJ/fS2SeKHVu6Z3JEHjiW8NaTQgP5xdBli8nC57XiN9hrquBu99hn9zqwo92+PM2JXtpeVZS0PdqR5mDyDreMMtEws+CpwaRyyzoYtfcvt9PJIW0fJVNNi/FFyRsea7peLvJrL+5b4GOXJ8tAr+ATk9f8KmiIsRhqRy0vFzwRV3Z5dZ3QqIU8JQ/uQpkJbjMUMFj2F9sCFeaBjI4+fL/oN3+LQgjI4zuAfQ+3IPIPFQBccf0clJpsfpnBxD84atwtupkGqKvrH7cGNl/QcWcSi6wcVDML6ljOgYbo+2BOAWNNjlUBPiyitUAwbnhFvLbnqw42kR3Yp2kv2dMeDdcGOX5kT4S6M44KHEB/SpCfl7xgsUvs+JNY9G3O2X/6FEt9FyAn57lrbiu+tl83sCymSvq9eZbe9mchL7MTf/Ta78e80zSf0hYY5eUU7+ff14jv7Xy8qjzfzzzvaJnrIdvFb5BLWKcWGy5/w7+vV2cvIfwHqdTB+RuJK5oj9mbt0Hy94AmjMjjwYNZlNS6uiyxNnwNyt3gdreLb64p/3+08nXkb92LTkkRgFOwk1oGEVllcOj5lv1hfAZywDows0944U8vUFw+A/nuVq/UCygsrmWIBnHyU01d0XJPwriEOvx/ISK6Pk4y2w0gmojZs7lU8TtakBAdne4v/aNxmMpK4VcGMp7si0yqsiolXRuOi1Z1P7SqD3Zmp0CWcyK4Ubmp2SXiXuI5nGLCieFHKHNRIlcY3Pys2dwMTYCaqlyWSITwr2oGXvyU3h1Pf8eQ3w1bnD7ilocVjYDkcXR3Oo1BXgMLTUjNw2xMVwjtp99NhSVc5aIWrDQT5DHPKtCtheBP4zHcw4dz2eRdTMamhlHhtfgqJJHI7NGDUw1XL8vsSeSHyKqDtqoAmrQqsYwvwi7HW3ojWyhIa5oz5xJTaq14NAzFLjVLR12rRNUQ6xohDnrWFb5bG9yf8aCD8d5phoackcNJp+Dw3Due3RM+5Rid7EuIgsnwgpX0rUWh/nqPtByMhMZZ69NpgvRTKZ62ViZ+Q7Dp5r4K0d7EfJuiy06KuIYauRh5Ecrhdt2QpTS1k1AscEHvapNbU3HL1F2TFyR33Wxb5MvH5iZsrn3SDcsxlnnshO8PLwmdGN+paWnQuORtZGX37uhFT64SeuPsx8UOokY6ON85WdQ1dki5zErsJGazcBOddWJEKqNPiJpsMD1GrVLrVY+AOdPWQneTyyP1hRX/lMM4ZogGGOhYuAdr7F/DOiAoc++cn5vlf0zkMUJ40Z1rlgv9BelPqVOpxKeOpzKdF8maK+1Vv23MO9k/8+qpLoxrIGH2EDQlnGmH8CD31G8QqlyQIcpmR5bwmSVw9/Ns6IHgulCRehvZ/+VrM60Cu/r3AontFfrljew74skYe2uyn7JKQtFQBQRJ9ryGic/zQOsbS4scUBctA8cPToQ3x6ZBQu6DPu5m1bnCtP8TllLYA0UTQNVqza5nfew3Mopy1GPUwG5jsl0OVXniPmAcmLqO5HG8Hv3nSLecE9oOjPDXcsTxoCBxYyzBdj4wmnyEV4kvFDunipS8SSkvdaMnTBN9brHUR8xdmmEAp/Pdqk9uextp1t+JrtXwpN/MG2w/qhRMpSNxQ1uhg/kKO30eQ/FyHUDkWHT8V6gGRU4DhDMxZu7xXij9Ui6jlpWmQCqJg3FkOTq3WKneCRYZxBXMNAVLQgHXSCGSqNdjebY94oyIpVjMYehAiFx/tqzBXFHZaL5PeeD74rW5OysFoUXY8sebUZleFTUa/+zBKVTFDopTReXNuZq47QjkWnxjirCommO4L/GrFtVV21EpMyw8wyThL5Y59d88xtlx1g1ttSICDwnof6lt/6zliPzgVUL8jWBjC0o2D6Kg+jNuThkAlaDJsq/AG2aKA//A76avw2KNqtv223P+Wq3StRDDNKFFgtsFukYt1GFDWooFVXitaNhb3RCyJi4cMeNjROiPEDb4k+G3+hD8tsg+5hhmSc/8t2JTSwYoCzAI75doq8QTHe+E/Tw0RQSUDlU+6uBeNN3h6jJGX/mH8oj0i3caCNsjvTnoh73BtyZpsflHLq6AfwJNCDX4S98h4+pCOhGKDhV3rtkKHMa3EG4J9y8zFWI4UsfNzC/Rl5midNn7gwoN9j23HGCQQ+OAZpTTPMdiVow740gIyuEtd0qVxMyNXhHcnuXRKdw5wDUSL358ktjMXmAkvIB73BLa1vfF9BAUZInPYJiwxqFWQQBVk7gQH4ojfUQ/KEjn+A/WR6EEe4CtbpoLe1mzHkajgTIoE0SLDHVauKhrq12zrAXBGbPPWKCt4DGedq3JyGRbmPFW32bE7T20+73BatV/qQhhBWfWBFHfhYWXjALts38FemnoT+9bn1jDBMcUMmYgSc0e7GQjv2MUBwLU8ionCpgV+Qrhg7iUIfUY6JFxR0Y+ZTCPM+rVuq0GNLyJXX6nrUTt8HzFBRY1E/FIm2EeVA9NcXrj7S6YYIChVQCWr/m2fYUjC4j0XLkzZ8GCSLfmkW3PB/xq+nlXsKVBOj7vTvqKCOMq7Ztqr3cQ+N8gBnPaAps+oGwWOkbuxnRYj/x/WjiDclVrs22xMK4qArE1Ztk1456kiJriw6abkNeRHogaPRBgbgF9Z8i/tbzWELN4CvbqtrqV9TtGSnmPS2F9kqOIBaazHYaJ9bi3AoDBvlZasMluxt0BDXfhp02Jn411aVt6S4TUB8ZgFDkI6TP6gwPY85w+oUQSsjIeXVminrwIdK2ZAawb8Se6XOJbOaliQxHSrnAeONDLuCnFejIbp4YDtBcQCwMsYiRZfHefuEJqJcwKTTJ8sx5hjHmJI1sPFHOr6W9AhZ2NAod38mnLQk1gOz2LCAohoQbgMbUK9RMEA3LkiF7Sr9tLZp6lkciIGhE2V546w3Mam53VtVkGbB9w0Yk2XiRnCmbpxmHr2k4eSC0RuNbjNsUfDIfc8DZvRvgUDe1IlKdZTzcT4ZGEb53dp8VtsoZlyXzLHOdAbsp1LPTVaHvLA0GYDFMbAW/WUBfUAdHwqLFAV+3uHvYWrCfhUOR2i89qvCBoOb48usAGdcF2M4aKn79k/43WzBZ+xR1L0uZfia70XP9soQReeuhZiUnXFDG1T8/OXNmssTSnYO+3kVLAgeiY719uDwL9FQycgLPessNihMZbAKG7qwPZyG11G1+ZA3jAX2yddpYfmaKBlmfcK/V0mwIRUDC0nJSOPUl2KB8h13F4dlVZiRhdGY5farwN+f9hEb1cRi41ZcGDn6Xe9MMSTOY81ULJyXIHSWFIQHstVYLiJEiUjktlHiGjntN5/btB8Fu+vp28zl2fZXN+dJDyN6EXhS+0yzqpl/LSJNEUVxmu7BsNdjAY0jVsAhkNuuY0E1G48ej25mSt+00yPbQ4SRCVkIwb6ISvYtmJRPz9Zt5dk76blf+lJwAPH5KDF+vHAmACLoCdG2Adii6dOHnNJnTmZtoOGO8Q1jy1veMw6gbLFToQmfJa7nT7Al89mRbRkZZQxJTKgK5Kc9INzmTJFp0tpAPzNmyL/F08bX3nhCumM/cR/2RPn9emZ3VljokttZD1zVWXlUIqEU7SLk5I0lFRU0AcENXBYazNaVzsVHA/sD3o9hm42wbHIRb/BBQTKzAi8s3+bMtpOOZgLdQzCYPfX3UUxKd1WYVkGH7lh/RBBgMZZwXzU9+GYxdBqlGs0LP+DZ5g2BWNh6FAcR944B+K/JTWI3t9YyVyRhlP4CCoUk/mmF7+r2pilVBjxXBHFaBfBtr9hbVn2zDuI0kEOG3kBx8CGdPOjX1ph1POOZJUO1JEGG0jzUy2tK4X0CgVNYhmkqqQysRNtKuPdCJqK3WW57kaV17vXgiyPrl4KEEWgiGF1euI4QkSFHFf0TDroQiLNKJiLbdhH0YBhriRNCHPxSqJmNNoketaioohqMglh6wLtEGWSM1EZbQg72h0UJAIPVFCAJOThpQGGdKfFovcwEeiBuZHN2Ob4uVM7+gwZLz1D9E7ta4RmMZ24OBBAg7Eh6dLXGofZ4U2TFOCQMKjwhVckjrydRS+YaqCw1kYt6UexuzbNEDyYLTZnrY1PzsHZJT4U+awO2xlqTSYu6n/U29O2wPXgGOEKDMSq+zTUtyc8+6iLp0ivav4FKx+xxVy4FxhIF/pucVDqpsVe2jFOfdZhTzLz2QjtzvsTCvDPU7bzDH2eXVKUV9TZ+qFtaSSxnYgYdXKwVreIgvWhT9eGDB2OvnWyPLfIIIfNnfIxU8nW7MbcH05nhlsYtaW9EZRsxWcKdEqInq1DiZPKCz7iGmAU9/ccnnQud2pNgIGFYOTAWjhIrd63aPDgfj8/sdlD4l+UTlcxTI9jbaMqqN0gQxSHs60IAcW3cH4p3V1aSciTKB29L1tz2eUQhRiTgTvmqc+sGtBNh4ky0mQJGsdycBREP+fAaSs1EREDVo5gvgi5+aCN7NECw30owbCc1mSpjiahyNVwJd1jiGgzSwfTpzf2c5XJvG/g1n0fH88KHNnf+u7ZiRMlXueSIsloJBUtW9ezvsx9grfsX/FNxnbxU1Lvg0hLxixypHKGFAaPu0xCD8oDTeFSyfRT6s8109GMUZL8m2xXp8X2dpPCWWdX84iga4BrTlOfqox4shqEgh/Ht4qRst52cA1xOIUuOxgfUivp6v5f8IVyaryEdpVk72ERAwdT4aoY1usBgmP+0m06Q216H/nubtNYxHaOIYjcach3A8Ez/zc0KcShhel0HCYjFsA0FjYqyJ5ZUH1aZw3+zWC0hLpM6GDfcAdn9fq2orPmZbW6XXrf+Krc9RtvII5jeD3dFoT1KwZJwxfUMvc5KLfn8rROW23Jw89sJ2a5dpB3qWDUBWF2iX8OCuKprHosJ2mflBR+Wqs86VvgI/XMnsqb97+VlKdPVysczPj8Jhzf+WCvGBHijAqYlavbF60soMWlHbvKT+ScvhprgeTln51xX0sF+Eadc/l2s2a5BgkVbHYyz0E85p0LstqH+gEGiR84nBRRFIn8hLSZrGwqjZ3E29cuGi+5Z5bp7EM8MWFa9ssS/vy4VrDfECSv7DSU84DaP0sXI3Ap4lWznQ65nQoTKRWU30gd7Nn8ZowUvGIx4aqyXGwmA/PB4qN8msJUODezUHEl0VP9uo+cZ8vPFodSIB4C7lQYjEFj8yu49C2KIV3qxMFYTevG8KqAr0TPlkbzHHnTpDpvpzziAiNFh8xiT7C/TiyH0EguUw4vxAgpnE27WIypV+uFN2zW7xniF/n75trs9IJ5amB1zXXZ1LFkJ6GbS/dFokzl4cc2mamVwhL4XU0Av5gDWAl+aEWhAP7t2VIwU+EpvfOPDcLASX7H7lZpXA2XQfbSlD4qU18NffNPoAKMNSccBfO9YVVgmlW4RydBqfHAV7+hrZ84WJGho6bNT0YMhxxLdOx/dwGj0oyak9aAkNJ8lRJzUuA8sR+fPyiyTgUHio5+Pp+YaKlHrhR41jY5NESPS3x+zTMe0S2HnLOKCOQPpdxKyviBvdHrCDRqO+l96HhhNBLXWv4yEMuEUYo8kXnYJM8oIgVM4XJ+xXOev4YbWeqsvgq0lmw4/PiYr9sYLt+W5EAuYSFnJEan8CwJwbtASBfLBBpJZiRPor/aCJBZsM+MhvS7ZepyHvU8m5WSmaZnxuLts8ojl6KkS8oSAHkq5GWlCB/NgJ5W3rO2Cj1MK7ahxsCrbTT3a0V/QQH+sErxV4XUWDHx0kkFy25bPmBMBQ6BU3HoHhhYcJB9JhP6NXUWKxnE0raXHB6U9KHpWdQCQI72qevp5fMzcm+AvC85rsynVQhruDA9fp9COe7N56cg1UKGSas89vrN+WlGLYTwi5W+0xYdKEGtGCeNJwXKDU0XqU5uQYnWsMwTENLGtbQMvoGjIFIEMzCRal4rnBAg7D/CSn8MsCvS+FDJJAzoiioJEhZJgAp9n2+1Yznr7H+6eT4YkJ9Mpj60ImcW4i4iHDLn9RydB8dx3QYm3rsX6n4VRrZDsYK6DCGwkwd5n3/INFEpk16fYpP6JtMQpqEMzcOfQGAHXBTEGzuLJ03GYQL9bmV2/7ExDlRf+Uvf1sM2frRtCWmal12pMgtonvSCtR4n1CLUZRdTHDHP1Otwqd+rcdlavnKjUB/OYXQHUJzpNyFoKpQK+2OgrEKpGyIgIBgn2y9QHnTJihZOpEvOKIoHAMGAXHmj21Lym39Mbiow4IF+77xNuewziNVBxr6KD5e+9HzZSBIlUa/AmsDFJFXeyrQakR3FwowTGcADJHcEfhGkXYNGSYo4dh4bxwLM+28xjiqkdn0/3R4UEkvcBrBfn/SzBc1XhKM2VPlJgKSorjDac96V2UnQYXl1/yZPT4DVelgO+soMjexXwYO58VLl5xInQUZI8jc3H2CPnCNb9X05nOxIy4MlecasTqGK6s2az4RjpF2cQP2G28R+7wDPsZDZC/kWtjdoHC7SpdPmqQrUAhMwKVuxCmYTiD9q/O7GHtZvPSN0CAUQN/rymXZNniYLlJDE70bsk6Xxsh4kDOdxe7A2wo7P9F5YvqqRDI6brf79yPCSp4I0jVoO4YnLYtX5nzspR5WB4AKOYtR1ujXbOQpPyYDvfRE3FN5zw0i7reehdi7yV0YDRKRllGCGRk5Yz+Uv1fYl2ZwrnGsqsjgAVo0xEUba8ohjaNMJNwTwZA/wBDWFSCpg1eUH8MYL2zdioxRTqgGQrDZxQyNzyBJPXZF0+oxITJAbj7oNC5JwgDMUJaM5GqlGCWc//KCIrI+aclEe4IA0uzv7cuj6GCdaJONpi13O544vbtIHBF+A+JeDFUQNy61Gki3rtyQ4aUywn6ru314/dkGiP8Iwjo0J/2Txs49ZkwEl4mx+iYUUO55I6pJzU4P+7RRs+DXZkyKUYZqVWrPF4I94m4Wx1tXeE74o9GuX977yvJ/jkdak8+AmoHVjI15V+WwBdARFV2IPirJgVMdsg1Pez2VNHqa7EHWdTkl3XTcyjG9BiueWFvQfXI8aWSkuuRmqi/HUuzqyvLJfNfs0txMqldYYflWB1BS31WkuPJGGwXUCpjiQSktkuBMWwHjSkQxeehqw1Kgz0Trzm7QbtgxiEPDVmWCNCAeCfROTphd1ZNOhzLy6XfJyG6Xgd5MCAZw4xie0Sj5AnY1/akDgNS9YFl3Y06vd6FAsg2gVQJtzG7LVq1OH2frbXNHWH/NY89NNZ4QUSJqL2yEcGADbT38X0bGdukqYlSoliKOcsSTuqhcaemUeYLLoI8+MZor2RxXTRThF1LrHfqf/5LcLAjdl4EERgUysYS2geE+yFdasU91UgUDsc2cSQ1ZoT9+uLOwdgAmifwQqF028INc2IQEDfTmUw3eZxvz7Ud1z3xc1PQfeCvfKsB9jOhRj7rFyb9XcDWLcYj0bByosychMezMLVkFiYcdBBQtvI6K0KRuOZQH2kBsYHJaXTkup8F0eIhO1/GcIwWKpr2mouB7g5TUDJNvORXPXa/mU8bh27TAZYBe2sKx4NSv5OjnHIWD2RuysCzBlUfeNXhDd2jxnHoUlheJ3jBApzURy0fwm2FwwsSU0caQGl0Kv8hopRQE211NnvtLRsmCNrhhpEDoNiZEzD2QdJWKbRRWnaFedXHAELSN0t0bfsCsMf0ktfBoXBoNA+nZN9+pSlmuzspFevmsqqcMllzzvkyXrzoA+Ryo1ePXpdGOoJvhyru+EBRsmOp7MXZ0vNUMUqHLUoKglg1p73sWeZmPc+KAw0pE2zIsFFE5H4192KwDvDxdxEYoDBDNZjbg2bmADTeUKK57IPD4fTYF4c6EnXx/teYMORBDtIhPJneiZny7Nv/zG+YmekIKCoxr6kauE2bZtBLufetNG0BtBY7f+/ImUypMBvdWu/Q7vTMRzw5aQGZWuc1V0HEsItFYMIBnoKGZ0xcarba/TYZq50kCaflFysYjA4EDKHqGdpYWdKYmm+a7TADmW35yfnOYpZYrkpVEtiqF0EujI00aeplNs2k+qyFZNeE3CDPL9P6b4PQ/kataHkVpLSEVGK7EX6rAa7IVNrvZtFvOA6okKvBgMtFDAGZOx88MeBcJ8AR3AgUUeIznAN6tjCUipGDZONm1FjWJp4A3QIzSaIOmZ7DvF/ysYYbM/fFDOV0jntAjRdapxJxL0eThpEhKOjCDDq2ks+3GrwxqIFKLe1WdOzII8XIOPGnwy6LKXVfpSDOTEfaRsGujhpS4hBIsMOqHbl16PJxc4EkaVu9wpEYlF/84NSv5Zum4drMfp9yXbzzAOJqqS4YkI4cBrFrC7bMPiCfgI3nNZAqkk3QOZqR+yyqx+nDQKBBBZ7QKrfGMCL+XpqFaBJU0wpkBdAhbR4hJsmT5aynlvkouoxm/NjD5oe6BzVIO9uktM+/5dEC5P7vZvarmuO/lKXz4sBabVPIATuKTrwbJP8XUkdM6uEctHKXICUJGjaZIWRbZp8czquQYfY6ynBUCfIU+gG6wqSIBmYIm9pZpXdaL121V7q0VjDjmQnXvMe7ysoEZnZL15B0SpxS1jjd83uNIOKZwu5MPzg2NhOx3xMOPYwEn2CUzbSrwAs5OAtrz3GAaUkJOU74XwjaYUmGJdZBS1NJVkGYrToINLKDjxcuIlyfVsKQSG/G4DyiO2SlQvJ0d0Ot1uOG5IFSAkq+PRVMgVMDvOIJMdqjeCFKUGRWBW9wigYvcbU7CQL/7meF2KZAaWl+4y9uhowAX7elogAvItAAxo2+SFxGRsHGEW9BnhlTuWigYxRcnVUBRQHV41LV+Fr5CJYV7sHfeywswx4XMtUx6EkBhR+q8AXXUA8uPJ73Pb49i9KG9fOljvXeyFj9ixgbo6CcbAJ7WHWqKHy/h+YjBwp6VcN7M89FGzQ04qbrQtgrOFybg3gQRTYG5xn73ArkfQWjCJROwy3J38Dx/D7jOa6BBNsitEw1wGq780EEioOeD+ZGp2J66ADiVGMayiHYucMk8nTK2zzT9CnEraAk95kQjy4k0GRElLL5YAKLQErJ5rp1eay9O4Fb6yJGm9U4FaMwPGxtKD6odIIHKoWnhKo1U8KIpFC+MVn59ZXmc7ZTBZfsg6FQ8W10YfTr4u0nYrpHZbZ1jXiLmooF0cOm0+mPnJBXQtepc7n0BqOipNCqI6yyloTeRShNKH04FIo0gcMk0H/xThyN4pPAWjDDkEp3lNNPRNVfpMI44CWRlRgViP64eK0JSRp0WUvCWYumlW/c58Vcz/yMwVcW5oYb9+26TEhwvbxiNg48hl1VI1UXTU//Eta+BMKnGUivctfL5wINDD0giQL1ipt6U7C9cd4+lgqY2lMUZ02Uv6Prs+ZEZer7ZfWBXVghlfOOrClwsoOFKzWEfz6RZu1eCs+K8fLvkts5+BX0gyrFYve0C3qHrn5U/Oh6D/CihmWIrY7HUZRhJaxde+tldu6adYJ+LeXupQw0XExC36RETdNFxcq9glMu4cNQSX9cqR/GQYp+IxUkIcNGWVU7ZtGa6P3XAyodRt0XeS3Tp01AnCh0ZbUh4VrSZeV9RWfSoWyxnY3hzcZ30G/InDq4wxRrEejreBxnhIQbkxenxkaxl+k7eLUQkUR6vKJ2iDFNGX3WmVA1yaOH+mvhBd+sE6vacQzFobwY5BqEAFmejwW5ne7HtVNolOUgJc8CsUxmc/LBi8N5mu9VsIA5HyErnS6zeCz7VLI9+n/hbT6hTokMXTVyXJRKSG2hd2labXTbtmK4fNH3IZBPreSA4FMeVouVN3zG5x9CiGpLw/3pceo4qGqp+rVp+z+7yQ98oEf+nyH4F3+J9IheDBa94Wi63zJbLBCIZm7P0asHGpIJt3PzE3m0S4YIWyXBCVXGikj8MudDPB/6Nm2v4IxJ5gU0ii0guy5SUHqGUYzTP0jIJU5E82RHUXtX4lDdrihBLdP1YaG1AGUC12rQKuIaGvCpMjZC9bWSCYnjDlvpWbkdXMTNeBHLKiuoozMGIvkczmP0aRJSJ8PYnLCVNhKHXBNckH79e8Z8Kc2wUej4sQZoH8qDRGkg86maW/ZQWGNnLcXmq3FlXM6ssR/3P6E/bHMvm6HLrv1yRixit25JsH3/IOr2UV4BWJhxXW5BJ6Xdr07n9kF3ZNAk6/Xpc5MSFmYJ2R7bdL8Kk7q1OU9Elg/tCxJ8giT27wSTySF0GOxg4PbYJdi/Nyia9Nn89CGDulfJemm1aiEr/eleGSN+5MRrVJ4K6lgyTTIW3i9cQ0dAi6FHt0YMbH3wDSAtGLSAccezzxHitt1QdhW36CQgPcA8vIIBh3/JNjf/Obmc2yzpk8edSlS4lVdwgW5vzbYEyFoF4GCBBby1keVNueHAH+evi+H7oOVfS3XuPQSNTXOONAbzJeSb5stwdQHl1ZjrGoE49I8+A9j3t+ahhQj74FCSWpZrj7wRSFJJnnwi1T9HL5qrCFW/JZq6P62XkMWTb+u4lGpKfmmwiJWx178GOG7KbrZGqyWwmuyKWPkNswkZ1q8uptUlviIi+AXh2bOOTOLsrtNkfqbQJeh24reebkINLkjut5r4d9GR/r8CBa9SU0UQhsnZp5cP+RqWCixRm7i4YRFbtZ4EAkhtNa6jHb6gPYQv7MKqkPLRmX3dFsK8XsRLVZ6IEVrCbmNDc8o5mqsogjAQfoC9Bc7R6gfw03m+lQpv6kTfhxscDIX6s0w+fBxtkhjXAXr10UouWCx3C/p/FYwJRS/AXRKkjOb5CLmK4XRe0+xeDDwVkJPZau52bzLEDHCqV0f44pPgKOkYKgTZJ33fmk3Tu8SdxJ02SHM8Fem5SMsWqRyi2F1ynfRJszcFKykdWlNqgDA/L9lKYBmc7Zu/q9ii1FPF47VJkqhirUob53zoiJtVVRVwMR34gV9iqcBaHbRu9kkvqk3yMpfRFG49pKKjIiq7h/VpRwPGTHoY4cg05X5028iHsLvUW/uz+kjPyIEhhcKUwCkJAwbR9pIEGOn8z6svAO8i89sJ3dL5qDWFYbS+HGPRMxYwJItFQN86YESeJQhn2urGiLRffQeLptDl8dAgb+Tp47UQPxWOw17OeChLN1WnzlkPL1T5O+O3Menpn4C3IY5LEepHpnPeZHbvuWfeVtPlkH4LZjPbBrkJT3NoRJzBt86CO0Xq59oQ+8dsm0ymRcmQyn8w71mhmcuEI5byuF+C88VPYly2sEzjlzAQ3vdn/1+Hzguw6qFNNbqenhZGbdiG6RwZaTG7jTA2X9RdXjDN9yj1uQpyO4Lx8KRAcZcbZMafp4wPOd5MdXoFY52V1A8M9hi3sso93+uprE0qYNMjkE22CvK4HuUxqN7oIz5pWuETq1lQAjqlSlqdD2Rnr/ggp/TVkQYjn9lMfYelk2sH5HPdopYo7MHwlV1or9Bxf+QCyLzm92vzG2wjiIjC/ZHEJzeroJl6bdFPTpZho5MV2U86fLQqxNlGIMqCGy+9WYhJ8ob1r0+Whxde9L2PdysETv97O+xVw+VNN1TZSQN5I6l9m5Ip6pLIqLm4a1B1ffH6gHyqT9p82NOjntRWGIofO3bJz5GhkvSWbsXueTAMaJDou99kGLqDlhwBZNEQ4mKPuDvVwSK4WmLluHyhA97pZiVe8g+JxmnJF8IkV/tCs4Jq/HgOoAEGR9tCDsDbDmi3OviUQpG5D8XmKcSAUaFLRXb2lmJTNYdhtYyfjBYZQmN5qT5CNuaD3BVnlkCk7bsMW3AtXkNMMTuW4HjUERSJnVQ0vsBGa1wo3Qh7115XGeTF3NTz8w0440AgU7c3bSXO/KMINaIWXd0oLpoq/0/QJxCQSJ9XnYy1W7TYLBJpHsVWD1ahsA7FjNvRd6mxCiHsm8g6Z0pnzqIpF1dHUtP2ITU5Z1hZHbu+L3BEEStBbL9XYvGfEakv1bmf+bOZGnoiuHEdlBnaChxYKNzB23b8sw8YyT7Ajxfk49eJIAvdbVkdFCe2J0gMefhQ0bIZxhx3fzMIysQNiN8PgOUKxOMur10LduigREDRMZyP4oGWrP1GFY4t6groASsZ421os48wAdnrbovNhLt7ScNULkwZ5AIZJTrbaKYTLjA1oJ3sIuN/aYocm/9uoQHEIlacF1s/TM1fLcPTL38O9fOsjMEIwoPKfvt7opuI9G2Hf/PR4aCLDQ7wNmIdEuXJ/QNL72k5q4NejAldPfe3UVVqzkys8YZ/jYOGOp6c+YzRCrCuq0M11y7TiN6qk7YXRMn/gukxrEimbMQjr3jwRM6dKVZ4RUfWQr8noPXLJq6yh5R3EH1IVOHESst/LItbG2D2vRsZRkAObzvQAAD3mb3/G4NzopI0FAiHfbpq0X72adg6SRj+8OHMShtFxxLZlf/nLgRLbClwl5WmaYSs+yEjkq48tY7Z2bE0N91mJwt+ua0NlRJIDh0HikF4UvSVorFj2YVu9YeS5tfvlVjPSoNu/Zu6dEUfBOT555hahBdN3Sa5Xuj2Rvau1lQNIaC944y0RWj9UiNDskAK1WoL+EfXcC6IbBXFRyVfX/WKXxPAwUyIAGW8ggZ08hcijKTt1YKnUO6QPvcrmDVAb0FCLIXn5id4fD/Jx4tw/gbXs7WF9b2RgXtPhLBG9vF5FEkdHAKrQHZAJC/HWvk7nvzzDzIXZlfFTJoC3JpGgLPBY7SQTjGlUvG577yNutZ1hTfs9/1nkSXK9zzKLRZ3VODeKUovJe0WCq1zVMYxCJMenmNzPIU2S8TA4E7wWmbNkxq9rI2dd6v0VpcAPVMxnDsvWTWFayyqvKZO7Z08a62i/oH2/jxf8rpmfO64in3FLiL1GX8IGtVE9M23yGsIqJbxDTy+LtaMWDaPqkymb5VrQdzOvqldeU0SUi6IirG8UZ3jcpRbwHa1C0Dww9G/SFX3gPvTJQE+kyz+g1BeMILKKO+olcHzctOWgzxYHnOD7dpCRtuZEXACjgqesZMasoPgnuDC4nUviAAxDc5pngjoAITIkvhKwg5d608pdrZcA+qn5TMT6Uo/QzBaOxBCLTJX3Mgk85rMfsnWx86oLxf7p2PX5ONqieTa/qM3tPw4ZXvlAp83NSD8F7+ZgctK1TpoYwtiU2h02HCGioH5tkVCqNVTMH5p00sRy2JU1qyDBP2CII/Dg4WDsIl+zgeX7589srx6YORRQMBfKbodbB743Tl4WLKOEnwWUVBsm94SOlCracU72MSyj068wdpYjyz1FwC2bjQnxnB6Mp/pZ+yyZXtguEaYB+kqhjQ6UUmwSFazOb+rhYjLaoiM+aN9/8KKn0zaCTFpN9eKwWy7/u4EHzO46TdFSNjMfn2iPSJwDPCFHc0I1+vjdAZw5ZjqR/uzi9Zn20oAa5JnLEk/EA3VRWE7J/XrupfFJPtCUuqHPpnlL7ISJtRpSVcB8qsZCm2QEkWoROtCKKxUh3yEcMbWYJwk6DlEBG0bZP6eg06FL3v6RPb7odGuwm7FN8fG4woqtB8e7M5klPpo97GoObNwt+ludTAmxyC5hmcFx+dIvEZKI6igFKHqLH01iY1o7903VzG9QGetyVx5RNmBYUU+zIuSva/yIcECUi4pRmE3VkF2avqulQEUY4yZ/wmNboBzPmAPey3+dSYtBZUjeWWT0pPwCz4Vozxp9xeClIU60qvEFMQCaPvPaA70WlOP9f/ey39macvpGCVa+zfa8gO44wbxpJUlC8GN/pRMTQtzY8Z8/hiNrU+Zq64ZfFGIkdj7m7abcK1EBtws1X4J/hnqvasPvvDSDYWN+QcQVGMqXalkDtTad5rYY0TIR1Eqox3czwPMjKPvF5sFv17Thujr1IZ1Ytl4VX1J0vjXKmLY4lmXipRAro0qVGEcXxEVMMEl54jQMd4J7RjgomU0j1ptjyxY+cLiSyXPfiEcIS2lWDK3ISAy6UZ3Hb5vnPncA94411jcy75ay6B6DSTzK6UTCZR9uDANtPBrvIDgjsfarMiwoax2OlLxaSoYn4iRgkpEGqEkwox5tyI8aKkLlfZ12lO11TxsqRMY89j5JaO55XfPJPDL1LGSnC88Re9Ai+Nu5bZjtwRrvFITUFHPR4ZmxGslQMecgbZO7nHk32qHxYkdvWpup07ojcMCaVrpFAyFZJJbNvBpZfdf39Hdo2kPtT7v0/f8R/B5Nz4f1t9/3zNM/7n6SUHfcWk5dfQFJvcJMgPolGCpOFb/WC0FGWU2asuQyT+rm88ZKZ78Cei/CAh939CH0JYbpZIPtxc2ufXqjS3pHH9lnWK4iJ7OjR/EESpCo2R3MYKyE7rHfhTvWho4cL1QdN4jFTyR6syMwFm124TVDDRXMNveI1Dp/ntwdz8k8kxw7iFSx6+Yx6O+1LzMVrN0BBzziZi9kneZSzgollBnVwBh6oSOPHXrglrOj+QmR/AESrhDpKrWT+8/AiMDxS/5wwRNuGQPLlJ9ovomhJWn8sMLVItQ8N/7IXvtD8kdOoHaw+vBSbFImQsv/OCAIui99E+YSIOMlMvBXkAt+NAZK8wB9Jf8CPtB+TOUOR+z71d/AFXpPBT6+A5FLjxMjLIEoJzrQfquvxEIi+WoUzGR1IzQFNvbYOnxb2PyQ0kGdyXKzW2axQL8lNAXPk6NEjqrRD1oZtKLlFoofrXw0dCNWASHzy+7PSzOUJ3XtaPZsxLDjr+o41fKuKWNmjiZtfkOzItvlV2MDGSheGF0ma04qE3TUEfqJMrXFm7DpK+27DSvCUVf7rbNoljPhha5W7KBqVq0ShUSTbRmuqPtQreVWH4JET5yMhuqMoSd4r/N8sDmeQiQQvi1tcZv7Moc7dT5X5AtCD6kNEGZOzVcNYlpX4AbTsLgSYYliiPyVoniuYYySxsBy5cgb3pD+EK0Gpb0wJg031dPgaL8JZt6sIvzNPEHfVPOjXmaXj4bd4voXzpZ5GApMhILgMbCEWZ2zwgdeQgjNHLbPIt+KqxRwWPLTN6HwZ0Ouijj4UF+Sg0Au8XuIKW0WxlexdrFrDcZJ8Shauat3X0XmHygqgL1nAu2hrJFb4wZXkcS+i36KMyU1yFvYv23bQUJi/3yQpqr/naUOoiEWOxckyq/gq43dFou1DVDaYMZK9tho7+IXXokBCs5GRfOcBK7g3A+jXQ39K4YA8PBRW4m5+yR0ZAxWJncjRVbITvIAPHYRt1EJ3YLiUbqIvoKHtzHKtUy1ddRUQ0AUO41vonZDUOW+mrszw+SW/6Q/IUgNpcXFjkM7F4CSSQ2ExZg85otsMs7kqsQD4OxYeBNDcSpifjMoLb7GEbGWTwasVObmB/bfPcUlq0wYhXCYEDWRW02TP5bBrYsKTGWjnWDDJ1F7zWai0zW/2XsCuvBQjPFcTYaQX3tSXRSm8hsAoDdjArK/OFp6vcWYOE7lizP0Yc+8p16i7/NiXIiiQTp7c7Xus925VEtlKAjUdFhyaiLT7VxDagprMFwix4wZ05u0qj7cDWFd0W9OYHIu3JbJKMXRJ1aYNovugg+QqRN7fNHSi26VSgBpn+JfMuPo3aeqPWik/wI5Rz3BWarPQX4i5+dM0npwVOsX+KsOhC7vDg+OJsz4Q5zlnIeflUWL6QYMbf9WDfLmosLF4Qev3mJiOuHjoor/dMeBpA9iKDkMjYBNbRo414HCxjsHrB4EXNbHzNMDHCLuNBG6Sf+J4MZ/ElVsDSLxjIiGsTPhw8BPjxbfQtskj+dyNMKOOcUYIRBEIqbazz3lmjlRQhplxq673VklMMY6597vu+d89ec/zq7Mi4gQvh87ehYbpOuZEXj5g/Q7S7BFDAAB9DzG35SC853xtWVcnZQoH54jeOqYLR9NDuwxsVthTV7V99n/B7HSbAytbEyVTz/5NhJ8gGIjG0E5j3griULUd5Rg7tQR+90hJgNQKQH2btbSfPcaTOfIexc1db1BxUOhM1vWCpLaYuKr3FdNTt/T3PWCpEUWDKEtzYrjpzlL/wri3MITKsFvtF8QVV/NhVo97aKIBgdliNc10dWdXVDpVtsNn+2UIolrgqdWA4EY8so0YvB4a+aLzMXiMAuOHQrXY0tr+CL10JbvZzgjJJuB1cRkdT7DUqTvnswVUp5kkUSFVtIIFYK05+tQxT6992HHNWVhWxUsD1PkceIrlXuUVRogwmfdhyrf6zzaL8+c0L7GXMZOteAhAVQVwdJh+7nrX7x4LaIIfz2F2v7Dg/uDfz2Fa+4gFm2zHAor8UqimJG3VTJtZEoFXhnDYXvxMJFc6ku2bhbCxzij2z5UNuK0jmp1mnvkVNUfR+SEmj1Lr94Lym75PO7Fs0MIr3GdsWXRXSfgLTVY0FLqba97u1In8NAcY7IC6TjWLigwKEIm43NxTdaVTv9mcKkzuzBkKd8x/xt1p/9BbP7Wyb4bpo1K1gnOpbLvKz58pWl3B55RJ/Z5mRDLPtNQg14jdOEs9+h/V5UVpwrAI8kGbX8KPVPDIMfIqKDjJD9UyDOPhjZ3vFAyecwyq4akUE9mDOtJEK1hpDyi6Ae87sWAClXGTiwPwN7PXWwjxaR79ArHRIPeYKTunVW24sPr/3HPz2IwH8oKH4OlWEmt4BLM6W5g4kMcYbLwj2usodD1088stZA7VOsUSpEVl4w7NMb1EUHMRxAxLF0CIV+0L3iZb+ekB1vSDSFjAZ3hfLJf7gFaXrOKn+mhR+rWw/eTXIcAgl4HvFuBg1LOmOAwJH3eoVEjjwheKA4icbrQCmvAtpQ0mXG0agYp5mj4Rb6mdQ+RV4QBPbxMqh9C7o8nP0Wko2ocnCHeRGhN1XVyT2b9ACsL+6ylUy+yC3QEnaKRIJK91YtaoSrcWZMMwxuM0E9J68Z+YyjA0g8p1PfHAAIROy6Sa04VXOuT6A351FOWhKfTGsFJ3RTJGWYPoLk5FVK4OaYR9hkJvezwF9vQN1126r6isMGXWTqFW+3HL3I/jurlIdDWIVvYY+s6yq7lrFSPAGRdnU7PVwY/SvWbZGpXzy3BQ2LmAJlrONUsZs4oGkly0V267xbD5KMY8woNNsmWG1VVgLCra8aQBBcI4DP2BlNwxhiCtHlaz6OWFoCW0vMR3ErrG7JyMjTSCnvRcsEHgmPnwA6iNpJ2DrFb4gLlhKJyZGaWkA97H6FFdwEcLT6DRQQL++fOkVC4cYGW1TG/3iK5dShRSuiBulmihqgjR45Vi03o2RbQbP3sxt90VxQ6vzdlGfkXmmKmjOi080JSHkLntjvsBJnv7gKscOaTOkEaRQqAnCA4HWtB4XnMtOhpRmH2FH8tTXrIjAGNWEmudQLCkcVlGTQ965Kh0H6ixXbgImQP6b42B49sO5C8pc7iRlgyvSYvcnH9FgQ3azLbQG2cUW96SDojTQStxkOJyOuDGTHAnnWkz29aEwN9FT8EJ4yhXOg+jLTrCPKeEoJ9a7lDXOjEr8AgX4BmnMQ668oW0zYPyQiVMPxKRHtpfnEEyaKhdzNVThlxxDQNdrHeZiUFb6NoY2KwvSb7BnRcpJy+/g/zAYx3fYSN5QEaVD2Y1VsNWxB0BSO12MRsRY8JLfAezRMz5lURuLUnG1ToKk6Q30FughqWN6gBNcFxP/nY/iv+iaUQOa+2Nuym46wtI/DvSfzSp1jEi4SdYBE7YhTiVV5cX9gwboVDMVgZp5YBQlHOQvaDNfcCoCJuYhf5kz5kwiIKPjzgpcRJHPbOhJajeoeRL53cuMahhV8Z7IRr6M4hW0JzT7mzaMUzQpm866zwM7Cs07fJYXuWvjAMkbe5O6V4bu71sOG6JQ4oL8zIeXHheFVavzxmlIyBkgc9IZlEDplMPr8xlcyss4pVUdwK1e7CK2kTsSdq7g5SHRAl3pYUB9Ko4fsh4qleOyJv1z3KFSTSvwEcRO/Ew8ozEDYZSqpfoVW9uhJfYrNAXR0Z3VmeoAD+rVWtwP/13sE/3ICX3HhDG3CMc476dEEC0K3umSAD4j+ZQLVdFOsWL2C1TH5+4KiSWH+lMibo+B55hR3Gq40G1n25sGcN0mEcoU2wN9FCVyQLBhYOu9aHVLWjEKx2JIUZi5ySoHUAI9b8hGzaLMxCZDMLhv8MkcpTqEwz9KFDpCpqQhVmsGQN8m24wyB82FAKNmjgfKRsXRmsSESovAwXjBIoMKSG51p6Um8b3i7GISs7kjTq/PZoioCfJzfKdJTN0Q45kQEQuh9H88M3yEs3DbtRTKALraM0YC8laiMiOOe6ADmTcCiREeAWZelBaEXRaSuj2lx0xHaRYqF65O0Lo5OCFU18A8cMDE4MLYm9w2QSr9NgQAIcRxZsNpA7UJR0e71JL+VU+ISWFk5I97lra8uGg7GlQYhGd4Gc6rxsLFRiIeGO4abP4S4ekQ1fiqDCy87GZHd52fn5aaDGuvOmIofrzpVwMvtbreZ/855OaXTRcNiNE0wzGZSxbjg26v8ko8L537v/XCCWP2MFaArJpvnkep0pA+O86MWjRAZPQRfznZiSIaTppy6m3p6HrNSsY7fDtz7Cl4V/DJAjQDoyiL2uwf1UHVd2AIrzBUSlJaTj4k6NL97a/GqhWKU9RUmjnYKpm2r+JYUcrkCuZKvcYvrg8pDoUKQywY9GDWg03DUFSirlUXBS5SWn/KAntnf0IdHGL/7mwXqDG+LZYjbEdQmqUqq4y54TNmWUP7IgcAw5816YBzwiNIJiE9M4lPCzeI/FGBeYy3p6IAmH4AjXXmvQ4Iy0Y82NTobcAggT2Cdqz6Mx4TdGoq9fn2etrWKUNFyatAHydQTVUQ2S5OWVUlugcNvoUrlA8cJJz9MqOa/W3iVno4zDHfE7zhoY5f5lRTVZDhrQbR8LS4eRLz8iPMyBL6o4PiLlp89FjdokQLaSBmKHUwWp0na5fE3v9zny2YcDXG/jfI9sctulHRbdkI5a4GOPJx4oAJQzVZ/yYAado8KNZUdEFs9ZPiBsausotXMNebEgr0dyopuqfScFJ3ODNPHgclACPdccwv0YJGQdsN2lhoV4HVGBxcEUeUX/alr4nqpcc1CCR3vR7g40zteQg/JvWmFlUE4mAiTpHlYGrB7w+U2KdSwQz2QJKBe/5eiixWipmfP15AFWrK8Sh1GBBYLgzki1wTMhGQmagXqJ2+FuqJ8f0XzXCVJFHQdMAw8xco11HhM347alrAu+wmX3pDFABOvkC+WPX0Uhg1Z5MVHKNROxaR84YV3s12UcM+70cJ460SzEaKLyh472vOMD3XnaK7zxZcXlWqenEvcjmgGNR2OKbI1s8U+iwiW+HotHalp3e1MGDy6BMVIvajnAzkFHbeVsgjmJUkrP9OAwnEHYXVBqYx3q7LvXjoVR0mY8h+ZaOnh053pdsGkmbqhyryN01eVHySr+CkDYkSMeZ1xjPNVM+gVLTDKu2VGsMUJqWO4TwPDP0VOg2/8ITbAUaMGb4LjL7L+Pi11lEVMXTYIlAZ/QHmTENjyx3kDkBdfcvvQt6tKk6jYFM4EG5UXDTaF5+1ZjRz6W7MdJPC+wTkbDUim4p5QQH3b9kGk2Bkilyeur8Bc20wm5uJSBO95GfYDI1EZipoRaH7uVveneqz43tlTZGRQ4a7CNmMHgXyOQQOL6WQkgMUTQDT8vh21aSdz7ERiZT1jK9F+v6wgFvuEmGngSvIUR2CJkc5tx1QygfZnAruONobB1idCLB1FCfO7N1ZdRocT8/Wye+EnDiO9pzqIpnLDl4bkaRKW+ekBVwHn46Shw1X0tclt/0ROijuUB4kIInrVJU4buWf4YITJtjOJ6iKdr1u+flgQeFH70GxKjhdgt/MrwfB4K/sXczQ+9zYcrD4dhY6qZhZ010rrxggWA8JaZyg2pYij8ieYEg1aZJkZK9O1Re7sB0iouf60rK0Gd+AYlp7soqCBCDGwfKeUQhCBn0E0o0GS6PdmjLi0TtCYZeqazqwN+yNINIA8Lk3iPDnWUiIPLGNcHmZDxfeK0iAdxm/T7LnN+gemRL61hHIc0NCAZaiYJR+OHnLWSe8sLrK905B5eEJHNlWq4RmEXIaFTmo49f8w61+NwfEUyuJAwVqZCLFcyHBKAcIVj3sNzfEOXzVKIndxHw+AR93owhbCxUZf6Gs8cz6/1VdrFEPrv330+9s6BtMVPJ3zl/Uf9rUi0Z/opexfdL3ykF76e999GPfVv8fJv/Y/+/5hEMon1tqNFyVRevV9y9/uIvsG3dbB8GRRrgaEXfhx+2xeOFt+cEn3RZanNxdEe2+B6MHpNbrRE53PlDifPvFcp4kO78ILR0T4xyW/WGPyBsqGdoA7zJJCu1TKbGfhnqgnRbxbB2B3UZoeQ2bz2sTVnUwokTcTU21RxN1PYPS3Sar7T0eRIsyCNowr9amwoMU/od9s2APtiKNL6ENOlyKADstAEWKA+sdKDhrJ6BOhRJmZ+QJbAaZ3/5Fq0/lumCgEzGEbu3yi0Y4I4EgVAjqxh4HbuQn0GrRhOWyAfsglQJAVL1y/6yezS2k8RE2MstJLh92NOB3GCYgFXznF4d25qiP4ZCyI4RYGesut6FXK6GwPpKK8WHEkhYui0AyEmr5Ml3uBFtPFdnioI8RiCooa7Z1G1WuyIi3nSNglutc+xY8BkeW3JJXPK6jd2VIMpaSxpVtFq+R+ySK9J6WG5Qvt+C+QH1hyYUOVK7857nFmyDBYgZ/o+AnibzNVqyYCJQvyDXDTK+iXdkA71bY7TL3bvuLxLBQ8kbTvTEY9aqkQ3+MiLWbEgjLzOH+lXgco1ERgzd80rDCymlpaRQbOYnKG/ODoFl46lzT0cjM5FYVvv0qLUbD5lyJtMUaC1pFlTkNONx6lliaX9o0i/1vws5bNKn5OuENQEKmLlcP4o2ZmJjD4zzd3Fk32uQ4uRWkPSUqb4LBe3EXHdORNB2BWsws5daRnMfNVX7isPSb1hMQdAJi1/qmDMfRUlCU74pmnzjbXfL8PVG8NsW6IQM2Ne23iCPIpryJjYbVnm5hCvKpMa7HLViNiNc+xTfDIaKm3jctViD8A1M9YPJNk003VVr4Zo2MuGW8vil8SLaGpPXqG7I4DLdtl8a4Rbx1Lt4w5Huqaa1XzZBtj208EJVGcmKYEuaeN27zT9EE6a09JerXdEbpaNgNqYJdhP1NdqiPKsbDRUi86XvvNC7rME5mrSQtrzAZVndtSjCMqd8BmaeGR4l4YFULGRBeXIV9Y4yxLFdyoUNpiy2IhePSWzBofYPP0eIa2q5JP4j9G8at/AqoSsLAUuRXtvgsqX/zYwsE+of6oSDbUOo4RMJw+DOUTJq+hnqwKim9Yy/napyZNTc2rCq6V9jHtJbxGPDwlzWj/Sk3zF/BHOlT/fSjSq7FqlPI1q6J+ru8Aku008SFINXZfOfnZNOvGPMtEmn2gLPt+H4QLA+/SYe4j398auzhKIp2Pok3mPC5q1IN1HgR+mnEfc4NeeHYwd2/kpszR3cBn7ni9NbIqhtSWFW8xbUJuUPVOeeXu3j0IGZmFNiwaNZ6rH4/zQ2ODz6tFxRLsUYZu1bfd1uIvfQDt4YD/efKYv8VF8bHGDgK22w2Wqwpi43vNCOXFJZCGMqWiPbL8mil6tsmOTXAWCyMCw73e2rADZj2IK6rqksM3EXF2cbLb4vjB14wa/yXK5vwU+05MzERJ5nXsXsW21o7M+gO0js2OyKciP5uF2iXyb2DiptwQeHeqygkrNsqVCSlldxBMpwHi1vfc8RKpP/4L3Lmpq6DZcvhDDfxTCE3splacTcOtXdK2g303dIWBVe2wD/Gvja1cClFQ67gw0t1ZUttsUgQ1Veky8oOpS6ksYEc4bqseCbZy766SvL3FodmnahlWJRgVCNjPxhL/fk2wyvlKhITH/VQCipOI0dNcRa5B1M5HmOBjTLeZQJy237e2mobwmDyJNHePhdDmiknvLKaDbShL+Is1XTCJuLQd2wmdJL7+mKvs294whXQD+vtd88KKk0DXP8B1Xu9J+xo69VOuFgexgTrcvI6SyltuLix9OPuE6/iRJYoBMEXxU4shQMf4Fjqwf1PtnJ/wWSZd29rhZjRmTGgiGTAUQqRz+nCdjeMfYhsBD5Lv60KILWEvNEHfmsDs2L0A252351eUoYxAysVaCJVLdH9QFWAmqJDCODUcdoo12+gd6bW2boY0pBVHWL6LQDK5bYWh1V8vFvi0cRpfwv7cJiMX3AZNJuTddHehTIdU0YQ/sQ1dLoF2xQPcCuHKiuCWOY30DHe1OwcClLAhqAKyqlnIbH/8u9ScJpcS4kgp6HKDUdiOgRaRGSiUCRBjzI5gSksMZKqy7Sd51aeg0tgJ+x0TH9YH2Mgsap9N7ENZdEB0bey2DMTrBA1hn56SErNHf3tKtqyL9b6yXEP97/rc+jgD2N1LNUH6RM9AzP3kSipr06RkKOolR7HO768jjWiH1X92jA7dkg7gcNcjqsZCgfqWw0tPXdLg20cF6vnQypg7gLtkazrHAodyYfENPQZsdfnjMZiNu4nJO97D1/sQE+3vNFzrSDOKw+keLECYf7RJwVHeP/j79833oZ0egonYB2FlFE5qj02B/LVOMJQlsB8uNg3Leg4qtZwntsOSNidR0abbZmAK4sCzvt8Yiuz2yrNCJoH5O8XvX/vLeR/BBYTWj0sOPYM/jyxRd5+/JziKAABaPcw/34UA3aj/gLZxZgRCWN6m4m3demanNgsx0P237/Q+Ew5VYnJPkyCY0cIVHoFn2Ay/e7U4P19APbPFXEHX94N6KhEMPG7iwB3+I+O1jd5n6VSgHegxgaSawO6iQCYFgDsPSMsNOcUj4q3sF6KzGaH/0u5PQoAj/8zq6Uc9MoNrGqhYeb2jQo0WlGlXjxtanZLS24/OIN5Gx/2g684BPDQpwlqnkFcxpmP/osnOXrFuu4PqifouQH0eF5qCkvITQbJw/Zvy5mAHWC9oU+cTiYhJmSfKsCyt1cGVxisKu+NymEQIAyaCgud/V09qT3nk/9s/SWsYtha7yNpzBIMM40rCSGaJ9u6lEkl00vXBiEt7p9P5IBCiavynEOv7FgLqPdeqxRiCwuFVMolSIUBcoyfUC2e2FJSAUgYdVGFf0b0Kn2EZlK97yyxrT2MVgvtRikfdaAW8RwEEfN+B7/eK8bBdp7URpbqn1xcrC6d2UjdsKbzCjBFqkKkoZt7Mrhg6YagE7spkqj0jOrWM+UGQ0MUlG2evP1uE1p2xSv4dMK0dna6ENcNUF+xkaJ7B764NdxLCpuvhblltVRAf7vK5qPttJ/9RYFUUSGcLdibnz6mf7WkPO3MkUUhR2mAOuGv8IWw5XG1ZvoVMnjSAZe6T7WYA99GENxoHkMiKxHlCuK5Gd0INrISImHQrQmv6F4mqU/TTQ8nHMDzCRivKySQ8dqkpQgnUMnwIkaAuc6/FGq1hw3b2Sba398BhUwUZSAIO8XZvnuLdY2n6hOXws+gq9BHUKcKFA6kz6FDnpxLPICa3qGhnc97bo1FT/XJk48LrkHJ2CAtBv0RtN97N21plfpXHvZ8gMJb7Zc4cfI6MbPwsW7AilCSXMFIEUEmir8XLEklA0ztYbGpTTGqttp5hpFTTIqUyaAIqvMT9A/x+Ji5ejA4Bhxb/cl1pUdOD6epd3yilIdO6j297xInoiBPuEDW2/UfslDyhGkQs7Wy253bVnlT+SWg89zYIK/9KXFl5fe+jow2rd5FXv8zDPrmfMXiUPt9QBO/iK4QGbX5j/7Rx1c1vzsY8ONbP3lVIaPrhL4+1QrECTN3nyKavGG0gBBtHvTKhGoBHgMXHStFowN+HKrPriYu+OZ05Frn8okQrPaaxoKP1ULCS/cmKFN3gcH7HQlVjraCeQmtjg1pSQxeuqXiSKgLpxc/1OiZsU4+n4lz4hpahGyWBURLi4642n1gn9qz9bIsaCeEPJ0uJmenMWp2tJmIwLQ6VSgDYErOeBCfSj9P4G/vI7oIF+l/n5fp956QgxGvur77ynawAu3G9MdFbJbu49NZnWnnFcQHjxRuhUYvg1U/e84N4JTecciDAKb/KYIFXzloyuE1eYXf54MmhjTq7B/yBToDzzpx3tJCTo3HCmVPYfmtBRe3mPYEE/6RlTIxbf4fSOcaKFGk4gbaUWe44hVk9SZzhW80yfW5QWBHxmtUzvMhfVQli4gZTktIOZd9mjJ5hsbmzttaHQB29Am3dZkmx3g/qvYocyhZ2PXAWsNQiIaf+Q8W/MWPIK7/TjvCx5q2XRp4lVWydMc2wIQkhadDB0xsnw/kSEyGjLKjI4coVIwtubTF3E7MJ6LS6UOsJKj82XVAVPJJcepfewbzE91ivXZvOvYfsmMevwtPpfMzGmC7WJlyW2j0jh7AF1JLmwEJSKYwIvu6DHc3YnyLH9ZdIBnQ+nOVDRiP+REpqv++typYHIvoJyICGA40d8bR7HR2k7do6UQTHF4oriYeIQbxKe4Th6+/l1BjUtS9hqORh3MbgvYrStXTfSwaBOmAVQZzpYNqsAmQyjY56MUqty3c/xH6GuhNvNaG9vGbG6cPtBM8UA3e8r51D0AR9kozKuGGSMgLz3nAHxDNnc7GTwpLj7/6HeWp1iksDeTjwCLpxejuMtpMnGJgsiku1sOACwQ9ukzESiDRN77YNESxR5LphOlcASXA5uIts1LnBIcn1J7BLWs49DMALSnuz95gdOrTZr0u1SeYHinno/pE58xYoXbVO/S+FEMMs5qyWkMnp8Q3ClyTlZP52Y9nq7b8fITPuVXUk9ohG5EFHw4gAEcjFxfKb3xuAsEjx2z1wxNbSZMcgS9GKyW3R6KwJONgtA64LTyxWm8Bvudp0M1FdJPEGopM4Fvg7G/hsptkhCfHFegv4ENwxPeXmYhxwZy7js+BeM27t9ODBMynVCLJ7RWcBMteZJtvjOYHb5lOnCLYWNEMKC59BA7covu1cANa2PXL05iGdufOzkgFqqHBOrgQVUmLEc+Mkz4Rq8O6WkNr7atNkH4M8d+SD1t/tSzt3oFql+neVs+AwEI5JaBJaxARtY2Z4mKoUqxds4UpZ0sv3zIbNoo0J4fihldQTX3XNcuNcZmcrB5LTWMdzeRuAtBk3cZHYQF6gTi3PNuDJ0nmR+4LPLoHvxQIxRgJ9iNNXqf2SYJhcvCtJiVWo85TsyFOuq7EyBPJrAdhEgE0cTq16FQXhYPJFqSfiVn0IQnPOy0LbU4BeG94QjdYNB0CiQ3QaxQqD2ebSMiNjaVaw8WaM4Z5WnzcVDsr4eGweSLa2DE3BWViaxhZFIcSTjgxNCAfelg+hznVOYoe5VqTYs1g7WtfTm3e4/WduC6p+qqAM8H4ZyrJCGpewThTDPe6H7CzX/zQ8Tm+r65HeZn+MsmxUciEWPlAVaK/VBaQBWfoG/aRL/jSZIQfep/89GjasWmbaWzeEZ2R1FOjvyJT37O9B8046SRSKVEnXWlBqbkb5XCS3qFeuE9xb9+frEknxWB5h1D/hruz2iVDEAS7+qkEz5Ot5agHJc7WCdY94Ws61sURcX5nG8UELGBAHZ3i+3VulAyT0nKNNz4K2LBHBWJcTBX1wzf+//u/j/9+//v87+9/l9Lbh/L/uyNYiTsWV2LwsjaA6MxTuzFMqmxW8Jw/+IppdX8t/Clgi1rI1SN0UC/r6tX/4lUc2VV1OQReSeCsjUpKZchw4XUcjHfw6ryCV3R8s6VXm67vp4n+lcPV9gJwmbKQEsmrJi9c2vkwrm8HFbVYNTaRGq8D91t9n5+U+aD/hNtN3HjC/nC/vUoGFSCkXP+NlRcmLUqLbiUBl4LYf1U/CCvwtd3ryCH8gUmGITAxiH1O5rnGTz7y1LuFjmnFGQ1UWuM7HwfXtWl2fPFKklYwNUpF2IL/TmaRETjQiM5SJacI+3Gv5MBU8lP5Io6gWkawpyzNEVGqOdx4YlO1dCvjbWFZWbCmeiFKPSlMKtKcMFLs/KQxtgAHi7NZNCQ32bBAW2mbHflVZ8wXKi1JKVHkW20bnYnl3dKWJeWJOiX3oKPBD6Zbi0ZvSIuWktUHB8qDR8DMMh1ZfkBL9FS9x5r0hBGLJ8pUCJv3NYH+Ae8p40mZWd5m5fhobFjQeQvqTT4VKWIYfRL0tfaXKiVl75hHReuTJEcqVlug+eOIIc4bdIydtn2K0iNZPsYWQvQio2qbO3OqAlPHDDOB7DfjGEfVF51FqqNacd6QmgFKJpMfLp5DHTv4wXlONKVXF9zTJpDV4m1sYZqJPhotcsliZM8yksKkCkzpiXt+EcRQvSQqmBS9WdWkxMTJXPSw94jqI3varCjQxTazjlMH8jTS8ilaW8014/vwA/LNa+YiFoyyx3s/KswP3O8QW1jtq45yTM/DX9a8M4voTVaO2ebvw1EooDw/yg6Y1faY+WwrdVs5Yt0hQ5EwRfYXSFxray1YvSM+kYmlpLG2/9mm1MfmbKHXr44Ih8nVKb1M537ZANUkCtdsPZ80JVKVKabVHCadaLXg+IV8i5GSwpZti0h6diTaKs9sdpUKEpd7jDUpYmHtiX33SKiO3tuydkaxA7pEc9XIQEOfWJlszj5YpL5bKeQyT7aZSBOamvSHl8xsWvgo26IP/bqk+0EJUz+gkkcvlUlyPp2kdKFtt7y5aCdks9ZJJcFp5ZWeaWKgtnXMN3ORwGLBE0PtkEIek5FY2aVssUZHtsWIvnljMVJtuVIjpZup/5VL1yPOHWWHkOMc6YySWMckczD5jUj2mlLVquFaMU8leGVaqeXis+aRRL8zm4WuBk6cyWfGMxgtr8useQEx7k/PvRoZyd9nde1GUCV84gMX8Ogu/BWezYPSR27llzQnA97oo0pYyxobYUJfsj+ysTm9zJ+S4pk0TGo9VTG0KjqYhTmALfoDZVKla2b5yhv241PxFaLJs3i05K0AAIdcGxCJZmT3ZdT7CliR7q+kur7WdQjygYtOWRL9B8E4s4LI8KpAj7bE0dg7DLOaX+MGeAi0hMMSSWZEz+RudXbZCsGYS0QqiXjH9XQbd8sCB+nIVTq7/T/FDS+zWY9q7Z2fdq1tdLb6v3hKKVDAw5gjj6o9r1wHFROdHc18MJp4SJ2Ucvu+iQ9EgkekW8VCM+psM6y+/2SBy8tNN4a3L1MzP+OLsyvESo5gS7IQOnIqMmviJBVc6zbVG1n8eXiA3j46kmvvtJlewwNDrxk4SbJOtP/TV/lIVK9ueShNbbMHfwnLTLLhbZuO79ec5XvfgRwLFK+w1r5ZWW15rVFZrE+wKqNRv5KqsLNfpGgnoUU6Y71NxEmN7MyqwqAQqoIULOw/LbuUB2+uE75gJt+kq1qY4LoxV+qR/zalupea3D5+WMeaRIn0sAI6DDWDh158fqUb4YhAxhREbUN0qyyJYkBU4V2KARXDT65gW3gRsiv7xSPYEKLwzgriWcWgPr0sbZnv7m1XHNFW6xPdGNZUdxFiUYlmXNjDVWuu7LCkX/nVkrXaJhiYktBISC2xgBXQnNEP+cptWl1eG62a7CPXrnrkTQ5BQASbEqUZWMDiZUisKyHDeLFOaJILUo5f6iDt4ZO8MlqaKLto0AmTHVVbkGuyPa1R/ywZsWRoRDoRdNMMHwYTsklMVnlAd2S0282bgMI8fiJpDh69OSL6K3qbo20KfpNMurnYGQSr/stFqZ7hYsxKlLnKAKhsmB8AIpEQ4bd/NrTLTXefsE6ChRmKWjXKVgpGoPs8GAicgKVw4K0qgDgy1A6hFq1WRat3fHF+FkU+b6H4NWpOU3KXTxrIb2qSHAb+qhm8hiSROi/9ofapjxhyKxxntPpge6KL5Z4+WBMYkAcE6+0Hd3Yh2zBsK2MV3iW0Y6cvOCroXlRb2MMJtdWx+3dkFzGh2Pe3DZ9QpSqpaR/rE1ImOrHqYYyccpiLC22amJIjRWVAherTfpQLmo6/K2pna85GrDuQPlH1Tsar8isAJbXLafSwOof4gg9RkAGm/oYpBQQiPUoyDk2BCQ1k+KILq48ErFo4WSRhHLq/y7mgw3+L85PpP6xWr6cgp9sOjYjKagOrxF148uhuaWtjet953fh1IQiEzgC+d2IgBCcUZqgTAICm2bR8oCjDLBsmg+ThyhfD+zBalsKBY1Ce54Y/t9cwfbLu9SFwEgphfopNA3yNxgyDafUM3mYTovZNgPGdd4ZFFOj1vtfFW3u7N+iHEN1HkeesDMXKPyoCDCGVMo4GCCD6PBhQ3dRZIHy0Y/3MaE5zU9mTCrwwnZojtE+qNpMSkJSpmGe0EzLyFelMJqhfFQ7a50uXxZ8pCc2wxtAKWgHoeamR2O7R+bq7IbPYItO0esdRgoTaY38hZLJ5y02oIVwoPokGIzxAMDuanQ1vn2WDQ00Rh6o5QOaCRu99fwDbQcN0XAuqkFpxT/cfz3slGRVokrNU0iqiMAJFEbKScZdmSkTUznC0U+MfwFOGdLgsewRyPKwBZYSmy6U325iUhBQNxbAC3FLKDV9VSOuQpOOukJ/GAmu/tyEbX9DgEp6dv1zoU0IqzpG6gssSjIYRVPGgU1QAQYRgIT8gEV0EXr1sqeh2I6rXjtmoCYyEDCe/PkFEi/Q48FuT29p557iN+LCwk5CK/CZ2WdAdfQZh2Z9QGrzPLSNRj5igUWzl9Vi0rCqH8G1Kp4QMLkuwMCAypdviDXyOIk0AHTM8HBYKh3b0/F+DxoNj4ZdoZfCpQVdnZarqoMaHWnMLNVcyevytGsrXQEoIbubqWYNo7NRHzdc0zvT21fWVirj7g36iy6pxogfvgHp1xH1Turbz8QyyHnXeBJicpYUctbzApwzZ1HT+FPEXMAgUZetgeGMwt4G+DHiDT2Lu+PT21fjJCAfV16a/Wu1PqOkUHSTKYhWW6PhhHUlNtWzFnA7MbY+r64vkwdpfNB2JfWgWXAvkzd42K4lN9x7Wrg4kIKgXCb4mcW595MCPJ/cTfPAMQMFWwnqwde4w8HZYJFpQwcSMhjVz4B8p6ncSCN1X4klxoIH4BN2J6taBMj6lHkAOs8JJAmXq5xsQtrPIPIIp/HG6i21xMGcFgqDXSRF0xQg14d2uy6HgKE13LSvQe52oShF5Jx1R6avyL4thhXQZHfC94oZzuPUBKFYf1VvDaxIrtV6dNGSx7DO0i1p6CzBkuAmEqyWceQY7F9+U0ObYDzoa1iKao/cOD/v6Q9gHrrr1uCeOk8fST9MG23Ul0KmM3r+Wn6Hi6WAcL7gEeaykicvgjzkjSwFsAXIR81Zx4QJ6oosVyJkCcT+4xAldCcihqvTf94HHUPXYp3REIaR4dhpQF6+FK1H0i9i7Pvh8owu3lO4PT1iuqu+DkL2Bj9+kdfGAg2TXw03iNHyobxofLE2ibjsYDPgeEQlRMR7afXbSGQcnPjI2D+sdtmuQ771dbASUsDndU7t58jrrNGRzISvwioAlHs5FA+cBE5Ccznkd8NMV6BR6ksnKLPZnMUawRDU1MZ/ib3xCdkTblHKu4blNiylH5n213yM0zubEie0o4JhzcfAy3H5qh2l17uLooBNLaO+gzonTH2uF8PQu9EyH+pjGsACTMy4cHzsPdymUSXYJOMP3yTkXqvO/lpvt0cX5ekDEu9PUfBeZODkFuAjXCaGdi6ew4qxJ8PmFfwmPpkgQjQlWqomFY6UkjmcnAtJG75EVR+NpzGpP1Ef5qUUbfowrC3zcSLX3BxgWEgEx/v9cP8H8u1Mvt9/rMDYf6sjwU1xSOPBgzFEeJLMRVFtKo5QHsUYT8ZRLCah27599EuqoC9PYjYO6aoAMHB8X1OHwEAYouHfHB3nyb2B+SnZxM/vw/bCtORjLMSy5aZoEpvgdGvlJfNPFUu/p7Z4VVK1hiI0/UTuB3ZPq4ohEbm7Mntgc1evEtknaosgZSwnDC2BdMmibpeg48X8Ixl+/8+xXdbshQXUPPvx8jT3fkELivHSmqbhblfNFShWAyQnJ3WBU6SMYSIpTDmHjdLVAdlADdz9gCplZw6mTiHqDwIsxbm9ErGusiVpg2w8Q3khKV/R9Oj8PFeF43hmW/nSd99nZzhyjCX3QOZkkB6BsH4H866WGyv9E0hVAzPYah2tkRfQZMmP2rinfOeQalge0ovhduBjJs9a1GBwReerceify49ctOh5/65ATYuMsAkVltmvTLBk4oHpdl6i+p8DoNj4Fb2vhdFYer2JSEilEwPd5n5zNoGBXEjreg/wh2NFnNRaIUHSOXa4eJRwygZoX6vnWnqVdCRT1ARxeFrNBJ+tsdooMwqnYhE7zIxnD8pZH+P0Nu1wWxCPTADfNWmqx626IBJJq6NeapcGeOmbtXvl0TeWG0Y7OGGV4+EHTtNBIT5Wd0Bujl7inXgZgfXTM5efD3qDTJ54O9v3Bkv+tdIRlq1kXcVD0BEMirmFxglNPt5pedb1AnxuCYMChUykwsTIWqT23XDpvTiKEru1cTcEMeniB+HQDehxPXNmkotFdwUPnilB/u4Nx5Xc6l8J9jH1EgKZUUt8t8cyoZleDBEt8oibDmJRAoMKJ5Oe9CSWS5ZMEJvacsGVdXDWjp/Ype5x0p9PXB2PAwt2LRD3d+ftNgpuyvxlP8pB84oB1i73vAVpwyrmXW72hfW6Dzn9Jkj4++0VQ4d0KSx1AsDA4OtXXDo63/w+GD+zC7w5SJaxsmnlYRQ4dgdjA7tTl2KNLnpJ+mvkoDxtt1a4oPaX3EVqj96o9sRKBQqU7ZOiupeAIyLMD+Y3YwHx30XWHB5CQiw7q3mj1EDlP2eBsZbz79ayUMbyHQ7s8gu4Lgip1LiGJj7NQj905/+rgUYKAA5qdrlHKIknWmqfuR+PB8RdBkDg/NgnlT89G72h2NvySnj7UyBwD+mi/IWs1xWbxuVwUIVXun5cMqBtFbrccI+DILjsVQg6eeq0itiRfedn89CvyFtpkxaauEvSANuZmB1p8FGPbU94J9medwsZ9HkUYjmI7OH5HuxendLbxTaYrPuIfE2ffXFKhoNBUp33HsFAXmCV/Vxpq5AYgFoRr5Ay93ZLRlgaIPjhZjXZZChT+aE5iWAXMX0oSFQEtwjiuhQQItTQX5IYrKfKB+queTNplR1Hoflo5/I6aPPmACwQCE2jTOYo5Dz1cs7Sod0KTG/3kEDGk3kUaUCON19xSJCab3kNpWZhSWkO8l+SpW70Wn3g0ciOIJO5JXma6dbos6jyisuxXwUUhj2+1uGhcvuliKtWwsUTw4gi1c/diEEpZHoKoxTBeMDmhPhKTx7TXWRakV8imJR355DcIHkR9IREHxohP4TbyR5LtFU24umRPRmEYHbpe1LghyxPx7YgUHjNbbQFRQhh4KeU1EabXx8FS3JAxp2rwRDoeWkJgWRUSKw6gGP5U2PuO9V4ZuiKXGGzFQuRuf+tkSSsbBtRJKhCi3ENuLlXhPbjTKD4djXVnfXFds6Zb+1XiUrRfyayGxJq1+SYBEfbKlgjiSmk0orgTqzSS+DZ5rTqsJbttiNtp+KMqGE2AHGFw6jQqM5vD6vMptmXV9OAjq49Uf/Lx9Opam+Hn5O9p8qoBBAQixzQZ4eNVkO9sPzJAMyR1y4/RCQQ1s0pV5KAU5sKLw3tkcFbI/JqrjCsK4Mw+W8aod4lioYuawUiCyVWBE/qPaFi5bnkgpfu/ae47174rI1fqQoTbW0HrU6FAejq7ByM0V4zkZTg02/YJK2N7hUQRCeZ4BIgSEqgD8XsjzG6LIsSbuHoIdz/LhFzbNn1clci1NHWJ0/6/O8HJMdIpEZbqi1RrrFfoo/rI/7ufm2MPG5lUI0IYJ4MAiHRTSOFJ2oTverFHYXThkYFIoyFx6rMYFgaOKM4xNWdlOnIcKb/suptptgTOTdVIf4YgdaAjJnIAm4qNNHNQqqAzvi53GkyRCEoseUBrHohZsjUbkR8gfKtc/+Oa72lwxJ8Mq6HDfDATbfbJhzeIuFQJSiw1uZprHlzUf90WgqG76zO0eCB1WdPv1IT6sNxxh91GEL2YpgC97ikFHyoaH92ndwduqZ6IYjkg20DX33MWdoZk7QkcKUCgisIYslOaaLyvIIqRKWQj16jE1DlQWJJaPopWTJjXfixEjRJJo8g4++wuQjbq+WVYjsqCuNIQW3YjnxKe2M5ZKEqq+cX7ZVgnkbsU3RWIyXA1rxv4kGersYJjD//auldXGmcEbcfTeF16Y1708FB1HIfmWv6dSFi6oD4E+RIjCsEZ+kY7dKnwReJJw3xCjKvi3kGN42rvyhUlIz0Bp+fNSV5xwFiuBzG296e5s/oHoFtUyUplmPulIPl+e1CQIQVtjlzLzzzbV+D/OVQtYzo5ixtMi5BmHuG4N/uKfJk5UIREp7+12oZlKtPBomXSzAY0KgtbPzzZoHQxujnREUgBU+O/jKKhgxVhRPtbqyHiUaRwRpHv7pgRPyUrnE7fYkVblGmfTY28tFCvlILC04Tz3ivkNWVazA+OsYrxvRM/hiNn8Fc4bQBeUZABGx5S/xFf9Lbbmk298X7iFg2yeimvsQqqJ+hYbt6uq+Zf9jC+Jcwiccd61NKQtFvGWrgJiHB5lwi6fR8KzYS7EaEHf/ka9EC7H8D+WEa3TEACHBkNSj/cXxFeq4RllC+fUFm2xtstYLL2nos1DfzsC9vqDDdRVcPA3Ho95aEQHvExVThXPqym65llkKlfRXbPTRiDepdylHjmV9YTWAEjlD9DdQnCem7Aj/ml58On366392214B5zrmQz/9ySG2mFqEwjq5sFl5tYJPw5hNz8lyZPUTsr5E0F2C9VMPnZckWP7+mbwp/BiN7f4kf7vtGnZF2JGvjK/sDX1RtcFY5oPQnE4lIAYV49U3C9SP0LCY/9i/WIFK9ORjzM9kG/KGrAuwFmgdEpdLaiqQNpCTGZVuAO65afkY1h33hrqyLjZy92JK3/twdj9pafFcwfXONmPQWldPlMe7jlP24Js0v9m8bIJ9TgS2IuRvE9ZVRaCwSJYOtAfL5H/YS4FfzKWKbek+GFulheyKtDNlBtrdmr+KU+ibHTdalzFUmMfxw3f36x+3cQbJLItSilW9cuvZEMjKw987jykZRlsH/UI+HlKfo2tLwemBEeBFtmxF2xmItA/dAIfQ+rXnm88dqvXa+GapOYVt/2waFimXFx3TC2MUiOi5/Ml+3rj/YU6Ihx2hXgiDXFsUeQkRAD6wF3SCPi2flk7XwKAA4zboqynuELD312EJ88lmDEVOMa1W/K/a8tGylZRMrMoILyoMQzzbDJHNZrhH77L9qSC42HVmKiZ5S0016UTp83gOhCwz9XItK9fgXfK3F5d7nZCBUekoLxrutQaPHa16Rjsa0gTrzyjqTnmcIcrxg6X6dkKiucudc0DD5W4pJPf0vuDW8r5/uw24YfMuxFRpD2ovT2mFX79xH6Jf+MVdv2TYqR6/955QgVPe3JCD/WjAYcLA9tpXgFiEjge2J5ljeI/iUzg91KQuHkII4mmHZxC3XQORLAC6G7uFn5LOmlnXkjFdoO976moNTxElS8HdxWoPAkjjocDR136m2l+f5t6xaaNgdodOvTu0rievnhNAB79WNrVs6EsPgkgfahF9gSFzzAd+rJSraw5Mllit7vUP5YxA843lUpu6/5jAR0RvH4rRXkSg3nE+O5GFyfe+L0s5r3k05FyghSFnKo4TTgs07qj4nTLqOYj6qaW9knJTDkF5OFMYbmCP+8H16Ty482OjvERV6OFyw043L9w3hoJi408sR+SGo1WviXUu8d7qS+ehKjpKwxeCthsm2LBFSFeetx0x4AaKPxtp3CxdWqCsLrB1s/j5TAhc1jNZsXWl6tjo/WDoewxzg8T8NnhZ1niUwL/nhfygLanCnRwaFGDyLw+sfZhyZ1UtYTp8TYB6dE7R3VsKKH95CUxJ8u8N+9u2/9HUNKHW3x3w5GQrfOPafk2w5qZq8MaHT0ebeY3wIsp3rN9lrpIsW9c1ws3VNV+JwNz0Lo9+V7zZr6GD56We6gWVIvtmam5GPPkVAbr74r6SwhuL+TRXtW/0pgyX16VNl4/EAD50TnUPuwrW6OcUO2VlWXS0inq872kk7GUlW6o/ozFKq+Sip6LcTtSDfDrPTcCHhx75H8BeRon+KG2wRwzfDgWhALmiWOMO6h3pm1UCZEPEjScyk7tdLx6WrdA2N1QTPENvNnhCQjW6kl057/qv7IwRryHrZBCwVSbLLnFRiHdTwk8mlYixFt1slEcPD7FVht13HyqVeyD55HOXrh2ElAxJyinGeoFzwKA91zfrdLvDxJSjzmImfvTisreI25EDcVfGsmxLVbfU8PGe/7NmWWKjXcdTJ11jAlVIY/Bv/mcxg/Q10vCHwKG1GW/XbJq5nxDhyLqiorn7Wd7VEVL8UgVzpHMjQ+Z8DUgSukiVwWAKkeTlVVeZ7t1DGnCgJVIdBPZAEK5f8CDyDNo7tK4/5DBjdD5MPV86TaEhGsLVFPQSI68KlBYy84FievdU9gWh6XZrugvtCZmi9vfd6db6V7FmoEcRHnG36VZH8N4aZaldq9zZawt1uBFgxYYx+Gs/qW1jwANeFy+LCoymyM6zgG7j8bGzUyLhvrbJkTYAEdICEb4kMKusKT9V3eIwMLsjdUdgijMc+7iKrr+TxrVWG0U+W95SGrxnxGrE4eaJFfgvAjUM4SAy8UaRwE9j6ZQH5qYAWGtXByvDiLSDfOD0yFA3UCMKSyQ30fyy1mIRg4ZcgZHLNHWl+c9SeijOvbOJxoQy7lTN2r3Y8p6ovxvUY74aOYbuVezryqXA6U+fcp6wSV9X5/OZKP18tB56Ua0gMyxJI7XyNT7IrqN8GsB9rL/kP5KMrjXxgqKLDa+V5OCH6a5hmOWemMUsea9vQl9t5Oce76PrTyTv50ExOqngE3PHPfSL//AItPdB7kGnyTRhVUUFNdJJ2z7RtktZwgmQzhBG/G7QsjZmJfCE7k75EmdIKH7xlnmDrNM/XbTT6FzldcH/rcRGxlPrv4qDScqE7JSmQABJWqRT/TUcJSwoQM+1jvDigvrjjH8oeK2in1S+/yO1j8xAws/T5u0VnIvAPqaE1atNuN0cuRliLcH2j0nTL4JpcR7w9Qya0JoaHgsOiALLCCzRkl1UUESz+ze/gIXHGtDwgYrK6pCFKJ1webSDog4zTlPkgXZqxlQDiYMjhDpwTtBW2WxthWbov9dt2X9XFLFmcF+eEc1UaQ74gqZiZsdj63pH1qcv3Vy8JYciogIVKsJ8Yy3J9w/GhjWVSQAmrS0BPOWK+RKV+0lWqXgYMnIFwpcZVD7zPSp547i9HlflB8gVnSTGmmq1ClO081OW/UH11pEQMfkEdDFzjLC1Cdo/BdL3s7cXb8J++Hzz1rhOUVZFIPehRiZ8VYu6+7Er7j5PSZu9g/GBdmNzJmyCD9wiswj9BZw+T3iBrg81re36ihMLjoVLoWc+62a1U/7qVX5CpvTVF7rocSAKwv4cBVqZm7lLDS/qoXs4fMs/VQi6BtVbNA3uSzKpQfjH1o3x4LrvkOn40zhm6hjduDglzJUwA0POabgdXIndp9fzhOo23Pe+Rk9GSLX0d71Poqry8NQDTzNlsa+JTNG9+UrEf+ngxCjGEsDCc0bz+udVRyHQI1jmEO3S+IOQycEq7XwB6z3wfMfa73m8PVRp+iOgtZfeSBl01xn03vMaQJkyj7vnhGCklsCWVRUl4y+5oNUzQ63B2dbjDF3vikd/3RUMifPYnX5Glfuk2FsV/7RqjI9yKTbE8wJY+74p7qXO8+dIYgjtLD/N8TJtRh04N9tXJA4H59IkMmLElgvr0Q5OCeVfdAt+5hkh4pQgfRMHpL74XatLQpPiOyHRs/OdmHtBf8nOZcxVKzdGclIN16lE7kJ+pVMjspOI+5+TqLRO6m0ZpNXJoZRv9MPDRcAfJUtNZHyig/s2wwReakFgPPJwCQmu1I30/tcBbji+Na53i1W1N+BqoY7Zxo+U/M9XyJ4Ok2SSkBtoOrwuhAY3a03Eu6l8wFdIG1cN+e8hopTkiKF093KuH/BcB39rMiGDLn6XVhGKEaaT/vqb/lufuAdpGExevF1+J9itkFhCfymWr9vGb3BTK4j598zRH7+e+MU9maruZqb0pkGxRDRE1CD4Z8LV4vhgPidk5w2Bq816g3nHw1//j3JStz7NR9HIWELO8TMn3QrP/zZp//+Dv9p429/ogv+GATR+n/UdF+ns9xNkXZQJXY4t9jMkJNUFygAtzndXwjss+yWH9HAnLQQfhAskdZS2l01HLWv7L7us5uTH409pqitvfSOQg/c+Zt7k879P3K9+WV68n7+3cZfuRd/dDPP/03rn+d+/nBvWfgDlt8+LzjqJ/vx3CnNOwiXhho778C96iD+1TBvRZYeP+EH81LE0vVwOOrmCLB3iKzI1x+vJEsrPH4uF0UB4TJ4X3uDfOCo3PYpYe0MF4bouh0DQ/l43fxUF7Y+dpWuvTSffB0yO2UQUETI/LwCZE3BvnevJ7c9zUlY3H58xzke6DNFDQG8n0WtDN4LAYN4nogKav1ezOfK/z+t6tsCTp+dhx4ymjWuCJk1dEUifDP+HyS4iP/Vg9B2jTo9L4NbiBuDS4nuuHW6H+JDQn2JtqRKGkEQPEYE7uzazXIkcxIAqUq1esasZBETlEZY7y7Jo+RoV/IsjY9eIMkUvr42Hc0xqtsavZvhz1OLwSxMOTuqzlhb0WbdOwBH9EYiyBjatz40bUxTHbiWxqJ0uma19qhPruvcWJlbiSSH48OLDDpaHPszvyct41ZfTu10+vjox6kOqK6v0K/gEPphEvMl/vwSv+A4Hhm36JSP9IXTyCZDm4kKsqD5ay8b1Sad/vaiyO5N/sDfEV6Z4q95E+yfjxpqBoBETW2C7xl4pIO2bDODDFurUPwE7EWC2Uplq+AHmBHvir2PSgkR12/Ry65O0aZtQPeXi9mTlF/Wj5GQ+vFkYyhXsLTjrBSP9hwk4GPqDP5rBn5/l8b0mLRAvRSzXHc293bs3s8EsdE3m2exxidWVB4joHR+S+dz5/W+v00K3TqN14CDBth8eWcsTbiwXPsygHdGid0PEdy6HHm2v/IUuV5RVapYmzGsX90mpnIdNGcOOq64Dbc5GUbYpD9M7S+6cLY//QmjxFLP5cuTFRm3vA5rkFZroFnO3bjHF35uU3s8mvL7Tp9nyTc4mymTJ5sLIp7umSnGkO23faehtz3mmTS7fbVx5rP7x3HXIjRNeq/A3xCs9JNB08c9S9BF2O3bOur0ItslFxXgRPdaapBIi4dRpKGxVz7ir69t/bc9qTxjvtOyGOfiLGDhR4fYywHv1WdOplxIV87TpLBy3Wc0QP0P9s4G7FBNOdITS/tep3o3h1TEa5XDDii7fWtqRzUEReP2fbxz7bHWWJdbIOxOUJZtItNZpTFRfj6vm9sYjRxQVO+WTdiOhdPeTJ+8YirPvoeL88l5iLYOHd3b/Imkq+1ZN1El3UikhftuteEYxf1Wujof8Pr4ICTu5ezZyZ4tHQMxlzUHLYO2VMOoNMGL/20S5i2o2obfk+8qqdR7xzbRDbgU0lnuIgz4LelQ5XS7xbLuSQtNS95v3ZUOdaUx/Qd8qxCt6xf2E62yb/HukLO6RyorV8KgYl5YNc75y+KvefrxY+lc/64y9kvWP0a0bDz/rojq+RWjO06WeruWqNFU7r3HPIcLWRql8ICZsz2Ls/qOm/CLn6++X+Qf7mGspYCrZod/lpl6Rw4xN/yuq8gqV4B6aHk1hVE1SfILxWu5gvXqbfARYQpspcxKp1F/c8XOPzkZvmoSw+vEqBLdrq1fr3wAPv5NnM9i8F+jdAuxkP5Z71c6uhK3enlnGymr7UsWZKC12qgUiG8XXGQ9mxnqz4GSIlybF9eXmbqj2sHX+a1jf0gRoONHRdRSrIq03Ty89eQ1GbV/Bk+du4+V15zls+vvERvZ4E7ZbnxWTVjDjb4o/k8jlw44pTIrUGxxuJvBeO+heuhOjpFsO6lVJ/aXnJDa/bM0Ql1cLbXE/Pbv3EZ3vj3iVrB5irjupZTzlnv677NrI9UNYNqbPgp/HZXS+lJmk87wec+7YOxTDo2aw2l3NfDr34VNlvqWJBknuK7oSlZ6/T10zuOoPZOeoIk81N+sL843WJ2Q4Z0fZ3scsqC/JV2fuhWi1jGURSKZV637lf53Xnnx16/vKEXY89aVJ0fv91jGdfG+G4+sniwHes4hS+udOr4RfhFhG/F5gUG35QaU+McuLmclb5ZWmR+sG5V6nf+PxYzlrnFGxpZaK8eqqVo0NfmAWoGfXDiT/FnUbWvzGDOTr8aktOZWg4BYvz5YH12ZbfCcGtNk+dDAZNGWvHov+PIOnY9Prjg8h/wLRrT69suaMVZ5bNuK00lSVpnqSX1NON/81FoP92rYndionwgOiA8WMf4vc8l15KqEEG4yAm2+WAN5Brfu1sq9suWYqgoajgOYt/JCk1gC8wPkK+XKCtRX6TAtgvrnuBgNRmn6I8lVDipOVB9kX6Oxkp4ZKyd1M6Gj8/v2U7k+YQBL95Kb9PQENucJb0JlW3b5tObN7m/Z1j1ev388d7o15zgXsI9CikAGAViR6lkJv7nb4Ak40M2G8TJ447kN+pvfHiOFjSUSP6PM+QfbAywKJCBaxSVxpizHseZUyUBhq59vFwrkyGoRiHbo0apweEZeSLuNiQ+HAekOnarFg00dZNXaPeoHPTRR0FmEyqYExOVaaaO8c0uFUh7U4e/UxdBmthlBDgg257Q33j1hA7HTxSeTTSuVnPZbgW1nodwmG16aKBDKxEetv7D9OjO0JhrbJTnoe+kcGoDJazFSO8/fUN9Jy/g4XK5PUkw2dgPDGpJqBfhe7GA+cjzfE/EGsMM+FV9nj9IAhrSfT/J3QE5TEIYyk5UjsI6ZZcCPr6A8FZUF4g9nnpVmjX90MLSQysIPD0nFzqwCcSJmIb5mYv2Cmk+C1MDFkZQyCBq4c/Yai9LJ6xYkGS/x2s5/frIW2vmG2Wrv0APpCdgCA9snFvfpe8uc0OwdRs4G9973PGEBnQB5qKrCQ6m6X/H7NInZ7y/1674/ZXOVp7OeuCRk8JFS516VHrnH1HkIUIlTIljjHaQtEtkJtosYul77cVwjk3gW1Ajaa6zWeyHGLlpk3VHE2VFzT2yI/EvlGUSz2H9zYE1s4nsKMtMqNyKNtL/59CpFJki5Fou6VXGm8vWATEPwrUVOLvoA8jLuwOzVBCgHB2Cr5V6OwEWtJEKokJkfc87h+sNHTvMb0KVTp5284QTPupoWvQVUwUeogZR3kBMESYo0mfukewRVPKh5+rzLQb7HKjFFIgWhj1w3yN/qCNoPI8XFiUgBNT1hCHBsAz8L7Oyt8wQWUFj92ONn/APyJFg8hzueqoJdNj57ROrFbffuS/XxrSXLTRgj5uxZjpgQYceeMc2wJrahReSKpm3QjHfqExTLAB2ipVumE8pqcZv8LYXQiPHHsgb5BMW8zM5pvQit+mQx8XGaVDcfVbLyMTlY8xcfmm/RSAT/H09UQol5gIz7rESDmnrQ4bURIB4iRXMDQwxgex1GgtDxKp2HayIkR+E/aDmCttNm2C6lytWdfOVzD6X2SpDWjQDlMRvAp1symWv4my1bPCD+E1EmGnMGWhNwmycJnDV2WrQNxO45ukEb08AAffizYKVULp15I4vbNK5DzWwCSUADfmKhfGSUqii1L2UsE8rB7mLuHuUJZOx4+WiizHBJ/hwboaBzhpNOVvgFTf5cJsHef7L1HCI9dOUUbb+YxUJWn6dYOLz+THi91kzY5dtO5c+grX7v0jEbsuoOGnoIreDIg/sFMyG+TyCLIcAWd1IZ1UNFxE8Uie13ucm40U2fcxC0u3WLvLOxwu+F7MWUsHsdtFQZ7W+nlfCASiAKyh8rnP3EyDByvtJb6Kax6/HkLzT9SyEyTMVM1zPtM0MJY14DmsWh4MgD15Ea9Hd00AdkTZ0EiG5NAGuIBzQJJ0JR0na+OB7lQA6UKxMfihIQ7GCCnVz694QvykWXTxpS2soDu+smru1UdIxSvAszBFD1c8c6ZOobA8bJiJIvuycgIXBQIXWwhyTgZDQxJTRXgEwRNAawGSXO0a1DKjdihLVNp/taE/xYhsgwe+VpKEEB4LlraQyE84gEihxCnbfoyOuJIEXy2FIYw+JjRusybKlU2g/vhTSGTydvCvXhYBdtAXtS2v7LkHtmXh/8fly1do8FI/D0f8UbzVb5h+KRhMGSAmR2mhi0YG/uj7wgxcfzCrMvdjitUIpXDX8ae2JcF/36qUWIMwN6JsjaRGNj+jEteGDcFyTUb8X/NHSucKMJp7pduxtD6KuxVlyxxwaeiC1FbGBESO84lbyrAugYxdl+2N8/6AgWpo/IeoAOcsG35IA/b3AuSyoa55L7llBLlaWlEWvuCFd8f8NfcTUgzJv6CbB+6ohWwodlk9nGWFpBAOaz5uEW5xBvmjnHFeDsb0mXwayj3mdYq5gxxNf3H3/tnCgHwjSrpSgVxLmiTtuszdRUFIsn6LiMPjL808vL1uQhDbM7aA43mISXReqjSskynIRcHCJ9qeFopJfx9tqyUoGbSwJex/0aDE3plBPGtNBYgWbdLom3+Q/bjdizR2/AS/c/dH/d3G7pyl1qDXgtOFtEqidwLqxPYtrNEveasWq3vPUUtqTeu8gpov4bdOQRI2kneFvRNMrShyVeEupK1PoLDPMSfWMIJcs267mGB8X9CehQCF0gIyhpP10mbyM7lwW1e6TGvHBV1sg/UyTghHPGRqMyaebC6pbB1WKNCQtlai1GGvmq9zUKaUzLaXsXEBYtHxmFbEZ2kJhR164LhWW2Tlp1dhsGE7ZgIWRBOx3Zcu2DxgH+G83WTPceKG0TgQKKiiNNOlWgvqNEbnrk6fVD+AqRam2OguZb0YWSTX88N+i/ELSxbaUUpPx4vJUzYg/WonSeA8xUK6u7DPHgpqWpEe6D4cXg5uK9FIYVba47V/nb+wyOtk+zG8RrS4EA0ouwa04iByRLSvoJA2FzaobbZtXnq8GdbfqEp5I2dpfpj59TCVif6+E75p665faiX8gS213RqBxTZqfHP46nF6NSenOneuT+vgbLUbdTH2/t0REFXZJOEB6DHvx6N6g9956CYrY/AYcm9gELJXYkrSi+0F0geKDZgOCIYkLU/+GOW5aGj8mvLFgtFH5+XC8hvAE3CvHRfl4ofM/Qwk4x2A+R+nyc9gNu/9Tem7XW4XRnyRymf52z09cTOdr+PG6+P/Vb4QiXlwauc5WB1z3o+IJjlbxI8MyWtSzT+k4sKVbhF3xa+vDts3NxXa87iiu+xRH9cAprnOL2h6vV54iQRXuOAj1s8nLFK8gZ70ThIQcWdF19/2xaJmT0efrkNDkWbpAQPdo92Z8+Hn/aLjbOzB9AI/k12fPs9HhUNDJ1u6ax2VxD3R6PywN7BrLJ26z6s3QoMp76qzzwetrDABKSGkfW5PwS1GvYNUbK6uRqxfyVGNyFB0E+OugMM8kKwmJmupuRWO8XkXXXQECyRVw9UyIrtCtcc4oNqXqr7AURBmKn6Khz3eBN96LwIJrAGP9mr/59uTOSx631suyT+QujDd4beUFpZ0kJEEnjlP+X/Kr2kCKhnENTg4BsMTOmMqlj2WMFLRUlVG0fzdCBgUta9odrJfpVdFomTi6ak0tFjXTcdqqvWBAzjY6hVrH9sbt3Z9gn+AVDpTcQImefbB4edirjzrsNievve4ZT4EUZWV3TxEsIW+9MT/RJoKfZZYSRGfC1CwPG/9rdMOM8qR/LUYvw5f/emUSoD7YSFuOoqchdUg2UePd1eCtFSKgxLSZ764oy4lvRCIH6bowPxZWwxNFctksLeil47pfevcBipkkBIc4ngZG+kxGZ71a72KQ7VaZ6MZOZkQJZXM6kb/Ac0/XkJx8dvyfJcWbI3zONEaEPIW8GbkYjsZcwy+eMoKrYjDmvEEixHzkCSCRPRzhOfJZuLdcbx19EL23MA8rnjTZZ787FGMnkqnpuzB5/90w1gtUSRaWcb0eta8198VEeZMUSfIhyuc4/nywFQ9uqn7jdqXh+5wwv+RK9XouNPbYdoEelNGo34KyySwigsrfCe0v/PlWPvQvQg8R0KgHO18mTVThhQrlbEQ0Kp/JxPdjHyR7E1QPw/ut0r+HDDG7BwZFm9IqEUZRpv2WpzlMkOemeLcAt5CsrzskLGaVOAxyySzZV/D2EY7ydNZMf8e8VhHcKGHAWNszf1EOq8fNstijMY4JXyATwTdncFFqcNDfDo+mWFvxJJpc4sEZtjXyBdoFcxbUmniCoKq5jydUHNjYJxMqN1KzYV62MugcELVhS3Bnd+TLLOh7dws/zSXWzxEb4Nj4aFun5x4kDWLK5TUF/yCXB/cZYvI9kPgVsG2jShtXkxfgT+xzjJofXqPEnIXIQ1lnIdmVzBOM90EXvJUW6a0nZ/7XjJGl8ToO3H/fdxnxmTNKBZxnkpXLVgLXCZywGT3YyS75w/PAH5I/jMuRspej8xZObU9kREbRA+kqjmKRFaKGWAmFQspC+QLbKPf0RaK3OXvBSWqo46p70ws/eZpu6jCtZUgQy6r4tHMPUdAgWGGUYNbuv/1a6K+MVFsd3T183+T8capSo6m0+Sh57fEeG/95dykGJBQMj09DSW2bY0mUonDy9a8trLnnL5B5LW3Nl8rJZNysO8Zb+80zXxqUGFpud3Qzwb7bf+8mq6x0TAnJU9pDQR9YQmZhlna2xuxJt0aCO/f1SU8gblOrbIyMsxTlVUW69VJPzYU2HlRXcqE2lLLxnObZuz2tT9CivfTAUYfmzJlt/lOPgsR6VN64/xQd4Jlk/RV7UKVv2Gx/AWsmTAuCWKhdwC+4HmKEKYZh2Xis4KsUR1BeObs1c13wqFRnocdmuheaTV30gvVXZcouzHKK5zwrN52jXJEuX6dGx3BCpV/++4f3hyaW/cQJLFKqasjsMuO3B3WlMq2gyYfdK1e7L2pO/tRye2mwzwZPfdUMrl5wdLqdd2Kv/wVtnpyWYhd49L6rsOV+8HXPrWH2Kup89l2tz6bf80iYSd+V4LROSOHeamvexR524q4r43rTmtFzQvArpvWfLYFZrbFspBsXNUqqenjxNNsFXatZvlIhk7teUPfK+YL32F8McTnjv0BZNppb+vshoCrtLXjIWq3EJXpVXIlG6ZNL0dh6qEm2WMwDjD3LfOfkGh1/czYc/0qhiD2ozNnH4882MVVt3JbVFkbwowNCO3KL5IoYW5wlVeGCViOuv1svZx7FbzxKzA4zGqBlRRaRWCobXaVq4yYCWbZf8eiJwt3OY+MFiSJengcFP2t0JMfzOiJ7cECvpx7neg1Rc5x+7myPJOXt2FohVRyXtD+/rDoTOyGYInJelZMjolecVHUhUNqvdZWg2J2t0jPmiLFeRD/8fOT4o+NGILb+TufCo9ceBBm3JLVn+MO2675n7qiEX/6W+188cYg3Zn5NSTjgOKfWFSAANa6raCxSoVU851oJLY11WIoYK0du0ec5E4tCnAPoKh71riTsjVIp3gKvBbEYQiNYrmH22oLQWA2AdwMnID6PX9b58dR2QKo4qag1D1Z+L/FwEKTR7osOZPWECPJIHQqPUsM5i/CH5YupVPfFA5pHUBcsesh8eO5YhyWnaVRPZn/BmdXVumZWPxMP5e28zm2uqHgFoT9CymHYNNrzrrjlXZM06HnzDxYNlI5b/QosxLmmrqDFqmogQdqk0WLkUceoAvQxHgkIyvWU69BPFr24VB6+lx75Rna6dGtrmOxDnvBojvi1/4dHjVeg8owofPe1cOnxU1ioh016s/Vudv9mhV9f35At+Sh28h1bpp8xhr09+vf47Elx3Ms6hyp6QvB3t0vnLbOhwo660cp7K0vvepabK7YJfxEWWfrC2YzJfYOjygPwfwd/1amTqa0hZ5ueebhWYVMubRTwIjj+0Oq0ohU3zfRfuL8gt59XsHdwKtxTQQ4Y2qz6gisxnm2UdlmpEkgOsZz7iEk6QOt8BuPwr+NR01LTqXmJo1C76o1N274twJvl+I069TiLpenK/miRxhyY8jvYV6W1WuSwhH9q7kuwnJMtm7IWcqs7HsnyHSqWXLSpYtZGaR1V3t0gauninFPZGtWskF65rtti48UV9uV9KM8kfDYs0pgB00S+TlzTXV6P8mxq15b9En8sz3jWSszcifZa/NuufPNnNTb031pptt0+sRSH/7UG8pzbsgtt3OG3ut7B9JzDMt2mTZuyRNIV8D54TuTrpNcHtgmMlYJeiY9XS83NYJicjRjtJSf9BZLsQv629QdDsKQhTK5CnXhpk7vMNkHzPhm0ExW/VCGApHfPyBagtZQTQmPHx7g5IXXsrQDPzIVhv2LB6Ih138iSDww1JNHrDvzUxvp73MsQBVhW8EbrReaVUcLB1R3PUXyaYG4HpJUcLVxMgDxcPkVRQpL7VTAGabDzbKcvg12t5P8TSGQkrj/gOrpnbiDHwluA73xbXts/L7u468cRWSWRtgTwlQnA47EKg0OiZDgFxAKQQUcsbGomITgeXUAAyKe03eA7Mp4gnyKQmm0LXJtEk6ddksMJCuxDmmHzmVhO+XaN2A54MIh3niw5CF7PwiXFZrnA8wOdeHLvvhdoqIDG9PDI7UnWWHq526T8y6ixJPhkuVKZnoUruOpUgOOp3iIKBjk+yi1vHo5cItHXb1PIKzGaZlRS0g5d3MV2pD8FQdGYLZ73aae/eEIUePMc4NFz8pIUfLCrrF4jVWH5gQneN3S8vANBmUXrEcKGn6hIUN95y1vpsvLwbGpzV9L0ZKTan6TDXM05236uLJcIEMKVAxKNT0K8WljuwNny3BNQRfzovA85beI9zr1AGNYnYCVkR1aGngWURUrgqR+gRrQhxW81l3CHevjvGEPzPMTxdsIfB9dfGRbZU0cg/1mcubtECX4tvaedmNAvTxCJtc2QaoUalGfENCGK7IS/O8CRpdOVca8EWCRwv2sSWE8CJPW5PCugjCXPd3h6U60cPD+bdhtXZuYB6stcoveE7Sm5MM2yvfUHXFSW7KzLmi7/EeEWL0wqcOH9MOSKjhCHHmw+JGLcYE/7SBZQCRggox0ZZTAxrlzNNXYXL5fNIjkdT4YMqVUz6p8YDt049v4OXGdg3qTrtLBUXOZf7ahPlZAY/O+7Sp0bvGSHdyQ8B1LOsplqMb9Se8VAE7gIdSZvxbRSrfl+Lk5Qaqi5QJceqjitdErcHXg/3MryljPSIAMaaloFm1cVwBJ8DNmkDqoGROSHFetrgjQ5CahuKkdH5pRPigMrgTtlFI8ufJPJSUlGgTjbBSvpRc0zypiUn6U5KZqcRoyrtzhmJ7/caeZkmVRwJQeLOG8LY6vP5ChpKhc8Js0El+n6FXqbx9ItdtLtYP92kKfaTLtCi8StLZdENJa9Ex1nOoz1kQ7qxoiZFKRyLf4O4CHRT0T/0W9F8epNKVoeyxUXhy3sQMMsJjQJEyMOjmOhMFgOmmlscV4eFi1CldU92yjwleirEKPW3bPAuEhRZV7JsKV3Lr5cETAiFuX5Nw5UlF7d2HZ96Bh0sgFIL5KGaKSoVYVlvdKpZJVP5+NZ7xDEkQhmDgsDKciazJCXJ6ZN2B3FY2f6VZyGl/t4aunGIAk/BHaS+i+SpdRfnB/OktOvyjinWNfM9Ksr6WwtCa1hCmeRI6icpFM4o8quCLsikU0tMoZI/9EqXRMpKGaWzofl4nQuVQm17d5fU5qXCQeCDqVaL9XJ9qJ08n3G3EFZS28SHEb3cdRBdtO0YcTzil3QknNKEe/smQ1fTb0XbpyNB5xAeuIlf+5KWlEY0DqJbsnzJlQxJPOVyHiKMx5Xu9FcEv1Fbg6Fhm4t+Jyy5JC1W3YO8dYLsO0PXPbxodBgttTbH3rt9Cp1lJIk2r3O1Zqu94eRbnIz2f50lWolYzuKsj4PMok4abHLO8NAC884hiXx5Fy5pWKO0bWL7uEGXaJCtznhP67SlQ4xjWIfgq6EpZ28QMtuZK7JC0RGbl9nA4XtFLug/NLMoH1pGt9IonAJqcEDLyH6TDROcbsmGPaGIxMo41IUAnQVPMPGByp4mOmh9ZQMkBAcksUK55LsZj7E5z5XuZoyWCKu6nHmDq22xI/9Z8YdxJy4kWpD16jLVrpwGLWfyOD0Wd+cBzFBxVaGv7S5k9qwh/5t/LQEXsRqI3Q9Rm3QIoaZW9GlsDaKOUyykyWuhNOprSEi0s1G4rgoiX1V743EELti+pJu5og6X0g6oTynUqlhH9k6ezyRi05NGZHz0nvp3HOJr7ebrAUFrDjbkFBObEvdQWkkUbL0pEvMU46X58vF9j9F3j6kpyetNUBItrEubW9ZvMPM4qNqLlsSBJqOH3XbNwv/cXDXNxN8iFLzUhteisYY+RlHYOuP29/Cb+L+xv+35Rv7xudnZ6ohK4cMPfCG8KI7dNmjNk/H4e84pOxn/sZHK9psfvj8ncA8qJz7O8xqbxESDivGJOZzF7o5PJLQ7g34qAWoyuA+x3btU98LT6ZyGyceIXjrqob2CAVql4VOTQPUQYvHV/g4zAuCZGvYQBtf0wmd5lilrvuEn1BXLny01B4h4SMDlYsnNpm9d7m9h578ufpef9Z4WplqWQvqo52fyUA7J24eZD5av6SyGIV9kpmHNqyvdfzcpEMw97BvknV2fq+MFHun9BT3Lsf8pbzvisWiIQvYkng+8Vxk1V+dli1u56kY50LRjaPdotvT5BwqtwyF+emo/z9J3yVUVGfKrxQtJMOAQWoQii/4dp9wgybSa5mkucmRLtEQZ/pz0tL/NVcgWAd95nEQ3Tg6tNbuyn3Iepz65L3huMUUBntllWuu4DbtOFSMSbpILV4fy6wlM0SOvi6CpLh81c1LreIvKd61uEWBcDw1lUBUW1I0Z+m/PaRlX+PQ/oxg0Ye6KUiIiTF4ADNk59Ydpt5/rkxmq9tV5Kcp/eQLUVVmBzQNVuytQCP6Ezd0G8eLxWyHpmZWJ3bAzkWTtg4lZlw42SQezEmiUPaJUuR/qklVA/87S4ArFCpALdY3QRdUw3G3XbWUp6aq9z0zUizcPa7351p9JXOZyfdZBFnqt90VzQndXB/mwf8LC9STj5kenVpNuqOQQP3mIRJj7eV21FxG8VAxKrEn3c+XfmZ800EPb9/5lIlijscUbB6da0RQaMook0zug1G0tKi/JBC4rw7/D3m4ARzAkzMcVrDcT2SyFtUdWAsFlsPDFqV3N+EjyXaoEePwroaZCiLqEzb8MW+PNE9TmTC01EzWli51PzZvUqkmyuROU+V6ik+Le/9qT6nwzUzf9tP68tYei0YaDGx6kAd7jn1cKqOCuYbiELH9zYqcc4MnRJjkeGiqaGwLImhyeKs+xKJMBlOJ05ow9gGCKZ1VpnMKoSCTbMS+X+23y042zOb5MtcY/6oBeAo1Vy89OTyhpavFP78jXCcFH0t7Gx24hMEOm2gsEfGabVpQgvFqbQKMsknFRRmuPHcZu0Su/WMFphZvB2r/EGbG72rpGGho3h+Msz0uGzJ7hNK2uqQiE1qmn0zgacKYYZBCqsxV+sjbpoVdSilW/b94n2xNb648VmNIoizqEWhBnsen+d0kbCPmRItfWqSBeOd9Wne3c6bcd6uvXOJ6WdiSsuXq0ndhqrQ4QoWUjCjYtZ0EAhnSOP1m44xkf0O7jXghrzSJWxP4a/t72jU29Vu2rvu4n7HfHkkmQOMGSS+NPeLGO5I73mC2B7+lMiBQQZRM9/9liLIfowupUFAbPBbR+lxDM6M8Ptgh1paJq5Rvs7yEuLQv/7d1oU2woFSb3FMPWQOKMuCuJ7pDDjpIclus5TeEoMBy2YdVB4fxmesaCeMNsEgTHKS5WDSGyNUOoEpcC2OFWtIRf0w27ck34/DjxRTVIcc9+kqZE6iMSiVDsiKdP/Xz5XfEhm/sBhO50p1rvJDlkyyxuJ9SPgs7YeUJBjXdeAkE+P9OQJm6SZnn1svcduI78dYmbkE2mtziPrcjVisXG78spLvbZaSFx/Rks9zP4LKn0Cdz/3JsetkT06A8f/yCgMO6Mb1Hme0JJ7b2wZz1qleqTuKBGokhPVUZ0dVu+tnQYNEY1fmkZSz6+EGZ5EzL7657mreZGR3jUfaEk458PDniBzsSmBKhDRzfXameryJv9/D5m6HIqZ0R+ouCE54Dzp4IJuuD1e4Dc5i+PpSORJfG23uVgqixAMDvchMR0nZdH5brclYwRoJRWv/rlxGRI5ffD5NPGmIDt7vDE1434pYdVZIFh89Bs94HGGJbTwrN8T6lh1HZFTOB4lWzWj6EVqxSMvC0/ljWBQ3F2kc/mO2b6tWonT2JEqEwFts8rz2h+oWNds9ceR2cb7zZvJTDppHaEhK5avWqsseWa2Dt5BBhabdWSktS80oMQrL4TvAM9b5HMmyDnO+OkkbMXfUJG7eXqTIG6lqSOEbqVR+qYdP7uWb57WEJqzyh411GAVsDinPs7KvUeXItlcMdOUWzXBH6zscymV1LLVCtc8IePojzXHF9m5b5zGwBRdzcyUJkiu938ApmAayRdJrX1PmVguWUvt2ThQ62czItTyWJMW2An/hdDfMK7SiFQlGIdAbltHz3ycoh7j9V7GxNWBpbtcSdqm4XxRwTawc3cbZ+xfSv9qQfEkDKfZTwCkqWGI/ur250ItXlMlh6vUNWEYIg9A3GzbgmbqvTN8js2YMo87CU5y6nZ4dbJLDQJj9fc7yM7tZzJDZFtqOcU8+mZjYlq4VmifI23iHb1ZoT9E+kT2dolnP1AfiOkt7PQCSykBiXy5mv637IegWSKj9IKrYZf4Lu9+I7ub+mkRdlvYzehh/jaJ9n7HUH5b2IbgeNdkY7wx1yVzxS7pbvky6+nmVUtRllEFfweUQ0/nG017WoUYSxs+j2B4FV/F62EtHlMWZXYrjGHpthnNb1x66LKZ0Qe92INWHdfR/vqp02wMS8r1G4dJqHok8KmQ7947G13a4YXbsGgHcBvRuVu1eAi4/A5+ZixmdSXM73LupB/LH7O9yxLTVXJTyBbI1S49TIROrfVCOb/czZ9pM4JsZx8kUz8dQGv7gUWKxXvTH7QM/3J2OuXXgciUhqY+cgtaOliQQVOYthBLV3xpESZT3rmfEYNZxmpBbb24CRao86prn+i9TNOh8VxRJGXJfXHATJHs1T5txgc/opYrY8XjlGQQbRcoxIBcnVsMjmU1ymmIUL4dviJXndMAJ0Yet+c7O52/p98ytlmAsGBaTAmMhimAnvp1TWNGM9BpuitGj+t810CU2UhorrjPKGtThVC8WaXw04WFnT5fTjqmPyrQ0tN3CkLsctVy2xr0ZWgiWVZ1OrlFjjxJYsOiZv2cAoOvE+7sY0I/TwWcZqMoyIKNOftwP7w++Rfg67ljfovKYa50if3fzE/8aPYVey/Nq35+nH2sLPh/fP5TsylSKGOZ4k69d2PnH43+kq++sRXHQqGArWdwhx+hpwQC6JgT2uxehYU4Zbw7oNb6/HLikPyJROGK2ouyr+vzseESp9G50T4AyFrSqOQ0rroCYP4sMDFBrHn342EyZTMlSyk47rHSq89Y9/nI3zG5lX16Z5lxphguLOcZUndL8wNcrkyjH82jqg8Bo8OYkynrxZvbFno5lUS3OPr8Ko3mX9NoRPdYOKKjD07bvgFgpZ/RF+YzkWvJ/Hs/tUbfeGzGWLxNAjfDzHHMVSDwB5SabQLsIZHiBp43FjGkaienYoDd18hu2BGwOK7U3o70K/WY/kuuKdmdrykIBUdG2mvE91L1JtTbh20mOLbk1vCAamu7utlXeGU2ooVikbU/actcgmsC1FKk2qmj3GWeIWbj4tGIxE7BLcBWUvvcnd/lYxsMV4F917fWeFB/XbINN3qGvIyTpCalz1lVewdIGqeAS/gB8Mi+sA+BqDiX3VGD2eUunTRbSY+AuDy4E3Qx3hAhwnSXX+B0zuj3eQ1miS8Vux2z/l6/BkWtjKGU72aJkOCWhGcSf3+kFkkB15vGOsQrSdFr6qTj0gBYiOlnBO41170gOWHSUoBVRU2JjwppYdhIFDfu7tIRHccSNM5KZOFDPz0TGMAjzzEpeLwTWp+kn201kU6NjbiMQJx83+LX1e1tZ10kuChJZ/XBUQ1dwaBHjTDJDqOympEk8X2M3VtVw21JksChA8w1tTefO3RJ1FMbqZ01bHHkudDB/OhLfe7P5GOHaI28ZXKTMuqo0hLWQ4HabBsGG7NbP1RiXtETz074er6w/OerJWEqjmkq2y51q1BVI+JUudnVa3ogBpzdhFE7fC7kybrAt2Z6RqDjATAUEYeYK45WMupBKQRtQlU+uNsjnzj6ZmGrezA+ASrWxQ6LMkHRXqXwNq7ftv28dUx/ZSJciDXP2SWJsWaN0FjPX9Yko6LobZ7aYW/IdUktI9apTLyHS8DyWPyuoZyxN1TK/vtfxk3HwWh6JczZC8Ftn0bIJay2g+n5wd7lm9rEsKO+svqVmi+c1j88hSCxbzrg4+HEP0Nt1/B6YW1XVm09T1CpAKjc9n18hjqsaFGdfyva1ZG0Xu3ip6N6JGpyTSqY5h4BOlpLPaOnyw45PdXTN+DtAKg7DLrLFTnWusoSBHk3s0d7YouJHq85/R09Tfc37ENXZF48eAYLnq9GLioNcwDZrC6FW6godB8JnqYUPvn0pWLfQz0lM0Yy8Mybgn84Ds3Q9bDP10bLyOV+qzxa4Rd9Dhu7cju8mMaONXK3UqmBQ9qIg7etIwEqM/kECk/Dzja4Bs1xR+Q/tCbc8IKrSGsTdJJ0vge7IG20W687uVmK6icWQ6cD3lwFzgNMGtFvO5qyJeKflGLAAcQZOrkxVwy3cWvqlGpvjmf9Qe6Ap20MPbV92DPV0OhFM4kz8Yr0ffC2zLWSQ1kqY6QdQrttR3kh1YLtQd1kCEv5hVoPIRWl5ERcUTttBIrWp6Xs5Ehh5OUUwI5aEBvuiDmUoENmnVw1FohCrbRp1A1E+XSlWVOTi7ADW+5Ohb9z1vK4qx5R5lPdGCPBJZ00mC+Ssp8VUbgpGAvXWMuWQQRbCqI6Rr2jtxZxtfP7W/8onz+yz0Gs76LaT5HX9ecyiZCB/ZR/gFtMxPsDwohoeCRtiuLxE1GM1vUEUgBv86+eehL58/P56QFGQ/MqOe/vC76L63jzmeax4exd/OKTUvkXg+fOJUHych9xt/9goJMrapSgvXrj8+8vk/N80f22Sewj6cyGqt1B6mztoeklVHHraouhvHJaG/OuBz6DHKMpFmQULU1bRWlyYE0RPXYYkUycIemN7TLtgNCJX6BqdyxDKkegO7nJK5xQ7OVYDZTMf9bVHidtk6DQX9Et+V9M7esgbsYBdEeUpsB0Xvw2kd9+rI7V+m47u+O/tq7mw7262HU1WlS9uFzsV6JxIHNmUCy0QS9e077JGRFbG65z3/dOKB/Zk+yDdKpUmdXjn/aS3N5nv4fK7bMHHmPlHd4E2+iTbV5rpzScRnxk6KARuDTJ8Q1LpK2mP8gj1EbuJ9RIyY+EWK4hCiIDBAS1Tm2IEXAFfgKPgdL9O6mAa06wjCcUAL6EsxPQWO9VNegBPm/0GgkZbDxCynxujX/92vmGcjZRMAY45puak2sFLCLSwXpEsyy5fnF0jGJBhm+fNSHKKUUfy+276A7/feLOFxxUuHRNJI2Osenxyvf8DAGObT60pfTTlhEg9u/KKkhJqm5U1/+BEcSkpFDA5XeCqxwXmPac1jcuZ3JWQ+p0NdWzb/5v1ZvF8GtMTFFEdQjpLO0bwPb0BHNWnip3liDXI2fXf05jjvfJ0NpjLCUgfTh9CMFYVFKEd4Z/OG/2C+N435mnK+9t1gvCiVcaaH7rK4+PjCvpVNiz+t2QyqH1O8x3JKZVl6Q+Lp/XK8wMjVMslOq9FdSw5FtUs/CptXH9PW+wbWHgrV17R5jTVOtGtKFu3nb80T+E0tv9QkzW3J2dbaw/8ddAKZ0pxIaEqLjlPrji3VgJ3GvdFvlqD8075woxh4fVt0JZE0KVFsAvqhe0dqN9b35jtSpnYMXkU+vZq+IAHad3IHc2s/LYrnD1anfG46IFiMIr9oNbZDWvwthqYNqOigaKd/XlLU4XHfk/PXIjPsLy/9/kAtQ+/wKH+hI/IROWj5FPvTZAT9f7j4ZXQyG4M0TujMAFXYkKvEHv1xhySekgXGGqNxWeWKlf8dDAlLuB1cb/qOD+rk7cmwt+1yKpk9cudqBanTi6zTbXRtV8qylNtjyOVKy1HTz0GW9rjt6sSjAZcT5R+KdtyYb0zyqG9pSLuCw5WBwAn7fjBjKLLoxLXMI+52L9cLwIR2B6OllJZLHJ8vDxmWdtF+QJnmt1rsHPIWY20lftk8fYePkAIg6Hgn532QoIpegMxiWgAOfe5/U44APR8Ac0NeZrVh3gEhs12W+tVSiWiUQekf/YBECUy5fdYbA08dd7VzPAP9aiVcIB9k6tY7WdJ1wNV+bHeydNtmC6G5ICtFC1ZwmJU/j8hf0I8TRVKSiz5oYIa93EpUI78X8GYIAZabx47/n8LDAAJ0nNtP1rpROprqKMBRecShca6qXuTSI3jZBLOB3Vp381B5rCGhjSvh/NSVkYp2qIdP/Bg=";
+
+// ============================================================================
+// MODULE EXPORTS
+// ============================================================================
 
-async function BrotliDecompress(compressed_text) {
-  const input =
-    compressed_text instanceof Uint8Array
-      ? compressed_text
-      : new Uint8Array(compressed_text);
-  const decompressed = brotliDecompress(input);
-  return new TextDecoder().decode(decompressed);
+// Classic scripts see the declarations above as globals. CommonJS gets them
+// from require("./brotli.js"), and `make brotli.mjs` turns this block into
+// the export list of the ES module build.
+if (typeof module === "object" && module.exports) {
+  module.exports = {
+    BrotliCompress,
+    BrotliDecompress,
+    BrotliCompressDcb,
+    BrotliDecompressDcb,
+    BrotliEncoder,
+    BrotliDecoder,
+    BrotliError,
+    brotliZlib,
+    BrotliWorkerPool,
+    installBrotliStreams,
+    decodeBrotliResponse,
+    brotliFetch,
+    handleBrotliAssetRequest,
+    installBrotliAssetHandler,
+  };
 }